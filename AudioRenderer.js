@@ -0,0 +1,253 @@
+/**
+ * AudioRenderer.js
+ * Offline bounce of the session to WAV
+ * Renders through an OfflineAudioContext using the same lane scheduling,
+ * sample voices and mixer buses as the live AudioScheduler
+ */
+
+class AudioRenderer {
+  constructor(audioScheduler) {
+    this.audioScheduler = audioScheduler;
+
+    // Render defaults
+    this.defaults = {
+      bars: 4,
+      sampleRate: 48000,
+      bitDepth: 24,
+      players: null, // null = every unmuted lane
+      stems: false,
+      tailSeconds: 2, // Let cymbals and room ring out after the last bar
+    };
+    this.supportedBitDepths = [16, 24];
+  }
+
+  /**
+   * Render the session.
+   * @param {Object} options - bars, sampleRate, bitDepth, players (array of
+   *   lane ids, or null for all unmuted lanes), stems, tailSeconds
+   * @returns {Promise<Array>} [{ name, buffer }] - one mix, or one per
+   *   mixer channel in stems mode
+   */
+  async render(options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const laneIds = this.getLaneIds(settings.players);
+
+    if (laneIds.length === 0) {
+      throw new Error("Nothing to render: no active players");
+    }
+
+    // Every sample must be decoded before the offline clock runs
+    await Promise.all(this.audioScheduler.sampleBuffers.values());
+
+    if (!settings.stems) {
+      return [
+        {
+          name: "mix",
+          buffer: await this.renderPass(settings, laneIds, null),
+        },
+      ];
+    }
+
+    const results = [];
+    for (const channel of this.getUsedChannels(settings, laneIds)) {
+      results.push({
+        name: channel,
+        buffer: await this.renderPass(
+          settings,
+          laneIds,
+          (hitChannel) => hitChannel === channel,
+        ),
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Render and encode to WAV blobs named for download
+   * @returns {Promise<Array>} [{ fileName, blob }]
+   */
+  async renderToWav(options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const rendered = await this.render(settings);
+    const baseName = this.getBaseFileName(settings);
+
+    return rendered.map(({ name, buffer }) => ({
+      fileName: settings.stems ? `${baseName}-${name}.wav` : `${baseName}.wav`,
+      blob: new Blob([this.encodeWav(buffer, settings.bitDepth)], {
+        type: "audio/wav",
+      }),
+    }));
+  }
+
+  /**
+   * Resolve which lanes to render. Explicitly requested players render
+   * even when muted; the full session leaves muted players out.
+   */
+  getLaneIds(players) {
+    const lanes = this.audioScheduler.lanes;
+
+    if (players && players.length > 0) {
+      return players.filter((laneId) => lanes.has(laneId));
+    }
+
+    return Array.from(lanes.keys()).filter(
+      (laneId) => !lanes.get(laneId).muted,
+    );
+  }
+
+  getRenderDuration(settings) {
+    const secondsPerBar =
+      this.audioScheduler.getSecondsPerStep() * this.audioScheduler.subdivision;
+    return settings.bars * secondsPerBar;
+  }
+
+  /**
+   * Build a scheduler bound to a fresh OfflineAudioContext
+   */
+  createOfflineScheduler(settings, laneIds) {
+    const duration = this.getRenderDuration(settings);
+    const length = Math.ceil(
+      (duration + settings.tailSeconds) * settings.sampleRate,
+    );
+    const context = new OfflineAudioContext(2, length, settings.sampleRate);
+
+    // Seeded round robins: rendering the same session twice gives the same
+    // audio
+    const fillEngine = this.audioScheduler.fillEngine;
+    const scheduler = new AudioScheduler({
+      audioContext: context,
+      randomSeed: fillEngine ? fillEngine.seed : 0,
+    });
+    scheduler.copyStateFrom(this.audioScheduler, laneIds);
+
+    // Requested players play even if muted in the live session
+    laneIds.forEach((laneId) => {
+      scheduler.lanes.get(laneId).muted = false;
+    });
+
+    return { scheduler, context, duration };
+  }
+
+  async renderPass(settings, laneIds, channelFilter) {
+    const { scheduler, context, duration } = this.createOfflineScheduler(
+      settings,
+      laneIds,
+    );
+    scheduler.channelFilter = channelFilter;
+    scheduler.scheduleRange(duration);
+    return context.startRendering();
+  }
+
+  /**
+   * Find the audible mixer channels the render would hit, without
+   * rendering any audio
+   */
+  getUsedChannels(settings, laneIds) {
+    const used = new Set();
+    const { scheduler, duration } = this.createOfflineScheduler(
+      { ...settings, tailSeconds: 0 },
+      laneIds,
+    );
+
+    scheduler.channelFilter = (channel) => {
+      used.add(channel);
+      return false;
+    };
+    scheduler.scheduleRange(duration);
+
+    return Array.from(used).filter((channel) => {
+      const channelSettings = scheduler.channelSettings.get(channel) || {};
+      const soloed =
+        scheduler.soloChannels.size === 0 ||
+        scheduler.soloChannels.has(channel);
+      return channel === "master" || (!channelSettings.mute && soloed);
+    });
+  }
+
+  getBaseFileName(settings) {
+    const scope =
+      settings.players && settings.players.length === 1
+        ? `player${settings.players[0]}`
+        : "session";
+    return `otto-${scope}-${Math.round(this.audioScheduler.tempo)}bpm-${settings.bars}bars`;
+  }
+
+  // ==========================================
+  // WAV Encoding
+  // ==========================================
+
+  /**
+   * Encode an AudioBuffer as interleaved PCM WAV (16 or 24 bit)
+   * @returns {ArrayBuffer}
+   */
+  encodeWav(audioBuffer, bitDepth = 24) {
+    if (!this.supportedBitDepths.includes(bitDepth)) {
+      throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const channels = audioBuffer.numberOfChannels;
+    const frames = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = frames * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    this.writeString(view, 0, "RIFF");
+    view.setUint32(4, 36 + dataSize, true);
+    this.writeString(view, 8, "WAVE");
+
+    // fmt chunk: uncompressed PCM
+    this.writeString(view, 12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data chunk
+    this.writeString(view, 36, "data");
+    view.setUint32(40, dataSize, true);
+
+    const channelData = [];
+    for (let c = 0; c < channels; c++) {
+      channelData.push(audioBuffer.getChannelData(c));
+    }
+
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) {
+        const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+        const value = Math.round(sample * maxValue);
+
+        if (bitDepth === 16) {
+          view.setInt16(offset, value, true);
+        } else {
+          view.setUint8(offset, value & 0xff);
+          view.setUint8(offset + 1, (value >> 8) & 0xff);
+          view.setUint8(offset + 2, (value >> 16) & 0xff);
+        }
+        offset += bytesPerSample;
+      }
+    }
+
+    return buffer;
+  }
+
+  writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AudioRenderer;
+}
@@ -5,14 +5,21 @@
  */
 
 class AudioScheduler {
-  constructor() {
+  /**
+   * @param {Object} options - audioContext: render into an existing context
+   *   (e.g. an OfflineAudioContext) instead of creating a realtime one;
+   *   randomSeed: make lorand/hirand draws repeatable (offline renders)
+   */
+  constructor(options = {}) {
     // Audio context
     this.audioContext = null;
+    this.externalContext = options.audioContext || null;
     this.lookahead = 25.0; // How frequently to call scheduling function (in milliseconds)
     this.scheduleAheadTime = 0.1; // How far ahead to schedule audio (sec)
 
     // Timing
     this.currentNote = 0; // Current note in sequence
+    this.currentBar = 0; // Bars elapsed since playback started
     this.nextNoteTime = 0.0; // When the next note is due
     this.noteLength = 0.05; // Length of "beep" (in seconds)
     this.notesInQueue = []; // Notes that have been put into the web audio
@@ -22,10 +29,31 @@ class AudioScheduler {
     this.isPlaying = false;
     this.startTime = 0;
     this.pauseTime = 0;
+    this.seekOffset = 0; // Fraction of a step to wait before the first note
+    this.clockSyncAmount = 0.5; // Share of external clock drift fixed per tick
 
     // Pattern data
     this.patterns = new Map();
     this.currentPattern = null;
+
+    // Player lanes: independent patterns locked to the master step clock
+    this.lanes = new Map();
+    this.maxLanes = 8;
+    this.minTempoMultiplier = 0.25;
+    this.maxTempoMultiplier = 4.0;
+
+    // Swing/energy stage applied to lane steps as they are scheduled
+    this.grooveTransformer =
+      typeof GrooveTransformer !== "undefined" ? new GrooveTransformer() : null;
+
+    // Swaps lane grooves for fill patterns on the fill button schedule
+    this.fillEngine =
+      typeof FillEngine !== "undefined" ? new FillEngine() : null;
+    if (this.fillEngine) {
+      this.fillEngine.onFillEvent = (laneId, type, info) =>
+        this.triggerCallbacks("fill", laneId, type, info);
+    }
+
     this.beatsPerBar = 4;
     this.subdivision = 16; // 16th notes
 
@@ -33,6 +61,64 @@ class AudioScheduler {
     this.timerWorker = null;
     this.schedulerTimer = null;
 
+    // Sample playback
+    this.drumMapManager = null;
+    this.kits = new Map(); // kitId -> { regions, baseUrl }
+    this.activeKit = null;
+    this.sampleBuffers = new Map(); // url -> Promise<AudioBuffer|null>
+    this.decodedBuffers = new Map(); // url -> AudioBuffer
+    this.roundRobinCounters = new Map();
+    // null draws random round robins live; a number makes them repeatable
+    this.randomSeed =
+      options.randomSeed !== undefined ? options.randomSeed : null;
+    this.activeVoices = new Set();
+    this.maxVoices = 64;
+    this.chokeFadeTime = 0.01; // Time constant for choked voices (sec)
+
+    // SFZ filter types -> BiquadFilterNode types
+    this.filterTypes = {
+      lpf: "lowpass",
+      hpf: "highpass",
+      bpf: "bandpass",
+      brf: "notch",
+    };
+
+    // Optional predicate on mixer channel names; hits on other channels are
+    // skipped (used for stem rendering)
+    this.channelFilter = null;
+
+    // Mixer routing
+    this.masterGain = null;
+    this.channelBuses = new Map();
+    this.channelSettings = new Map();
+    this.soloChannels = new Set();
+
+    // Drum map channel names that differ from mixer strip names
+    this.channelAliases = {
+      hihat: "hiHat",
+      crash: "crash1",
+    };
+
+    // Fallback notes for legacy { drum: "kick" } events
+    this.drumNotes = {
+      kick: 36,
+      snare: 38,
+      sideStick: 37,
+      hihat: 42,
+      hiHat: 42,
+      tom1: 50,
+      tom2: 47,
+      tom3: 45,
+      tom4: 43,
+      tom5: 41,
+      crash: 49,
+      crash1: 49,
+      crash2: 57,
+      ride: 51,
+      bell: 53,
+      splash: 55,
+    };
+
     // Event callbacks
     this.callbacks = new Map();
 
@@ -53,11 +139,23 @@ class AudioScheduler {
    * Initialize audio context and worker
    */
   async initialize() {
+    if (this.externalContext) {
+      // Rendering into a caller-owned context: no realtime clock or worker
+      this.audioContext = this.externalContext;
+      this.masterGain = this.audioContext.createGain();
+      this.masterGain.connect(this.audioContext.destination);
+      return;
+    }
+
     try {
       // Create or get audio context
       this.audioContext = new (window.AudioContext ||
         window.webkitAudioContext)();
 
+      // Master output for all sample voices
+      this.masterGain = this.audioContext.createGain();
+      this.masterGain.connect(this.audioContext.destination);
+
       // Create timer worker for accurate timing
       this.createTimerWorker();
 
@@ -151,15 +249,23 @@ class AudioScheduler {
       (n) => n.time > currentTime - 0.1,
     );
 
-    // Get pattern data for this beat
-    if (this.currentPattern) {
+    // Get pattern data for this beat; patterns longer than one bar are
+    // indexed by the absolute step within the pattern
+    if (this.currentPattern && this.lanes.size === 0) {
       const patternData = this.patterns.get(this.currentPattern);
-      if (patternData && patternData[beatNumber]) {
-        // Schedule audio events for this beat
-        this.scheduleAudioEvents(patternData[beatNumber], time);
+      if (patternData && patternData.length > 0) {
+        const step =
+          (this.currentBar * this.subdivision + beatNumber) %
+          patternData.length;
+        if (patternData[step]) {
+          // Schedule audio events for this beat
+          this.scheduleAudioEvents(patternData[step], time);
+        }
       }
     }
 
+    this.scheduleLanes(this.currentBar * this.subdivision + beatNumber, time);
+
     // Trigger callbacks
     this.triggerCallbacks("beat", beatNumber, time);
 
@@ -169,59 +275,184 @@ class AudioScheduler {
   /**
    * Schedule audio events for a beat
    */
-  scheduleAudioEvents(events, time) {
+  scheduleAudioEvents(
+    events,
+    time,
+    secondsPerStep = this.getSecondsPerStep(),
+    lane = null,
+  ) {
     events.forEach((event) => {
+      // Events keep their micro-timing as a fraction of a step
+      const eventTime = time + (event.offset || 0) * secondsPerStep;
+
       switch (event.type) {
         case "drum":
-          this.scheduleDrumHit(event, time);
+          this.scheduleDrumHit(
+            lane ? { ...event, player: lane.id } : event,
+            eventTime,
+          );
           break;
         case "sample":
-          this.scheduleSample(event, time);
+          this.scheduleSample(event, eventTime);
           break;
         case "parameter":
-          this.scheduleParameterChange(event, time);
+          this.scheduleParameterChange(event, eventTime);
           break;
       }
     });
   }
 
+  /**
+   * Schedule every lane step that starts within one master step.
+   * A lane's position is always masterStep * tempoMultiplier + phase, so
+   * half- and double-time lanes stay aligned at bar boundaries.
+   */
+  scheduleLanes(masterStep, time) {
+    if (this.lanes.size === 0) return;
+
+    const masterSecondsPerStep = this.getSecondsPerStep();
+
+    this.lanes.forEach((lane) => {
+      const pattern = this.getLanePattern(lane);
+      if (!pattern || pattern.length === 0) return;
+
+      const multiplier = lane.tempoMultiplier;
+      const laneStart = masterStep * multiplier + lane.phase;
+      const laneEnd = (masterStep + 1) * multiplier + lane.phase;
+      const laneSecondsPerStep = masterSecondsPerStep / multiplier;
+
+      for (let step = Math.ceil(laneStart); step < laneEnd; step++) {
+        if (lane.muted) continue;
+
+        const fillStep = this.fillEngine
+          ? this.fillEngine.resolveStep(lane, step, this.subdivision)
+          : null;
+        const events = fillStep
+          ? this.getLaneStepEvents(lane, fillStep.pattern, fillStep.step)
+          : this.getLaneStepEvents(lane, pattern, step);
+        if (!events || events.length === 0) continue;
+
+        const stepTime = time + (step - laneStart) * laneSecondsPerStep;
+        this.scheduleAudioEvents(events, stepTime, laneSecondsPerStep, lane);
+      }
+    });
+  }
+
+  /**
+   * Events for one lane step after the lane's groove is applied. Runs at
+   * schedule time, so slider changes are heard on the next scheduled step.
+   */
+  getLaneStepEvents(lane, pattern, step) {
+    if (!this.grooveTransformer || !lane.groove) {
+      return pattern[
+        ((step % pattern.length) + pattern.length) % pattern.length
+      ];
+    }
+
+    return this.grooveTransformer.transformStep(pattern, step, lane.groove, {
+      stepsPerBeat: this.subdivision / this.beatsPerBar,
+      seed: typeof lane.id === "number" ? lane.id : 0,
+    });
+  }
+
   /**
    * Schedule a drum hit
+   * Resolves the hit through the drum map and the kit's SFZ regions and
+   * starts one sample voice per matching region at the exact context time.
    */
   scheduleDrumHit(event, time) {
     if (!this.audioContext) return;
 
-    // Create oscillator for now (would be replaced with actual drum samples)
-    const osc = this.audioContext.createOscillator();
-    const gainNode = this.audioContext.createGain();
+    const lane =
+      event.player !== undefined ? this.lanes.get(event.player) : null;
 
-    osc.connect(gainNode);
-    gainNode.connect(this.audioContext.destination);
+    let note =
+      event.note !== undefined ? event.note : this.drumNotes[event.drum];
+    if (note === undefined) return;
 
-    // Set frequency based on drum type
-    const frequencies = {
-      kick: 60,
-      snare: 200,
-      hihat: 800,
-      crash: 1200,
-    };
+    // Player part toggles (Stick, Ride) move notes onto other drums
+    if (lane && lane.noteRemap && lane.noteRemap.has(note)) {
+      note = lane.noteRemap.get(note);
+    }
+
+    // MIDI velocity (1-127); legacy gains were converted by setPattern()
+    const velocity = Math.max(
+      1,
+      Math.min(
+        127,
+        Math.round(event.velocity !== undefined ? event.velocity : 64),
+      ),
+    );
+
+    // MIDI outputs get every hit, whether or not a kit sample sounds
+    this.triggerCallbacks(
+      "note",
+      { note, velocity, player: event.player, duration: event.duration },
+      time,
+    );
+
+    const kit = this.kits.get(
+      event.kit || (lane && lane.kit) || this.activeKit,
+    );
+    if (!kit) return;
 
-    osc.frequency.value = frequencies[event.drum] || 440;
+    const mapping = this.getNoteMapping(note);
+    const channel = this.getMixerChannel(
+      event.channel || (mapping && mapping.mixerChannel),
+    );
+    if (this.channelFilter && !this.channelFilter(channel)) return;
+
+    // Mic positions share one random draw so their layers line up
+    const random = this.random(time, note);
+    const layers = this.getKitLayers(kit, lane).map((layer) => ({
+      ...layer,
+      regions: this.resolveRegions(layer.kit, note, velocity, mapping, random),
+    }));
+    const regions = layers.flatMap((layer) => layer.regions);
 
-    // Envelope
-    gainNode.gain.setValueAtTime(event.velocity || 0.5, time);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, time + this.noteLength);
+    if (regions.length === 0) {
+      this.metrics.missedEvents++;
+      return;
+    }
 
-    // Schedule play
-    osc.start(time);
-    osc.stop(time + this.noteLength);
+    this.chokeVoices(note, mapping, time, event.player);
+    this.chokeSfzGroups(regions, time, event.player);
+
+    layers.forEach((layer) => {
+      layer.regions.forEach((region) => {
+        const buffer = this.decodedBuffers.get(region.url);
+        if (buffer) {
+          this.startVoice(buffer, {
+            note,
+            velocity,
+            channel,
+            time,
+            player: event.player,
+            level: (lane ? lane.volume : 1) * layer.level,
+            chokeGroup: this.getChokeGroup(mapping),
+            region,
+          });
+        }
+      });
+    });
   }
 
   /**
    * Schedule sample playback
    */
   scheduleSample(event, time) {
-    // Would integrate with actual sample playback system
+    const buffer = event.url ? this.decodedBuffers.get(event.url) : null;
+    if (buffer) {
+      this.startVoice(buffer, {
+        note: event.note,
+        velocity: event.velocity || 100,
+        channel: this.getMixerChannel(event.channel),
+        time,
+        player: event.player,
+        chokeGroup: null,
+      });
+    }
+
     this.triggerCallbacks("sample", event, time);
   }
 
@@ -237,14 +468,13 @@ class AudioScheduler {
    * Move to next note
    */
   nextNote() {
-    const secondsPerBeat = 60.0 / this.tempo / 4; // Assuming 16th notes
-
-    this.nextNoteTime += secondsPerBeat;
+    this.nextNoteTime += this.getSecondsPerStep();
 
     this.currentNote++;
     if (this.currentNote >= this.subdivision) {
       this.currentNote = 0;
-      this.triggerCallbacks("bar", this.currentNote, this.nextNoteTime);
+      this.currentBar++;
+      this.triggerCallbacks("bar", this.currentBar, this.nextNoteTime);
     }
   }
 
@@ -256,15 +486,23 @@ class AudioScheduler {
 
     this.isPlaying = true;
 
+    // Browsers keep the context suspended until a user gesture
+    if (this.audioContext.state === "suspended") {
+      this.audioContext.resume();
+    }
+
     if (this.pauseTime) {
       // Resume from pause
       const pauseDuration = this.audioContext.currentTime - this.pauseTime;
       this.nextNoteTime += pauseDuration;
       this.pauseTime = 0;
     } else {
-      // Start fresh
-      this.currentNote = 0;
-      this.nextNoteTime = this.audioContext.currentTime + 0.005;
+      // Start from the top, or from wherever seekToProgress() placed us
+      this.nextNoteTime =
+        this.audioContext.currentTime +
+        0.005 +
+        this.seekOffset * this.getSecondsPerStep();
+      this.seekOffset = 0;
     }
 
     // Start worker
@@ -273,7 +511,11 @@ class AudioScheduler {
       interval: this.lookahead,
     });
 
-    this.triggerCallbacks("play");
+    // Listeners run later, so pass the master step playback starts from
+    this.triggerCallbacks(
+      "play",
+      this.currentBar * this.subdivision + this.currentNote,
+    );
   }
 
   /**
@@ -282,7 +524,9 @@ class AudioScheduler {
   stop() {
     this.isPlaying = false;
     this.currentNote = 0;
+    this.currentBar = 0;
     this.pauseTime = 0;
+    this.seekOffset = 0;
 
     // Stop worker
     if (this.timerWorker) {
@@ -292,6 +536,10 @@ class AudioScheduler {
     // Clear queue
     this.notesInQueue = [];
 
+    // Silence anything still ringing
+    this.stopAllVoices();
+    this.resetLaneFills();
+
     this.triggerCallbacks("stop");
   }
 
@@ -316,16 +564,15 @@ class AudioScheduler {
    * Set tempo
    */
   setTempo(bpm) {
+    const previousTempo = this.tempo;
     this.tempo = Math.max(30, Math.min(300, bpm));
 
-    // If playing, adjust next note time
-    if (this.isPlaying) {
-      const ratio = this.tempo / bpm;
-      const timeSinceLastNote =
-        this.audioContext.currentTime -
-        (this.nextNoteTime - 60.0 / this.tempo / 4);
-      this.nextNoteTime =
-        this.audioContext.currentTime + timeSinceLastNote * ratio;
+    // If playing, stretch the wait for the next step to the new tempo so
+    // the playhead neither jumps nor stalls
+    if (this.isPlaying && this.audioContext) {
+      const now = this.audioContext.currentTime;
+      const remaining = Math.max(0, this.nextNoteTime - now);
+      this.nextNoteTime = now + (remaining * previousTempo) / this.tempo;
     }
 
     this.triggerCallbacks("tempo", this.tempo);
@@ -333,9 +580,28 @@ class AudioScheduler {
 
   /**
    * Set pattern
+   * Legacy { drum: "kick" } events give velocity as a 0-1 gain; it is
+   * converted here so every drum event the scheduler plays is MIDI (1-127).
    */
   setPattern(patternId, patternData) {
-    this.patterns.set(patternId, patternData);
+    this.patterns.set(
+      patternId,
+      Array.isArray(patternData)
+        ? patternData.map((events) =>
+            events
+              ? events.map((event) => this.normalizeLegacyEvent(event))
+              : events,
+          )
+        : patternData,
+    );
+  }
+
+  normalizeLegacyEvent(event) {
+    if (event.type !== "drum" || event.note !== undefined || !event.drum) {
+      return event;
+    }
+    const gain = event.velocity !== undefined ? event.velocity : 0.5;
+    return { ...event, velocity: Math.max(1, Math.round(gain * 127)) };
   }
 
   /**
@@ -348,6 +614,895 @@ class AudioScheduler {
     }
   }
 
+  // ==========================================
+  // Player Lanes
+  // ==========================================
+
+  /**
+   * Create or update a player lane.
+   * Options: pattern (step array) or patternId, kit, tempoMultiplier,
+   * muted, phase (in lane steps), volume (0-1), groove
+   * ({ swing, swingResolution, energy }, see GrooveTransformer),
+   * noteRemap (Map of note -> note) and micLevels ({ position: 0-1 } for
+   * kits loaded with loadMicKit).
+   */
+  setLane(laneId, options = {}) {
+    let lane = this.lanes.get(laneId);
+
+    if (!lane) {
+      if (this.lanes.size >= this.maxLanes) {
+        console.warn(`AudioScheduler supports at most ${this.maxLanes} lanes`);
+        return null;
+      }
+      lane = {
+        id: laneId,
+        pattern: null,
+        patternId: null,
+        kit: null,
+        tempoMultiplier: 1.0,
+        muted: false,
+        phase: 0,
+        volume: 1.0,
+        groove: null,
+        noteRemap: null,
+        micLevels: null,
+        fill: null,
+        activeFill: null,
+      };
+      this.lanes.set(laneId, lane);
+    }
+
+    Object.assign(lane, options);
+    lane.tempoMultiplier = this.clampTempoMultiplier(lane.tempoMultiplier);
+
+    this.triggerCallbacks("lane", laneId, { ...lane });
+    return lane;
+  }
+
+  getLane(laneId) {
+    return this.lanes.get(laneId) || null;
+  }
+
+  removeLane(laneId) {
+    const removed = this.lanes.delete(laneId);
+    if (removed) {
+      this.triggerCallbacks("lane", laneId, null);
+    }
+    return removed;
+  }
+
+  setLaneTempoMultiplier(laneId, multiplier) {
+    return this.setLane(laneId, { tempoMultiplier: multiplier });
+  }
+
+  setLaneMuted(laneId, muted) {
+    return this.setLane(laneId, { muted: !!muted });
+  }
+
+  setLanePhase(laneId, phase) {
+    return this.setLane(laneId, { phase: phase || 0 });
+  }
+
+  /**
+   * Update a lane's swing/energy settings; merged into the current groove
+   */
+  setLaneGroove(laneId, groove) {
+    const lane = this.lanes.get(laneId);
+    return this.setLane(laneId, {
+      groove: { ...(lane && lane.groove), ...groove },
+    });
+  }
+
+  /**
+   * Set a lane's fill mode: "4"/"8"/"16"/"32" (bar interval), "now",
+   * "solo" or null for no fills. returnMode is the interval a finished
+   * "now" fill falls back to.
+   */
+  setLaneFillMode(laneId, mode, returnMode = null) {
+    const lane = this.lanes.get(laneId);
+    if (!lane || !this.fillEngine) return null;
+
+    this.fillEngine.setMode(lane, mode, returnMode);
+    return lane;
+  }
+
+  /**
+   * Provide the fill library: [{ name, pattern }]
+   */
+  setFillPatterns(fills) {
+    if (this.fillEngine) {
+      this.fillEngine.setFills(fills);
+    }
+  }
+
+  setFillSeed(seed) {
+    if (this.fillEngine) {
+      this.fillEngine.setSeed(seed);
+    }
+  }
+
+  resetLaneFills() {
+    if (!this.fillEngine) return;
+    this.lanes.forEach((lane) => this.fillEngine.reset(lane));
+  }
+
+  setLaneVolume(laneId, volume) {
+    return this.setLane(laneId, {
+      volume: Math.max(0, Math.min(1, volume)),
+    });
+  }
+
+  /**
+   * Set a lane's mic position blend, levels 0-100 per position
+   */
+  setLaneMicLevels(laneId, levels) {
+    const micLevels = {};
+    Object.entries(levels || {}).forEach(([position, level]) => {
+      micLevels[position] =
+        Math.max(0, Math.min(100, Number(level) || 0)) / 100;
+    });
+    return this.setLane(laneId, { micLevels });
+  }
+
+  clampTempoMultiplier(multiplier) {
+    const value = Number(multiplier) || 1.0;
+    return Math.max(
+      this.minTempoMultiplier,
+      Math.min(this.maxTempoMultiplier, value),
+    );
+  }
+
+  getLanePattern(lane) {
+    if (lane.pattern) return lane.pattern;
+    return lane.patternId ? this.patterns.get(lane.patternId) : null;
+  }
+
+  /**
+   * Effective tempo of a lane (master tempo x multiplier)
+   */
+  getLaneTempo(laneId) {
+    const lane = this.lanes.get(laneId);
+    return lane ? this.tempo * lane.tempoMultiplier : this.tempo;
+  }
+
+  /**
+   * Convert parsed MIDI note events (times in beats) into step pattern data.
+   * Each step holds drum events with their offset inside the step, so the
+   * groove keeps its micro-timing.
+   */
+  buildPatternFromMidi(noteEvents, options = {}) {
+    const stepsPerBeat = this.subdivision / this.beatsPerBar;
+    const lengthBeats =
+      options.lengthBeats ||
+      noteEvents.reduce((max, event) => Math.max(max, event.time), 0);
+    const bars = Math.max(
+      1,
+      Math.ceil((lengthBeats - 0.001) / this.beatsPerBar),
+    );
+    const pattern = new Array(bars * this.subdivision);
+
+    noteEvents.forEach((event) => {
+      if (event.type !== "noteOn") return;
+
+      const position = event.time * stepsPerBeat;
+      const step = Math.floor(position) % pattern.length;
+      if (!pattern[step]) {
+        pattern[step] = [];
+      }
+      pattern[step].push({
+        type: "drum",
+        note: event.note,
+        velocity: event.velocity,
+        offset: position - Math.floor(position),
+      });
+    });
+
+    return pattern;
+  }
+
+  // ==========================================
+  // Offline Rendering
+  // ==========================================
+
+  /**
+   * Copy tempo, patterns, lanes, kits and mixer settings from another
+   * scheduler so this one plays the same session (e.g. into an
+   * OfflineAudioContext). Decoded sample buffers are shared, not copied.
+   * @param {AudioScheduler} source - Scheduler to copy from
+   * @param {Array|null} laneIds - Lanes to include; null copies all of them
+   */
+  copyStateFrom(source, laneIds = null) {
+    this.tempo = source.tempo;
+    this.beatsPerBar = source.beatsPerBar;
+    this.subdivision = source.subdivision;
+    this.patterns = source.patterns;
+    this.currentPattern = source.currentPattern;
+
+    this.drumMapManager = source.drumMapManager;
+    this.kits = source.kits;
+    this.activeKit = source.activeKit;
+    this.sampleBuffers = source.sampleBuffers;
+    this.decodedBuffers = source.decodedBuffers;
+    this.channelAliases = { ...source.channelAliases };
+
+    this.lanes.clear();
+    source.lanes.forEach((lane, laneId) => {
+      if (laneIds && !laneIds.includes(laneId)) return;
+
+      const copy = { ...lane, activeFill: null };
+      if (lane.fill) {
+        // A pending "Now" fill belongs to the live performance
+        const mode =
+          lane.fill.mode === "now" ? lane.fill.returnMode : lane.fill.mode;
+        copy.fill = { ...lane.fill, mode, armedBar: null };
+      }
+      this.lanes.set(laneId, copy);
+    });
+
+    if (this.fillEngine && source.fillEngine) {
+      this.fillEngine.setFills(source.fillEngine.fills);
+      this.fillEngine.setSeed(source.fillEngine.seed);
+    }
+
+    this.channelSettings = new Map();
+    source.channelSettings.forEach((settings, channel) => {
+      this.channelSettings.set(channel, { ...settings });
+    });
+    this.soloChannels = new Set(source.soloChannels);
+    this.updateAllChannelBuses();
+  }
+
+  /**
+   * Schedule every step from time 0 up to the given duration in one go.
+   * Only meaningful for offline contexts, which render after scheduling.
+   */
+  scheduleRange(duration) {
+    this.currentNote = 0;
+    this.currentBar = 0;
+    this.nextNoteTime = 0;
+
+    while (this.nextNoteTime < duration) {
+      this.scheduleNote(this.currentNote, this.nextNoteTime);
+      this.nextNote();
+    }
+  }
+
+  // ==========================================
+  // Kit Loading
+  // ==========================================
+
+  /**
+   * Provide the drum map used to resolve notes to mixer channels
+   */
+  setDrumMapManager(drumMapManager) {
+    this.drumMapManager = drumMapManager;
+  }
+
+  /**
+   * Load an SFZ kit and decode all of its samples
+   */
+  async loadKit(kitId, sfzUrl) {
+    if (!this.audioContext) return false;
+
+    try {
+      const parser = new SFZEditor();
+      const parsed = await parser.loadSFZ(sfzUrl);
+
+      const baseUrl = sfzUrl.substring(0, sfzUrl.lastIndexOf("/") + 1);
+      // Key ranges are resolved once so note names (c4) work in lookups
+      const regions = parsed.regions
+        .filter((region) => region.sample)
+        .map((region) => ({
+          ...region,
+          ...parser.getRegionKeyRange(region),
+          keycenter: parser.parseNote(
+            region.pitch_keycenter !== undefined
+              ? region.pitch_keycenter
+              : region.key,
+          ),
+          url: this.resolveSampleUrl(baseUrl, region.sample),
+        }));
+
+      // Decode every sample up front so hits never wait on the network
+      await Promise.all(regions.map((region) => this.loadSample(region.url)));
+
+      this.kits.set(kitId, { id: kitId, regions, baseUrl, sfzUrl });
+      this.triggerCallbacks("kitLoaded", kitId);
+      return true;
+    } catch (error) {
+      console.error(`Failed to load kit ${kitId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Load a kit recorded from several mic positions, one .sfz per position.
+   * Each position loads as its own kit; hits on kitId play every position
+   * at the lane's micLevels.
+   * @param {Object} positions - { close: sfzUrl, room: sfzUrl, ... }
+   */
+  async loadMicKit(kitId, positions) {
+    const micPositions = {};
+    await Promise.all(
+      Object.entries(positions).map(async ([position, sfzUrl]) => {
+        const positionKitId = `${kitId}:${position}`;
+        if (await this.loadKit(positionKitId, sfzUrl)) {
+          micPositions[position] = positionKitId;
+        }
+      }),
+    );
+
+    if (Object.keys(micPositions).length === 0) return false;
+
+    this.kits.set(kitId, { id: kitId, regions: [], micPositions });
+    this.triggerCallbacks("kitLoaded", kitId);
+    return true;
+  }
+
+  /**
+   * The kits a hit plays: the kit itself, or each mic position at its
+   * blend level. Without a blend only the close mics (or the first
+   * position) sound.
+   * @returns {Array} [{ kit, level }]
+   */
+  getKitLayers(kit, lane) {
+    if (!kit.micPositions) return [{ kit, level: 1 }];
+
+    const positions = Object.keys(kit.micPositions);
+    const lead = positions.includes("close") ? "close" : positions[0];
+    const levels = (lane && lane.micLevels) || { [lead]: 1 };
+
+    return positions
+      .filter((position) => levels[position] > 0)
+      .map((position) => ({
+        kit: this.kits.get(kit.micPositions[position]),
+        level: levels[position],
+      }))
+      .filter((layer) => layer.kit);
+  }
+
+  /**
+   * Apply opcode edits (e.g. trims from the kit editor) to the loaded
+   * regions that play a sample, so they are heard without reloading
+   * @returns {number} Regions updated
+   */
+  updateSampleOpcodes(sfzUrl, sample, opcodes) {
+    let updated = 0;
+    this.kits.forEach((kit) => {
+      if (kit.sfzUrl !== sfzUrl) return;
+      kit.regions.forEach((region) => {
+        if (region.sample === sample) {
+          Object.assign(region, opcodes);
+          updated++;
+        }
+      });
+    });
+    return updated;
+  }
+
+  /**
+   * Choose the kit used by hits that don't name one
+   */
+  setActiveKit(kitId) {
+    this.activeKit = kitId;
+  }
+
+  resolveSampleUrl(baseUrl, samplePath) {
+    const path = String(samplePath).replace(/\\/g, "/");
+    const encoded = path
+      .split("/")
+      .map((part) =>
+        part === ".." || part === "." ? part : encodeURIComponent(part),
+      )
+      .join("/");
+    return path.startsWith("/") ? encoded : `${baseUrl}${encoded}`;
+  }
+
+  /**
+   * Fetch and decode a sample once; concurrent requests share the promise
+   */
+  loadSample(url) {
+    if (this.sampleBuffers.has(url)) {
+      return this.sampleBuffers.get(url);
+    }
+
+    const promise = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(
+        (data) =>
+          new Promise((resolve, reject) => {
+            this.audioContext.decodeAudioData(data, resolve, reject);
+          }),
+      )
+      .then((buffer) => {
+        this.decodedBuffers.set(url, buffer);
+        return buffer;
+      })
+      .catch((error) => {
+        console.warn(`Could not load sample ${url}:`, error);
+        return null;
+      });
+
+    this.sampleBuffers.set(url, promise);
+    return promise;
+  }
+
+  // ==========================================
+  // Voice Engine
+  // ==========================================
+
+  getNoteMapping(note) {
+    const map = this.drumMapManager && this.drumMapManager.getCurrentMap();
+    return (map && map.mapping && map.mapping[note]) || null;
+  }
+
+  /**
+   * Find the regions to play for a note and velocity. Notes the kit has no
+   * region for fall back to another note on the same drum map channel, so
+   * a pedal hat still sounds on a kit that only has a closed hat.
+   */
+  resolveRegions(kit, note, velocity, mapping, random = Math.random()) {
+    let regions = this.selectRegions(kit, note, velocity, random);
+
+    if (regions.length === 0 && mapping && mapping.mixerChannel) {
+      const map = this.drumMapManager.getCurrentMap();
+      const channelInfo =
+        map.mixerChannels && map.mixerChannels[mapping.mixerChannel];
+      const siblings = (channelInfo && channelInfo.notes) || [];
+
+      for (const sibling of siblings) {
+        if (sibling === note) continue;
+        regions = this.selectRegions(kit, sibling, velocity, random);
+        if (regions.length > 0) break;
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Regions matching key and velocity layer, narrowed to the current
+   * round-robin step (seq_length/seq_position) and to one random draw
+   * per hit (lorand/hirand)
+   */
+  selectRegions(kit, note, velocity, random = Math.random()) {
+    const matching = kit.regions.filter((region) => {
+      const lovel = region.lovel !== undefined ? region.lovel : 0;
+      const hivel = region.hivel !== undefined ? region.hivel : 127;
+
+      return (
+        note >= region.lokey &&
+        note <= region.hikey &&
+        velocity >= lovel &&
+        velocity <= hivel
+      );
+    });
+
+    if (matching.length === 0) return matching;
+
+    // Each region steps through its own sequence on the note's counter
+    const counterKey = `${kit.id}:${note}`;
+    const counter = this.roundRobinCounters.get(counterKey) || 0;
+    this.roundRobinCounters.set(counterKey, counter + 1);
+
+    const selected = matching.filter((region) => {
+      const seqLength = region.seq_length || 1;
+      const seqPosition = region.seq_position || 1;
+      const lorand = region.lorand !== undefined ? region.lorand : 0;
+      const hirand = region.hirand !== undefined ? region.hirand : 1;
+
+      return (
+        (counter % seqLength) + 1 === seqPosition &&
+        random >= lorand &&
+        random < hirand
+      );
+    });
+
+    // The same sample listed twice for a key is a duplicate, not a layer
+    const seen = new Set();
+    return selected.filter((region) => {
+      if (seen.has(region.url)) return false;
+      seen.add(region.url);
+      return true;
+    });
+  }
+
+  /**
+   * Value in [0, 1) for a hit's lorand/hirand draw. With a seed it is a
+   * pure function of the hit's time and note, so a render repeats exactly.
+   */
+  random(time, note) {
+    if (this.randomSeed === null) return Math.random();
+
+    const millis = Math.round(time * 1000);
+    let hash =
+      (Math.imul(this.randomSeed | 0, 374761393) +
+        Math.imul(millis, 668265263) +
+        Math.imul(note | 0, 2147483647)) |
+      0;
+    hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+  }
+
+  /**
+   * Hi-hat articulations share one choke group: a closed or pedal hat
+   * cuts off a ringing open hat.
+   */
+  getChokeGroup(mapping) {
+    if (!mapping) return null;
+    return (
+      mapping.chokeGroup || (mapping.mixerChannel === "hihat" ? "hihat" : null)
+    );
+  }
+
+  chokeVoices(note, mapping, time, player) {
+    const group = this.getChokeGroup(mapping);
+    if (!group) return;
+
+    this.activeVoices.forEach((voice) => {
+      if (
+        voice.chokeGroup === group &&
+        voice.note !== note &&
+        voice.player === player &&
+        voice.time < time
+      ) {
+        this.releaseVoice(voice, time);
+      }
+    });
+  }
+
+  /**
+   * SFZ choke groups: a region with group=N silences voices started by
+   * regions with off_by=N
+   */
+  chokeSfzGroups(regions, time, player) {
+    const groups = new Set(
+      regions.map((region) => region.group).filter((group) => group),
+    );
+    if (groups.size === 0) return;
+
+    this.activeVoices.forEach((voice) => {
+      const offBy = voice.region && voice.region.off_by;
+      if (
+        offBy &&
+        groups.has(offBy) &&
+        voice.player === player &&
+        voice.time < time
+      ) {
+        this.releaseVoice(
+          voice,
+          time,
+          voice.region.off_mode === "normal" ? voice.shape.release : null,
+        );
+      }
+    });
+  }
+
+  /**
+   * Resolve a region's playback opcodes, with SFZ defaults
+   */
+  getVoiceShape(region, note, velocity, buffer) {
+    const opcode = (name, fallback) =>
+      region && Number.isFinite(region[name]) ? region[name] : fallback;
+
+    // Pitch in cents; keytracking only applies when the region names its
+    // key center, so drum regions never get transposed by accident
+    const keycenter = region ? region.keycenter : null;
+    const keytrack =
+      keycenter !== null && keycenter !== undefined && note !== undefined
+        ? (note - keycenter) * opcode("pitch_keytrack", 100)
+        : 0;
+    const cents = opcode("transpose", 0) * 100 + opcode("tune", 0) + keytrack;
+
+    // offset/end are in sample frames
+    const startFrame = Math.max(0, opcode("offset", 0));
+    const endFrame = opcode("end", buffer.length);
+    const start = Math.min(startFrame / buffer.sampleRate, buffer.duration);
+    const end =
+      endFrame > startFrame
+        ? Math.min(endFrame / buffer.sampleRate, buffer.duration)
+        : buffer.duration;
+
+    // amp_veltrack: 100% is the full velocity curve, 0% ignores velocity
+    const veltrack = opcode("amp_veltrack", 100) / 100;
+    const curve = this.velocityToGain(velocity);
+    const velocityGain =
+      veltrack >= 0 ? 1 - veltrack + veltrack * curve : 1 + veltrack * curve;
+
+    return {
+      playbackRate: Math.pow(2, cents / 1200),
+      start,
+      duration: end - start,
+      gain: velocityGain * Math.pow(10, opcode("volume", 0) / 20),
+      pan: Math.max(-100, Math.min(100, opcode("pan", 0))) / 100,
+      delay: opcode("ampeg_delay", 0),
+      attack: opcode("ampeg_attack", 0),
+      hold: opcode("ampeg_hold", 0),
+      decay: opcode("ampeg_decay", 0),
+      sustain: Math.max(0, Math.min(100, opcode("ampeg_sustain", 100))) / 100,
+      release: opcode("ampeg_release", 0),
+      filter: this.getFilterShape(region),
+    };
+  }
+
+  getFilterShape(region) {
+    if (!region || !Number.isFinite(region.cutoff)) return null;
+
+    const prefix = String(region.fil_type || "lpf_2p").split("_")[0];
+    return {
+      type: this.filterTypes[prefix] || "lowpass",
+      cutoff: region.cutoff,
+      resonance: Number.isFinite(region.resonance) ? region.resonance : 0,
+    };
+  }
+
+  /**
+   * Schedule the ampeg DAHDS stages on a voice's gain; release is applied
+   * when the voice is choked
+   */
+  applyAmpEnvelope(param, peak, time, shape) {
+    const attackStart = time + shape.delay;
+    const attackEnd = attackStart + shape.attack;
+    const decayStart = attackEnd + shape.hold;
+
+    if (shape.delay > 0 || shape.attack > 0) {
+      param.setValueAtTime(0, attackStart);
+      param.linearRampToValueAtTime(peak, attackEnd);
+    } else {
+      param.setValueAtTime(peak, time);
+    }
+
+    if (shape.sustain < 1) {
+      if (shape.decay > 0) {
+        param.setValueAtTime(peak, decayStart);
+        // Reach ~95% of the way to sustain by the end of the decay time
+        param.setTargetAtTime(
+          peak * shape.sustain,
+          decayStart,
+          shape.decay / 3,
+        );
+      } else {
+        param.setValueAtTime(peak * shape.sustain, decayStart);
+      }
+    }
+  }
+
+  startVoice(buffer, options) {
+    // Forget voices that finish before this one starts. Offline renders
+    // schedule everything before any onended fires.
+    this.activeVoices.forEach((voice) => {
+      if (voice.endTime <= options.time) {
+        this.activeVoices.delete(voice);
+      }
+    });
+
+    // Steal the oldest voice when the pool is full
+    if (this.activeVoices.size >= this.maxVoices) {
+      const oldest = this.activeVoices.values().next().value;
+      this.releaseVoice(oldest, options.time);
+      this.activeVoices.delete(oldest);
+    }
+
+    const shape = this.getVoiceShape(
+      options.region,
+      options.note,
+      options.velocity,
+      buffer,
+    );
+    const when = Math.max(options.time, this.audioContext.currentTime);
+
+    const source = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+    const nodes = [source, gain];
+
+    source.buffer = buffer;
+    source.playbackRate.value = shape.playbackRate;
+    this.applyAmpEnvelope(
+      gain.gain,
+      shape.gain * (options.level !== undefined ? options.level : 1),
+      when,
+      shape,
+    );
+
+    // A region trimmed with end fades out over its release before the end
+    if (
+      options.region &&
+      Number.isFinite(options.region.end) &&
+      shape.release > 0
+    ) {
+      const fadeEnd = when + shape.duration / shape.playbackRate;
+      gain.gain.setTargetAtTime(
+        0,
+        Math.max(when, fadeEnd - shape.release),
+        shape.release / 3,
+      );
+    }
+
+    // source -> [filter] -> gain -> [panner] -> channel bus
+    let input = gain;
+    if (shape.filter) {
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = shape.filter.type;
+      filter.frequency.value = shape.filter.cutoff;
+      filter.Q.value = shape.filter.resonance;
+      source.connect(filter);
+      filter.connect(gain);
+      nodes.push(filter);
+    } else {
+      source.connect(gain);
+    }
+    if (shape.pan !== 0 && this.audioContext.createStereoPanner) {
+      const panner = this.audioContext.createStereoPanner();
+      panner.pan.value = shape.pan;
+      gain.connect(panner);
+      input = panner;
+      nodes.push(panner);
+    }
+    input.connect(this.getChannelBus(options.channel));
+
+    const voice = {
+      ...options,
+      shape,
+      source,
+      gain,
+      endTime: options.time + shape.duration / shape.playbackRate,
+    };
+    this.activeVoices.add(voice);
+
+    source.onended = () => {
+      this.activeVoices.delete(voice);
+      nodes.forEach((node) => node.disconnect());
+    };
+
+    source.start(when, shape.start, shape.duration);
+    return voice;
+  }
+
+  /**
+   * Fade a voice out; without a release time it is cut quickly
+   */
+  releaseVoice(voice, time, release = null) {
+    const when = Math.max(time, this.audioContext.currentTime);
+    const timeConstant = release > 0 ? release / 3 : this.chokeFadeTime;
+    try {
+      voice.gain.gain.cancelScheduledValues(when);
+      voice.gain.gain.setTargetAtTime(0, when, timeConstant);
+      voice.source.stop(when + timeConstant * 5);
+    } catch {
+      // Voice already stopped
+    }
+  }
+
+  stopAllVoices() {
+    if (!this.audioContext) return;
+    this.activeVoices.forEach((voice) =>
+      this.releaseVoice(voice, this.audioContext.currentTime),
+    );
+  }
+
+  velocityToGain(velocity) {
+    // Squared curve so soft ghost notes sit well below accents
+    const normalized = velocity / 127;
+    return normalized * normalized;
+  }
+
+  // ==========================================
+  // Mixer Routing
+  // ==========================================
+
+  getMixerChannel(channel) {
+    if (!channel) return "master";
+    return this.channelAliases[channel] || channel;
+  }
+
+  /**
+   * Get (or create) the gain/pan bus for a mixer channel
+   */
+  getChannelBus(channel) {
+    if (channel === "master") {
+      return this.masterGain;
+    }
+
+    if (!this.channelBuses.has(channel)) {
+      const gain = this.audioContext.createGain();
+      const panner = this.audioContext.createStereoPanner();
+      gain.connect(panner);
+      panner.connect(this.masterGain);
+      this.channelBuses.set(channel, { gain, panner });
+      this.updateChannelBus(channel);
+    }
+
+    return this.channelBuses.get(channel).gain;
+  }
+
+  /**
+   * Apply a mixer preset's channels ({ level, pan, mute, solo })
+   */
+  applyMixerChannels(channels) {
+    if (!channels) return;
+
+    this.soloChannels.clear();
+    Object.entries(channels).forEach(([channel, settings]) => {
+      this.channelSettings.set(channel, { ...settings });
+      if (settings.solo) {
+        this.soloChannels.add(channel);
+      }
+    });
+
+    this.updateAllChannelBuses();
+  }
+
+  setChannelLevel(channel, level) {
+    this.updateChannelSetting(channel, { level });
+  }
+
+  setChannelPan(channel, pan) {
+    this.updateChannelSetting(channel, { pan });
+  }
+
+  setChannelMute(channel, mute) {
+    this.updateChannelSetting(channel, { mute });
+  }
+
+  setChannelSolo(channel, solo) {
+    if (solo) {
+      this.soloChannels.add(channel);
+    } else {
+      this.soloChannels.delete(channel);
+    }
+    this.updateChannelSetting(channel, { solo });
+    this.updateAllChannelBuses();
+  }
+
+  updateChannelSetting(channel, updates) {
+    const current = this.channelSettings.get(channel) || {};
+    this.channelSettings.set(channel, { ...current, ...updates });
+
+    if (channel === "master") {
+      this.updateMasterGain();
+    } else {
+      this.updateChannelBus(channel);
+    }
+  }
+
+  updateAllChannelBuses() {
+    this.channelBuses.forEach((bus, channel) => this.updateChannelBus(channel));
+    this.updateMasterGain();
+  }
+
+  updateChannelBus(channel) {
+    const bus = this.channelBuses.get(channel);
+    if (!bus) return;
+
+    const settings = this.channelSettings.get(channel) || {};
+    const level = settings.level !== undefined ? settings.level : 75;
+    const silenced =
+      settings.mute ||
+      (this.soloChannels.size > 0 && !this.soloChannels.has(channel));
+    const now = this.audioContext.currentTime;
+
+    bus.gain.gain.setTargetAtTime(silenced ? 0 : level / 100, now, 0.01);
+    bus.panner.pan.setTargetAtTime((settings.pan || 0) / 100, now, 0.01);
+  }
+
+  updateMasterGain() {
+    if (!this.masterGain) return;
+
+    const settings = this.channelSettings.get("master") || {};
+    const level = settings.level !== undefined ? settings.level : 75;
+    this.masterGain.gain.setTargetAtTime(
+      settings.mute ? 0 : level / 100,
+      this.audioContext.currentTime,
+      0.01,
+    );
+  }
+
   /**
    * Add event callback
    */
@@ -387,33 +1542,181 @@ class AudioScheduler {
     }
   }
 
+  /**
+   * Convert an audio context time to the performance.now() clock used by
+   * Web MIDI timestamps, so external notes line up with the audio output
+   */
+  getPerformanceTime(contextTime) {
+    const stamp = this.audioContext.getOutputTimestamp
+      ? this.audioContext.getOutputTimestamp()
+      : null;
+    if (stamp && stamp.performanceTime) {
+      return stamp.performanceTime + (contextTime - stamp.contextTime) * 1000;
+    }
+
+    return (
+      performance.now() + (contextTime - this.audioContext.currentTime) * 1000
+    );
+  }
+
+  // Inverse of getPerformanceTime, for incoming MIDI event timestamps
+  getContextTime(performanceTime) {
+    const stamp = this.audioContext.getOutputTimestamp
+      ? this.audioContext.getOutputTimestamp()
+      : null;
+    if (stamp && stamp.performanceTime) {
+      return (
+        stamp.contextTime + (performanceTime - stamp.performanceTime) / 1000
+      );
+    }
+
+    return (
+      this.audioContext.currentTime +
+      (performanceTime - performance.now()) / 1000
+    );
+  }
+
+  getSecondsPerStep() {
+    return 60.0 / this.tempo / (this.subdivision / this.beatsPerBar);
+  }
+
+  /**
+   * Length of the current pattern in steps (at least one bar)
+   */
+  getPatternLength(laneId = null) {
+    const lane = laneId !== null ? this.lanes.get(laneId) : null;
+    const patternData = lane
+      ? this.getLanePattern(lane)
+      : this.currentPattern
+        ? this.patterns.get(this.currentPattern)
+        : null;
+    return patternData && patternData.length > 0
+      ? patternData.length
+      : this.subdivision;
+  }
+
   /**
    * Get current playback position
+   * Derived from the audio clock rather than the scheduling look-ahead, so
+   * it matches what is being heard at any tempo. Pass a lane id to get the
+   * position inside that lane's pattern.
    */
-  getCurrentPosition() {
-    if (!this.isPlaying) return 0;
+  getCurrentPosition(laneId = null) {
+    const secondsPerStep = this.getSecondsPerStep();
+    const nextStep = this.currentBar * this.subdivision + this.currentNote;
+    let stepPosition;
+
+    if (this.isPlaying && this.audioContext) {
+      const untilNext = this.nextNoteTime - this.audioContext.currentTime;
+      stepPosition = Math.max(0, nextStep - untilNext / secondsPerStep);
+    } else if (this.pauseTime) {
+      stepPosition = Math.max(
+        0,
+        nextStep - (this.nextNoteTime - this.pauseTime) / secondsPerStep,
+      );
+    } else {
+      stepPosition = Math.max(0, nextStep - this.seekOffset);
+    }
 
-    const secondsPerBeat = 60.0 / this.tempo / 4;
-    const currentBeat = this.currentNote;
-    const currentBar = Math.floor(currentBeat / this.subdivision);
-    const beatInBar = currentBeat % this.subdivision;
+    const lane = laneId !== null ? this.lanes.get(laneId) : null;
+    if (lane) {
+      stepPosition = Math.max(
+        0,
+        stepPosition * lane.tempoMultiplier + lane.phase,
+      );
+    }
+
+    const patternLength = this.getPatternLength(laneId);
+    const patternStep = stepPosition % patternLength;
+    const stepsPerBeat = this.subdivision / this.beatsPerBar;
 
     return {
-      bar: currentBar,
-      beat: beatInBar,
-      time: this.nextNoteTime - secondsPerBeat,
-      tempo: this.tempo,
+      bar: Math.floor(patternStep / this.subdivision),
+      beat: Math.floor((patternStep % this.subdivision) / stepsPerBeat),
+      step: patternStep,
+      patternBars: patternLength / this.subdivision,
+      progress: patternStep / patternLength,
+      time: this.audioContext ? this.audioContext.currentTime : 0,
+      tempo: lane ? this.tempo * lane.tempoMultiplier : this.tempo,
+      isPlaying: this.isPlaying,
     };
   }
 
   /**
-   * Sync to external clock
+   * Move the playhead to a fraction (0-1) of the current pattern, or of a
+   * lane's pattern. All lanes move together since they share the clock.
+   */
+  seekToProgress(progress, laneId = null) {
+    const patternLength = this.getPatternLength(laneId);
+    const lane = laneId !== null ? this.lanes.get(laneId) : null;
+    let target = Math.max(0, Math.min(1, progress)) * patternLength;
+
+    // Convert the lane position back to master steps
+    if (lane) {
+      target = (target - lane.phase) / lane.tempoMultiplier;
+      if (target < 0) {
+        target += patternLength / lane.tempoMultiplier;
+      }
+    }
+
+    this.seekToStep(target);
+  }
+
+  /**
+   * Move the playhead to a master step (fractional steps wait out the
+   * remainder), e.g. a MIDI Song Position Pointer
+   */
+  seekToStep(step) {
+    const target = Math.max(0, step);
+    const targetStep = Math.ceil(target);
+    const waitSteps = targetStep - target;
+
+    this.currentBar = Math.floor(targetStep / this.subdivision);
+    this.currentNote = targetStep % this.subdivision;
+
+    // Drop anything still ringing from the old position
+    this.stopAllVoices();
+    this.resetLaneFills();
+
+    if (this.isPlaying && this.audioContext) {
+      this.nextNoteTime =
+        this.audioContext.currentTime + waitSteps * this.getSecondsPerStep();
+    } else if (this.pauseTime) {
+      this.nextNoteTime = this.pauseTime + waitSteps * this.getSecondsPerStep();
+    } else {
+      this.seekOffset = waitSteps;
+    }
+
+    this.triggerCallbacks("seek", this.getCurrentPosition());
+  }
+
+  /**
+   * Lock the step grid to an external clock: master step `step` (fractional
+   * between 16ths) fell at context time `time`. Small errors are eased out
+   * so clock jitter doesn't reach the audio; large ones, or `immediate`,
+   * jump straight onto the clock.
    */
-  syncToClock(masterClock) {
-    // Implement clock sync for multiple instances
-    const offset =
-      masterClock.audioContext.currentTime - this.audioContext.currentTime;
-    this.nextNoteTime += offset;
+  syncToClock(step, time, immediate = false) {
+    if (!this.isPlaying || !this.audioContext) return;
+
+    const secondsPerStep = this.getSecondsPerStep();
+    const nextStep = this.currentBar * this.subdivision + this.currentNote;
+    const error = time + (nextStep - step) * secondsPerStep - this.nextNoteTime;
+
+    if (!immediate && Math.abs(error) < secondsPerStep / 2) {
+      this.nextNoteTime += error * this.clockSyncAmount;
+      return;
+    }
+
+    // Resume from the first clock step that isn't already in the past
+    const now = this.audioContext.currentTime;
+    const clockStep = Math.max(
+      0,
+      Math.ceil(step + Math.max(0, now - time) / secondsPerStep),
+    );
+    this.currentBar = Math.floor(clockStep / this.subdivision);
+    this.currentNote = clockStep % this.subdivision;
+    this.nextNoteTime = time + (clockStep - step) * secondsPerStep;
   }
 
   /**
@@ -500,6 +1803,12 @@ class AudioScheduler {
 
     this.callbacks.clear();
     this.patterns.clear();
+    this.lanes.clear();
+    this.kits.clear();
+    this.sampleBuffers.clear();
+    this.decodedBuffers.clear();
+    this.activeVoices.clear();
+    this.channelBuses.clear();
   }
 }
 
@@ -183,6 +183,50 @@ class DrumMapAdvanced {
     return true;
   }
 
+  // ==========================================
+  // Drum Maps From SFZ Kits
+  // ==========================================
+
+  async generateMapFromKit(sfzUrl, name) {
+    // A private editor leaves the kit being edited in this.sfzEditor alone
+    const sfzData = await new SFZEditor().loadSFZ(sfzUrl);
+    return this.drumMapManager.createMapFromSFZ(name, sfzData, {
+      source: sfzUrl,
+    });
+  }
+
+  /**
+   * Load a generated map's kit into the shared editor and take over its
+   * velocity layers and round robins, once the map is put to use
+   */
+  async loadKitForMap(mapId) {
+    const map = this.drumMapManager.customMaps.get(mapId);
+    const source = map && map.metadata ? map.metadata.sourceKit : null;
+    if (!source) return false;
+
+    await this.sfzEditor.loadSFZ(source);
+    this.importKitLayers(map.mapping);
+    return true;
+  }
+
+  importKitLayers(mapping) {
+    Object.entries(mapping).forEach(([noteKey, data]) => {
+      const note = parseInt(noteKey);
+
+      if (data.velocityLayers) {
+        this.velocityLayers.set(
+          note,
+          data.velocityLayers.map((layer) => ({ ...layer })),
+        );
+      }
+
+      if (data.roundRobin) {
+        this.roundRobinSamples.set(note, data.roundRobin.slice());
+        this.roundRobinCounters.set(note, 0);
+      }
+    });
+  }
+
   // ==========================================
   // A/B Comparison Mode
   // ==========================================
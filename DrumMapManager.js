@@ -45,6 +45,20 @@ class DrumMapManager {
       splash: "#90FF90",
     };
 
+    // Filename keywords used to guess a sample's mixer channel, checked in
+    // order against the lowercased name with non-letters turned into spaces
+    this.channelKeywords = [
+      { channel: "sideStick", pattern: / (side|x|cross) ?stick |rim ?click/ },
+      { channel: "kick", pattern: /kick| bd | kd |bass ?drum/ },
+      { channel: "snare", pattern: /snare| sd | sn |clap/ },
+      { channel: "hihat", pattern: /hi ?hat| hh | hat / },
+      { channel: "bell", pattern: /bell/ },
+      { channel: "ride", pattern: /ride/ },
+      { channel: "splash", pattern: /splash|china/ },
+      { channel: "crash", pattern: /crash| cym/ },
+      { channel: "tom", pattern: /tom|floor/ },
+    ];
+
     this.initialize();
   }
 
@@ -353,6 +367,12 @@ class DrumMapManager {
     return this.currentMap;
   }
 
+  // Factory maps listed in the library manifest
+  addFactoryMap(mapId, map) {
+    this.factoryMaps.set(mapId, map);
+    this.notifyListeners("factoryMapAdded", { id: mapId, map });
+  }
+
   createCustomMap(name, baseMapId = null) {
     const id = `custom_${Date.now()}`;
     let newMap;
@@ -577,6 +597,257 @@ class DrumMapManager {
     };
   }
 
+  /**
+   * Find the note that plays a mixer channel, preferring the given
+   * articulations in order. Returns null if the channel has no notes.
+   */
+  findNote(channel, articulations = ["main"], map = this.currentMap) {
+    if (!map || !map.mapping) return null;
+
+    const candidates = Object.entries(map.mapping)
+      .filter(([, data]) => data.mixerChannel === channel)
+      .map(([note, data]) => ({ note: parseInt(note), data }));
+    if (candidates.length === 0) return null;
+
+    for (const articulation of articulations) {
+      const match = candidates.find(
+        ({ data }) => data.articulation === articulation,
+      );
+      if (match) return match.note;
+    }
+    return candidates[0].note;
+  }
+
+  /**
+   * Build a note -> note table for the player part toggles.
+   * stick: snare strokes move to the side-stick note
+   * ride: hi-hat strokes (not the pedal) move to the ride
+   */
+  getPartRemap({ stick = false, ride = false } = {}, map = this.currentMap) {
+    const remap = new Map();
+    if (!map || !map.mapping) return remap;
+
+    const movePart = (fromChannel, target, keepArticulations) => {
+      if (target === null) return;
+      Object.entries(map.mapping).forEach(([note, data]) => {
+        if (
+          data.mixerChannel === fromChannel &&
+          !keepArticulations.includes(data.articulation) &&
+          parseInt(note) !== target
+        ) {
+          remap.set(parseInt(note), target);
+        }
+      });
+    };
+
+    if (stick) {
+      const sideStick =
+        this.findNote("sideStick", ["main"], map) ??
+        this.findNote("snare", ["sidestick", "rim"], map);
+      movePart("snare", sideStick, ["clap", "sidestick", "rim"]);
+    }
+
+    if (ride) {
+      movePart("hihat", this.findNote("ride", ["main"], map), ["pedal"]);
+    }
+
+    return remap;
+  }
+
+  // ==========================================
+  // Maps Generated From SFZ Kits
+  // ==========================================
+
+  /**
+   * Create a custom map from a parsed SFZ kit (SFZEditor.parseSFZ output).
+   * Each key gets a mixer channel guessed from its sample filename and key
+   * number; velocity layers and round robins are kept on the note entry.
+   * @returns {string} The new custom map id
+   */
+  createMapFromSFZ(name, sfzData, options = {}) {
+    const parser = new SFZEditor();
+    const notes = new Map();
+
+    (sfzData.regions || []).forEach((region) => {
+      if (!region.sample) return;
+      const { lokey, hikey } = parser.getRegionKeyRange(region);
+      for (let note = lokey; note <= hikey; note++) {
+        if (!notes.has(note)) {
+          notes.set(note, []);
+        }
+        notes.get(note).push(region);
+      }
+    });
+
+    const guesses = Array.from(notes.entries()).map(([note, regions]) => ({
+      note,
+      regions,
+      ...this.guessChannel(this.getNoteSample(regions), note),
+    }));
+    this.numberChannels(guesses, "tom", 5);
+    this.numberChannels(guesses, "crash", 3);
+
+    const mapping = {};
+    const unassignedNotes = [];
+    guesses.forEach(({ note, regions, channel, articulation }) => {
+      if (!channel) {
+        unassignedNotes.push(note);
+        return;
+      }
+      mapping[note] = {
+        samplePath: this.getNoteSample(regions),
+        mixerChannel: channel,
+        articulation,
+        ...this.getNoteLayers(regions),
+      };
+    });
+
+    const id = this.createCustomMap(name);
+    const map = this.customMaps.get(id);
+    map.vendor = "SFZ";
+    map.mapping = mapping;
+    map.mixerChannels = this.getEmptyChannelMap();
+    Object.entries(mapping).forEach(([note, data]) => {
+      map.mixerChannels[data.mixerChannel].notes.push(parseInt(note));
+    });
+    map.metadata = {
+      description: `Generated from ${options.source || "an SFZ kit"}`,
+      author: "User",
+      tags: ["custom", "sfz", "generated"],
+      sourceKit: options.source || null,
+      unassignedNotes, // No channel could be guessed; assign these by hand
+    };
+
+    this.updateCustomMap(id, map);
+    return id;
+  }
+
+  /**
+   * Find the custom map previously generated from a kit, if any
+   */
+  findMapForKit(source) {
+    for (const [id, map] of this.customMaps) {
+      if (map.metadata && map.metadata.sourceKit === source) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Guess a mixer channel from a sample filename, falling back to the
+   * General MIDI channel for the key. Toms and crashes come back as
+   * "tom"/"crash" unless GM names the exact drum; numberChannels resolves
+   * the rest.
+   * @returns {Object} { channel, articulation }
+   */
+  guessChannel(samplePath, note) {
+    const fileName = String(samplePath || "")
+      .split(/[\\/]/)
+      .pop()
+      .replace(/\.[^.]*$/, "");
+    const words = ` ${fileName.toLowerCase().replace(/[^a-z]+/g, " ")} `;
+
+    const gmMap =
+      this.factoryMaps.get("generalMidi") || this.getGeneralMidiMap();
+    const gm = gmMap.mapping[note] || null;
+    const keyword = this.channelKeywords.find(({ pattern }) =>
+      pattern.test(words),
+    );
+
+    let channel = keyword ? keyword.channel : gm ? gm.mixerChannel : null;
+    if (gm && channel && gm.mixerChannel.startsWith(channel)) {
+      // tom -> tom3, crash -> crash2, or an exact match
+      channel = gm.mixerChannel;
+    }
+
+    return {
+      channel,
+      articulation: this.guessArticulation(
+        words,
+        gm && gm.mixerChannel === channel ? gm.articulation : "main",
+      ),
+    };
+  }
+
+  guessArticulation(words, fallback = "main") {
+    const articulations = ["open", "closed", "pedal", "rim", "edge", "choke"];
+    return (
+      articulations.find((name) => words.includes(` ${name} `)) || fallback
+    );
+  }
+
+  /**
+   * Number generic "tom"/"crash" guesses from the highest key down, skipping
+   * channels the kit already uses (tom1 is the highest tom)
+   */
+  numberChannels(guesses, base, count) {
+    const taken = new Set(guesses.map((guess) => guess.channel));
+    const generic = guesses
+      .filter((guess) => guess.channel === base)
+      .sort((a, b) => b.note - a.note);
+
+    let index = 1;
+    generic.forEach((guess) => {
+      while (index < count && taken.has(`${base}${index}`)) {
+        index++;
+      }
+      guess.channel = `${base}${index}`;
+      taken.add(guess.channel);
+    });
+  }
+
+  /**
+   * The sample that represents a note: the first round robin of its
+   * loudest layer
+   */
+  getNoteSample(regions) {
+    const loudest = regions.reduce((best, region) =>
+      (region.hivel ?? 127) > (best.hivel ?? 127) ? region : best,
+    );
+    return loudest.sample;
+  }
+
+  /**
+   * Velocity layers and round robins in DrumMapAdvanced's format
+   */
+  getNoteLayers(regions) {
+    const layers = new Map();
+    regions.forEach((region) => {
+      const min = region.lovel ?? 0;
+      const max = region.hivel ?? 127;
+      const key = `${min}-${max}`;
+      if (!layers.has(key)) {
+        layers.set(key, { min, max, samples: [] });
+      }
+      layers.get(key).samples.push(region);
+    });
+
+    const sortedLayers = Array.from(layers.values()).sort(
+      (a, b) => a.min - b.min,
+    );
+    const result = {};
+
+    if (sortedLayers.length > 1) {
+      result.velocityLayers = sortedLayers.map((layer) => ({
+        min: layer.min,
+        max: layer.max,
+        sample: layer.samples[0].sample,
+      }));
+    }
+
+    // Round robins: the layer with the most alternating regions
+    const alternating = sortedLayers.reduce((best, layer) =>
+      layer.samples.length > best.samples.length ? layer : best,
+    ).samples;
+    if (alternating.length > 1) {
+      result.roundRobin = alternating
+        .slice()
+        .sort((a, b) => (a.seq_position || 0) - (b.seq_position || 0))
+        .map((region) => region.sample);
+    }
+
+    return result;
+  }
+
   addListener(callback) {
     this.listeners.add(callback);
   }
@@ -520,14 +520,30 @@ class DrumMapPresets {
       return note;
     }
 
+    // A map translated to itself keeps every note
+    if (sourcePreset === targetPreset) {
+      return note;
+    }
+
     // Find what drum sound this note represents in the source
     const drumSound = source.mapping[note];
     if (!drumSound) {
       return note; // No mapping found, return original
     }
 
-    // Find corresponding note in target preset
-    for (const [targetNote, targetSound] of Object.entries(target.mapping)) {
+    // The same sound by name first, so toms and hi-hat articulations keep
+    // their identity; then any sound of the same drum type
+    const targetEntries = Object.entries(target.mapping);
+    const sameSound = targetEntries.find(
+      ([, targetSound]) =>
+        this.normalizeSoundName(targetSound) ===
+        this.normalizeSoundName(drumSound),
+    );
+    if (sameSound) {
+      return parseInt(sameSound[0]);
+    }
+
+    for (const [targetNote, targetSound] of targetEntries) {
       if (this.soundsMatch(drumSound, targetSound)) {
         return parseInt(targetNote);
       }
@@ -537,16 +553,18 @@ class DrumMapPresets {
     return this.findClosestMatch(drumSound, target.mapping, note);
   }
 
+  // Drum sound name reduced for comparison ("Crash Cymbal 1" -> "crash1")
+  normalizeSoundName(sound) {
+    return sound
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "")
+      .replace(/drum|cymbal/g, "");
+  }
+
   soundsMatch(sound1, sound2) {
     // Normalize and compare drum sound names
-    const normalize = (s) =>
-      s
-        .toLowerCase()
-        .replace(/[^a-z0-9]/g, "")
-        .replace(/drum|cymbal/g, "");
-
-    const n1 = normalize(sound1);
-    const n2 = normalize(sound2);
+    const n1 = this.normalizeSoundName(sound1);
+    const n2 = this.normalizeSoundName(sound2);
 
     // Exact match
     if (n1 === n2) return true;
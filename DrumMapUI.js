@@ -9,6 +9,11 @@ class DrumMapUI {
     this.midiLearnActive = false;
     this.midiLearnTarget = null;
 
+    // Sample detail pane: waveform and trim editor for the kit's samples
+    this.sampleTrimEditor =
+      typeof SampleTrimEditor !== "undefined" ? new SampleTrimEditor() : null;
+    this.selectedSample = null; // { sample, kitUrl } shown in the pane
+
     this.initialized = false;
   }
 
@@ -108,6 +113,10 @@ class DrumMapUI {
               <!-- Sample files will be listed here -->
             </div>
           </div>
+          <div id="sample-detail" class="sample-detail">
+            <div id="sample-trim-editor"></div>
+            <button id="export-sfz-btn" class="btn-secondary">Export SFZ</button>
+          </div>
         </div>
 
         <!-- Right Panel: Mixer Channels -->
@@ -148,6 +157,7 @@ class DrumMapUI {
     this.updateMapSelector();
     console.log("createUIStructure - populating sample library...");
     this.populateSampleLibrary();
+    this.attachSampleDetail();
     console.log("createUIStructure - complete!");
   }
 
@@ -747,29 +757,172 @@ class DrumMapUI {
     const sampleList = document.getElementById("sample-list");
     if (!sampleList) return;
 
-    // For now, show a list of common drum samples
-    const samples = [
-      "kick.wav", "kick2.wav", "snare.wav", "snare2.wav",
-      "hihat_closed.wav", "hihat_open.wav", "hihat_pedal.wav",
-      "tom_high.wav", "tom_mid.wav", "tom_low.wav",
-      "crash.wav", "crash2.wav", "ride.wav", "ride_bell.wav",
-      "clap.wav", "cowbell.wav", "tambourine.wav", "splash.wav"
-    ];
-
-    sampleList.innerHTML = "";
-    samples.forEach(sample => {
-      const sampleItem = document.createElement("div");
-      sampleItem.className = "sample-item";
-      sampleItem.style.cssText = "padding: 5px 10px; cursor: pointer; color: var(--text-secondary); font-size: 12px; hover: background: var(--bg-secondary);";
-      sampleItem.textContent = sample;
-      sampleItem.onclick = () => {
-        console.log("Selected sample:", sample);
-        this.updateStatus(`Selected: ${sample}`);
-      };
-      sampleList.appendChild(sampleItem);
+    // List the current kit's samples; without a kit, show a list of common
+    // drum samples
+    this.loadKitSamples().then((kit) => {
+      const samples = kit ? kit.samples : [
+        "kick.wav", "kick2.wav", "snare.wav", "snare2.wav",
+        "hihat_closed.wav", "hihat_open.wav", "hihat_pedal.wav",
+        "tom_high.wav", "tom_mid.wav", "tom_low.wav",
+        "crash.wav", "crash2.wav", "ride.wav", "ride_bell.wav",
+        "clap.wav", "cowbell.wav", "tambourine.wav", "splash.wav"
+      ];
+
+      sampleList.innerHTML = "";
+      samples.forEach(sample => {
+        const sampleItem = document.createElement("div");
+        sampleItem.className = "sample-item";
+        sampleItem.dataset.sample = sample;
+        sampleItem.style.cssText = "padding: 5px 10px; cursor: pointer; color: var(--text-secondary); font-size: 12px; hover: background: var(--bg-secondary);";
+        sampleItem.textContent = sample;
+        sampleItem.onclick = () => {
+          console.log("Selected sample:", sample);
+          this.updateStatus(`Selected: ${sample}`);
+          if (kit) {
+            this.showSampleDetail({ sample, kitUrl: kit.kitUrl });
+          }
+        };
+        sampleList.appendChild(sampleItem);
+      });
     });
   }
 
+  // The .sfz behind the current drum map, or the current player's kit
+  getCurrentKitUrl() {
+    const map = this.drumMapManager.getCurrentMap();
+    if (map && map.metadata && map.metadata.sourceKit) {
+      return map.metadata.sourceKit;
+    }
+
+    const otto = window.otto;
+    const kitName = otto?.playerStates?.[otto.currentPlayer]?.kitName;
+    const kit =
+      kitName &&
+      otto.drumkits &&
+      Object.values(otto.drumkits).find((drumkit) => drumkit.name === kitName);
+    return (kit && kit.path) || null;
+  }
+
+  // Load the current kit into the SFZ editor and list its sample files as
+  // { kitUrl, samples }
+  async loadKitSamples() {
+    const kitUrl = this.getCurrentKitUrl();
+    if (!kitUrl) return null;
+
+    if (this.sfzEditor.sourceUrl !== kitUrl) {
+      try {
+        await this.sfzEditor.loadSFZ(kitUrl);
+      } catch (error) {
+        console.warn(`Could not load kit ${kitUrl}:`, error);
+        return null;
+      }
+    }
+
+    const samples = this.sfzEditor.regions
+      .map((region) => region.sample)
+      .filter((sample) => sample && !String(sample).startsWith("*"));
+    return { kitUrl, samples: [...new Set(samples)] };
+  }
+
+  // The shared SFZ editor also loads kits for drum map review; a trim or
+  // export only goes to the kit its sample was picked from
+  isKitLoaded(kitUrl) {
+    if (this.sfzEditor.sourceUrl === kitUrl) return true;
+
+    this.updateStatus(
+      `The SFZ editor no longer holds ${kitUrl} - pick the sample again`,
+    );
+    return false;
+  }
+
+  attachSampleDetail() {
+    const editorContainer = document.getElementById("sample-trim-editor");
+    if (!editorContainer || !this.sampleTrimEditor) return;
+
+    this.sampleTrimEditor.attach(editorContainer);
+    this.sampleTrimEditor.onApply = (opcodes) =>
+      this.applySampleTrim(this.selectedSample, opcodes);
+
+    const exportBtn = document.getElementById("export-sfz-btn");
+    if (exportBtn) {
+      exportBtn.onclick = () => this.exportKitSFZ();
+    }
+
+    // The panel is rebuilt on every open; keep showing the last sample
+    if (this.selectedSample) {
+      document.getElementById("sample-detail").classList.add("active");
+    }
+  }
+
+  // Show a kit sample's waveform with its current offset/end/fade
+  async showSampleDetail(selection) {
+    const pane = document.getElementById("sample-detail");
+    if (!pane || !this.sampleTrimEditor) return;
+    if (!this.isKitLoaded(selection.kitUrl)) return;
+
+    const { sample, kitUrl } = selection;
+    this.selectedSample = selection;
+    pane.classList.add("active");
+
+    // Share the engine's context so auditions follow the output device
+    if (!this.sampleTrimEditor.audioContext) {
+      this.sampleTrimEditor.audioContext =
+        window.otto?.audioScheduler?.audioContext || null;
+    }
+
+    const region =
+      this.sfzEditor.regions.find((candidate) => candidate.sample === sample) ||
+      {};
+    const loaded = await this.sampleTrimEditor.load(
+      this.getSampleUrl(sample, kitUrl),
+      sample,
+      {
+        offset: region.offset,
+        end: region.end,
+        release: region.ampeg_release,
+      },
+    );
+    if (!loaded && this.selectedSample === selection) {
+      this.updateStatus(`Could not load sample: ${sample}`);
+    }
+  }
+
+  getSampleUrl(sample, kitUrl) {
+    const base = new URL(kitUrl, window.location.href);
+    return new URL(String(sample).replace(/\\/g, "/"), base).href;
+  }
+
+  // Write a trim back to every region playing the sample, in the SFZ
+  // editor and in the loaded kit
+  applySampleTrim(selection, opcodes) {
+    if (!selection || !this.isKitLoaded(selection.kitUrl)) return;
+
+    const { sample, kitUrl } = selection;
+    const updated = this.sfzEditor.updateRegions({ sample }, opcodes);
+    window.otto?.audioScheduler?.updateSampleOpcodes(kitUrl, sample, opcodes);
+
+    this.updateStatus(
+      `Trimmed ${sample}: offset=${opcodes.offset} end=${opcodes.end} ampeg_release=${opcodes.ampeg_release} (${updated} region${updated === 1 ? "" : "s"})`,
+    );
+  }
+
+  exportKitSFZ() {
+    const kitUrl = this.selectedSample && this.selectedSample.kitUrl;
+    if (!kitUrl || !this.isKitLoaded(kitUrl)) return;
+
+    const blob = new Blob([this.sfzEditor.generateSFZ()], {
+      type: "text/plain",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = kitUrl.split("/").pop();
+    a.click();
+    URL.revokeObjectURL(url);
+
+    this.updateStatus(`Exported ${a.download}`);
+  }
+
   drawMappingConnections() {
     const map = this.drumMapManager.getCurrentMap();
     if (!map) return;
@@ -891,6 +1044,22 @@ class DrumMapUI {
     }
   }
 
+  // Activate a map generated from an SFZ kit and show it for review
+  showGeneratedMap(mapId) {
+    if (!this.drumMapManager.setActiveMap(mapId, "custom")) return;
+
+    const map = this.drumMapManager.getCurrentMap();
+    const unassigned = map.metadata?.unassignedNotes || [];
+    this.updateMapSelector();
+    this.loadCurrentMap();
+    this.updateStatus(
+      `Generated "${map.name}" with ${Object.keys(map.mapping).length} notes - review the channel assignments` +
+        (unassigned.length > 0
+          ? ` (unassigned: ${unassigned.map((note) => this.getNoteDisplay(note)).join(", ")})`
+          : ""),
+    );
+  }
+
   duplicateCurrentMap() {
     const currentMap = this.drumMapManager.getCurrentMap();
     if (!currentMap) return;
@@ -1166,12 +1335,17 @@ class DrumMapUI {
         break;
       case "mapCreated":
       case "mapDeleted":
+      case "factoryMapAdded":
         this.updateMapSelector();
         break;
     }
   }
 
   destroy() {
+    if (this.sampleTrimEditor) {
+      this.sampleTrimEditor.destroy();
+    }
+    this.selectedSample = null;
     this.initialized = false;
     this.selectedNote = null;
     this.draggedElement = null;
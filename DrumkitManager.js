@@ -32,6 +32,15 @@ class DrumkitManager {
       "overhead",
     ];
 
+    // Mic positions a multi-variant kit can be blended from, and the kit
+    // name suffixes that identify them ("Acc Dry", "Acc Room", "Acc Wet")
+    this.micPositions = ["close", "room", "overhead"];
+    this.micPositionSuffixes = {
+      close: ["dry", "close", "direct"],
+      room: ["room", "amb", "ambient", "ambience"],
+      overhead: ["wet", "oh", "overhead", "overheads"],
+    };
+
     // Listeners
     this.listeners = new Map();
 
@@ -712,6 +721,120 @@ class DrumkitManager {
       .replace(/[^a-z0-9\-]/g, "");
   }
 
+  /**
+   * Split a kit name like "Acc Room" into its base name and mic position
+   * @returns {Object|null} { baseName, position }, or null if the name has
+   *   no mic position suffix
+   */
+  parseMicVariant(name) {
+    const match = String(name).match(/^(.*\S)[\s_-]+(\w+)$/);
+    if (!match) return null;
+
+    const suffix = match[2].toLowerCase();
+    const position = this.micPositions.find((candidate) =>
+      this.micPositionSuffixes[candidate].includes(suffix),
+    );
+    return position ? { baseName: match[1], position } : null;
+  }
+
+  /**
+   * Merge kits that are mic-position variants of one kit (same folder,
+   * same base name, at least two positions) into a single kit whose
+   * micPositions list the variant .sfz files. Other kits pass through.
+   * @param {Object} drumkits - Kits keyed for the kit dropdown
+   * @returns {Object} Kits in the same shape, with variants merged
+   */
+  groupMicVariants(drumkits) {
+    const groups = new Map();
+    Object.entries(drumkits).forEach(([kitKey, kit]) => {
+      const variant = kit.path ? this.parseMicVariant(kit.name) : null;
+      if (!variant) return;
+
+      const folder = kit.path.substring(0, kit.path.lastIndexOf("/") + 1);
+      const groupKey = `${folder}${variant.baseName.toLowerCase()}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { baseName: variant.baseName, variants: [] });
+      }
+      groups.get(groupKey).variants.push({ kitKey, kit, ...variant });
+    });
+
+    const merged = { ...drumkits };
+    groups.forEach(({ baseName, variants }) => {
+      const positions = {};
+      variants.forEach(({ kit, position }) => {
+        if (!positions[position]) {
+          positions[position] = { name: kit.name, path: kit.path };
+        }
+      });
+      if (Object.keys(positions).length < 2) return;
+
+      // The close mics (or the first position found) stand in for the kit
+      // wherever a single .sfz is needed
+      const primary =
+        positions.close ||
+        positions[this.micPositions.find((p) => positions[p])];
+      const base = variants.find(({ kit }) => kit.path === primary.path).kit;
+
+      variants.forEach(({ kitKey }) => delete merged[kitKey]);
+      merged[baseName.replace(/[^a-zA-Z0-9]/g, "")] = {
+        ...base,
+        name: baseName,
+        path: primary.path,
+        micPositions: positions,
+      };
+
+      this.registerMicKit(baseName, positions, base);
+    });
+
+    return merged;
+  }
+
+  /**
+   * Record a kit's mic positions, creating the kit if it is new
+   */
+  registerMicKit(name, positions, kitData = {}) {
+    const key = this.generateKitKey(name);
+    if (!this.drumkits.has(key)) {
+      this.importDrumkit({
+        name,
+        description: kitData.description || "",
+        metadata: {
+          path: kitData.path || "",
+          category: kitData.category || "",
+        },
+      });
+    }
+
+    const kit = this.drumkits.get(key);
+    kit.micPositions = positions;
+    this.notifyListeners("mic-positions-change", key, positions);
+    return key;
+  }
+
+  /**
+   * Get the mic positions of a kit, or null for single-position kits
+   */
+  getMicPositions(kitKey) {
+    const kit = this.drumkits.get(kitKey);
+    return (kit && kit.micPositions) || null;
+  }
+
+  /**
+   * Default blend: the close mics (or the first position) at full level,
+   * the rest off
+   * @returns {Object} { position: level 0-100 }
+   */
+  createDefaultMicBlend(positions) {
+    const available = this.micPositions.filter((p) => positions[p]);
+    const lead = available.includes("close") ? "close" : available[0];
+
+    const blend = {};
+    available.forEach((position) => {
+      blend[position] = position === lead ? 100 : 0;
+    });
+    return blend;
+  }
+
   /**
    * Add listener
    */
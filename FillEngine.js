@@ -0,0 +1,229 @@
+/**
+ * FillEngine.js
+ * Decides when a player lane swaps its groove for a fill pattern
+ * Modes follow the fill buttons: "4"/"8"/"16"/"32" bar intervals,
+ * "now" (one fill on the next bar) and "solo" (fills back to back)
+ */
+
+class FillEngine {
+  constructor() {
+    // Fill patterns: [{ name, pattern }] where pattern is a step array
+    this.fills = [];
+
+    // Seed for fill selection; the same seed always picks the same fills
+    this.seed = 1;
+
+    this.intervalModes = ["4", "8", "16", "32"];
+
+    // Called with (laneId, type, info) when a fill starts or ends
+    this.onFillEvent = null;
+  }
+
+  /**
+   * Replace the fill library. Sorted by name so selection does not depend
+   * on the order files finished loading.
+   */
+  setFills(fills) {
+    this.fills = (fills || [])
+      .filter((fill) => fill && fill.pattern && fill.pattern.length > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  setSeed(seed) {
+    this.seed = Number(seed) || 0;
+  }
+
+  /**
+   * Set a lane's fill mode. "now" and "solo" arm on the next bar; when a
+   * "now" fill finishes the lane returns to returnMode.
+   */
+  setMode(lane, mode, returnMode = null) {
+    const previous = lane.fill || {};
+
+    // Re-sending the current mode keeps an armed or running fill in place
+    if (previous.mode === (mode ? String(mode) : null)) {
+      if (returnMode !== null) {
+        previous.returnMode = String(returnMode);
+      }
+      return;
+    }
+
+    // Switching modes lets a running fill finish, but a new "now" fill
+    // replaces it outright
+    if (mode === "now" && lane.activeFill) {
+      this.endFill(lane, lane.activeFill);
+    }
+
+    lane.fill = {
+      mode: mode ? String(mode) : null,
+      returnMode:
+        returnMode !== null
+          ? String(returnMode)
+          : this.intervalModes.includes(previous.mode)
+            ? previous.mode
+            : previous.returnMode || null,
+      armedBar: null,
+    };
+  }
+
+  /**
+   * Forget any fill in progress, e.g. on stop or seek
+   */
+  reset(lane) {
+    lane.activeFill = null;
+    if (lane.fill) {
+      lane.fill.armedBar = null;
+    }
+  }
+
+  /**
+   * Resolve which pattern and step a lane should play.
+   * Must be called for lane steps in ascending order.
+   * @returns {Object|null} { pattern, step, fill } while a fill is playing
+   */
+  resolveStep(lane, step, subdivision) {
+    if (this.fills.length === 0 || !lane.fill || !lane.fill.mode) {
+      return lane.activeFill
+        ? this.continueFill(lane, step, subdivision)
+        : null;
+    }
+
+    const bar = Math.floor(step / subdivision);
+    const stepInBar = step - bar * subdivision;
+
+    if (lane.activeFill && bar >= lane.activeFill.endBar) {
+      this.endFill(lane, lane.activeFill);
+    }
+
+    if (
+      !lane.activeFill &&
+      stepInBar === 0 &&
+      this.shouldStartFill(lane, bar, subdivision)
+    ) {
+      this.startFill(lane, bar, subdivision);
+    }
+
+    return this.continueFill(lane, step, subdivision);
+  }
+
+  shouldStartFill(lane, bar, subdivision) {
+    const { mode } = lane.fill;
+
+    if (mode === "now" || mode === "solo") {
+      if (lane.fill.armedBar === null) {
+        lane.fill.armedBar = bar;
+      }
+      return bar >= lane.fill.armedBar;
+    }
+
+    const interval = parseInt(mode, 10);
+    if (!interval) return false;
+
+    // The fill occupies the last bars of each interval
+    const fillBars = Math.min(
+      interval,
+      this.getFillBars(this.pickFill(lane.id, bar), subdivision),
+    );
+    return bar % interval === interval - fillBars;
+  }
+
+  startFill(lane, bar, subdivision) {
+    const fill = this.pickFill(lane.id, bar);
+    const fillBars = this.getFillBars(fill, subdivision);
+
+    lane.activeFill = {
+      fill,
+      mode: lane.fill.mode,
+      startBar: bar,
+      endBar: bar + fillBars,
+    };
+
+    this.emit(lane.id, "start", {
+      name: fill.name,
+      bar,
+      bars: fillBars,
+      mode: lane.fill.mode,
+    });
+  }
+
+  continueFill(lane, step, subdivision) {
+    const active = lane.activeFill;
+    if (!active) return null;
+
+    const offset = step - active.startBar * subdivision;
+    if (offset < 0 || step >= active.endBar * subdivision) {
+      this.endFill(lane, active);
+      return null;
+    }
+
+    return {
+      pattern: active.fill.pattern,
+      step: offset % active.fill.pattern.length,
+      fill: active.fill.name,
+    };
+  }
+
+  endFill(lane, active) {
+    lane.activeFill = null;
+
+    // A "now" fill is one-shot: fall back to the interval it replaced
+    if (lane.fill && lane.fill.mode === "now" && active.mode === "now") {
+      lane.fill = {
+        mode: lane.fill.returnMode,
+        returnMode: lane.fill.returnMode,
+        armedBar: null,
+      };
+    }
+
+    this.emit(lane.id, "end", {
+      name: active.fill.name,
+      bar: active.endBar,
+      mode: active.mode,
+    });
+  }
+
+  /**
+   * Pick a fill for a lane at a bar. Pure function of seed, lane and bar,
+   * so a given seed reproduces the same sequence of fills.
+   */
+  pickFill(laneId, bar) {
+    const lane = typeof laneId === "number" ? laneId : this.hashString(laneId);
+    const index = Math.floor(
+      this.random(this.seed, lane, bar) * this.fills.length,
+    );
+    return this.fills[index];
+  }
+
+  getFillBars(fill, subdivision = 16) {
+    return Math.max(1, Math.ceil(fill.pattern.length / subdivision));
+  }
+
+  random(seed, lane, bar) {
+    let hash =
+      Math.imul(seed | 0, 2654435761) ^ Math.imul(lane | 0, 1597334677);
+    hash = Math.imul(hash ^ (bar | 0), 2246822519);
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 3266489917);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+  }
+
+  hashString(value) {
+    let hash = 0;
+    for (const char of String(value)) {
+      hash = Math.imul(hash, 31) + char.charCodeAt(0);
+    }
+    return hash;
+  }
+
+  emit(laneId, type, info) {
+    if (this.onFillEvent) {
+      this.onFillEvent(laneId, type, info);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FillEngine;
+}
@@ -0,0 +1,624 @@
+/**
+ * GrooveCatalog.js
+ * Parses every groove and fill once and keeps searchable metadata for
+ * each: tempo, meter, bar count, note density, kick/snare/hat activity,
+ * swing amount and a category inferred from the folder and name.
+ * The catalog is cached through StorageManager and only files whose
+ * content hash changed are parsed again.
+ */
+
+class GrooveCatalog {
+  constructor(midiTranslator, storageManager = null, options = {}) {
+    this.midiTranslator = midiTranslator;
+    this.storageManager = storageManager;
+    this.basePath = options.basePath || "./Assets/MidiFiles/";
+    this.storageKey = "grooveCatalog";
+
+    // Bump when the analysis changes so cached entries are rebuilt
+    this.version = 2;
+
+    // Pattern name -> entry
+    this.entries = new Map();
+    this.buildPromise = null;
+
+    this.lanes = ["kick", "snare", "hat"];
+
+    // Share of a bar's 16th steps that are hit, per lane
+    this.activityLevels = [
+      { level: "none", max: 0 },
+      { level: "sparse", max: 0.25 },
+      { level: "medium", max: 0.5 },
+      { level: "busy", max: Infinity },
+    ];
+
+    // Notes per quarter-note beat, all lanes together
+    this.densityLevels = [
+      { level: "sparse", max: 3 },
+      { level: "medium", max: 4.5 },
+      { level: "busy", max: Infinity },
+    ];
+
+    // Swing amounts use the swing slider's 0-100 scale (GrooveTransformer)
+    this.minSwingRatio = 0.5;
+    this.maxSwingRatio = 0.75;
+    this.swungThreshold = 20;
+
+    // How much each part of a groove counts towards similarity
+    this.similarityWeights = {
+      lanes: { kick: 0.3, snare: 0.25, hat: 0.2 },
+      density: 0.15,
+      swing: 0.1,
+    };
+
+    // First match wins, so more specific styles come first
+    this.styleKeywords = [
+      { category: "Hip Hop", keywords: ["hip hop", "rap", "trip hop", "badu"] },
+      {
+        category: "Reggae",
+        keywords: ["reggae", "dancehall", "rudeboy", "ska"],
+      },
+      {
+        category: "Latin",
+        keywords: [
+          "afro",
+          "bossa",
+          "samba",
+          "cha cha",
+          "rhumba",
+          "salsa",
+          "latin",
+          "brazil",
+          "rio ",
+          "carribean",
+          "carnival",
+        ],
+      },
+      { category: "Country", keywords: ["country", "zydeco"] },
+      { category: "Blues", keywords: ["blues", "boogie", "shuffle"] },
+      { category: "Jazz", keywords: ["jazz", "swing", "fusion"] },
+      { category: "Funk", keywords: ["funk", "funky"] },
+      { category: "Soul", keywords: ["soul", "motown"] },
+      { category: "Ballad", keywords: ["ballad"] },
+      {
+        category: "Rock",
+        keywords: ["rock", "punk", "metal", "wave", "indie", "surf"],
+      },
+      { category: "Dance", keywords: ["house", "disco", "dance"] },
+    ];
+  }
+
+  // ==========================================
+  // Building
+  // ==========================================
+
+  /**
+   * Catalog a list of MIDI files. Concurrent calls share one build.
+   * @param {Array} files - { name, path, category, sha256 } entries with
+   *   paths relative to the MIDI base path
+   * @returns {Promise<Map>} Pattern name -> entry
+   */
+  build(files) {
+    if (!this.buildPromise) {
+      this.buildPromise = this.buildEntries(files).finally(() => {
+        this.buildPromise = null;
+      });
+    }
+    return this.buildPromise;
+  }
+
+  async buildEntries(files) {
+    const cached = await this.loadCache();
+    const entries = new Map();
+    let parsedCount = 0;
+
+    // One file at a time keeps startup light; cached files cost nothing
+    for (const file of files) {
+      const previous = cached[file.path];
+      if (previous && this.isCurrent(previous, file)) {
+        entries.set(file.name, { ...previous, name: file.name });
+        continue;
+      }
+
+      try {
+        entries.set(file.name, await this.catalogFile(file));
+        parsedCount++;
+      } catch (error) {
+        console.warn(`Could not catalog "${file.path}":`, error);
+      }
+    }
+
+    this.entries = entries;
+    if (parsedCount > 0) {
+      await this.saveCache();
+    }
+
+    return this.entries;
+  }
+
+  isCurrent(entry, file) {
+    return (
+      entry.version === this.version &&
+      (entry.sha256 || null) === (file.sha256 || null)
+    );
+  }
+
+  async catalogFile(file) {
+    const response = await fetch(`${this.basePath}${file.path}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const parsed = this.midiTranslator.parseMidiData(
+      await response.arrayBuffer(),
+    );
+    return this.analyze(parsed, file);
+  }
+
+  async loadCache() {
+    if (!this.storageManager) return {};
+
+    const data = await this.storageManager.load(this.storageKey);
+    return data && data.entries ? data.entries : {};
+  }
+
+  saveCache() {
+    if (!this.storageManager) return Promise.resolve(false);
+
+    const entries = {};
+    this.entries.forEach((entry) => {
+      entries[entry.path] = entry;
+    });
+    return this.storageManager.save(this.storageKey, {
+      version: this.version,
+      entries,
+    });
+  }
+
+  // ==========================================
+  // Analysis
+  // ==========================================
+
+  /**
+   * Summarize a parsed MIDI file (MidiTranslator.parseMidiData output)
+   */
+  analyze(parsed, file = {}) {
+    const notes = parsed.events.filter((event) => event.type === "noteOn");
+    const meter = parsed.timeSignature || "4/4";
+    const [numerator, denominator] = meter.split("/").map(Number);
+    const beatsPerBar = (numerator * 4) / (denominator || 4) || 4;
+    const lengthBeats =
+      parsed.length && parsed.length.beats
+        ? parsed.length.beats
+        : parsed.duration || beatsPerBar;
+    const bars = Math.max(1, Math.ceil((lengthBeats - 0.001) / beatsPerBar));
+    const stepsPerBar = Math.round(beatsPerBar * 4);
+
+    const onsets = this.getOnsetVectors(parsed, bars, stepsPerBar);
+
+    const activity = {};
+    this.lanes.forEach((lane) => {
+      const onsets = new Set(
+        notes
+          .filter((event) => this.getLane(event.note) === lane)
+          .map((event) => Math.round(event.time * 4)),
+      );
+      const coverage = onsets.size / (bars * stepsPerBar);
+      activity[lane] = {
+        hitsPerBar: this.round(onsets.size / bars, 2),
+        level: this.getLevel(this.activityLevels, coverage),
+      };
+    });
+
+    const notesPerBeat = notes.length / (bars * beatsPerBar);
+    const folder = this.getFolder(file.path || "");
+
+    return {
+      version: this.version,
+      name: file.name || "",
+      path: file.path || "",
+      sha256: file.sha256 || null,
+      folder,
+      type: /^fills?\b/i.test(folder) ? "fill" : "groove",
+      category: this.inferCategory(file.name || "", folder),
+      tempo: Math.round(parsed.tempo || 120),
+      meter,
+      bars,
+      noteCount: notes.length,
+      density: this.round(notesPerBeat, 2),
+      densityLevel: this.getLevel(this.densityLevels, notesPerBeat),
+      activity,
+      onsets,
+      swing: this.estimateSwing(notes),
+    };
+  }
+
+  /**
+   * Fold a groove onto one bar of 16th steps per lane. Each step holds
+   * the average velocity (0-1) hitting it per bar, so a hat on every 8th
+   * in a four-bar groove looks the same as in a one-bar groove.
+   */
+  getOnsetVectors(parsed, bars, stepsPerBar) {
+    const onsets = {};
+    this.lanes.forEach((lane) => {
+      onsets[lane] = new Array(stepsPerBar).fill(0);
+    });
+
+    const grid = this.midiTranslator.convertToPatternGrid(parsed, {
+      subdivisions: [4],
+    });
+    const stepTicks = grid.ticksPerQuarter / 4;
+    grid.steps.forEach((gridStep) => {
+      const bar = grid.bars[gridStep.bar];
+      const step =
+        Math.round((gridStep.tick - bar.tick) / stepTicks) % stepsPerBar;
+      gridStep.hits.forEach((hit) => {
+        const lane = this.getLane(hit.note);
+        if (lane) {
+          onsets[lane][step] += hit.velocity / 127 / bars;
+        }
+      });
+    });
+
+    this.lanes.forEach((lane) => {
+      onsets[lane] = onsets[lane].map((value) => this.round(value, 2));
+    });
+    return onsets;
+  }
+
+  /**
+   * Kick, snare or hat by General MIDI note number; everything else is
+   * left out of the lane activity
+   */
+  getLane(note) {
+    if (note === 35 || note === 36) return "kick";
+    if (note >= 37 && note <= 40) return "snare";
+    if (note === 42 || note === 44 || note === 46) return "hat";
+    return null;
+  }
+
+  getLevel(levels, value) {
+    return levels.find((entry) => value <= entry.max).level;
+  }
+
+  /**
+   * Estimate swing on the 0-100 slider scale from how late the off-beat
+   * of each pair lands: off-beat 16ths when the groove has them, otherwise
+   * off-beat 8ths. A triplet feel comes out around 67.
+   */
+  estimateSwing(notes) {
+    for (const pairLength of [0.5, 1]) {
+      const ratios = [];
+      notes.forEach((event) => {
+        const inPair = (event.time % pairLength) / pairLength;
+        if (inPair >= 0.4 && inPair <= 0.85) {
+          ratios.push(inPair);
+        }
+      });
+
+      if (ratios.length > 0) {
+        ratios.sort((a, b) => a - b);
+        const median = ratios[Math.floor(ratios.length / 2)];
+        const amount =
+          (median - this.minSwingRatio) /
+          (this.maxSwingRatio - this.minSwingRatio);
+        return Math.round(Math.max(0, Math.min(1, amount)) * 100);
+      }
+    }
+    return 0;
+  }
+
+  getFolder(path) {
+    const index = path.lastIndexOf("/");
+    return index > 0 ? path.substring(0, index) : "";
+  }
+
+  /**
+   * Pick a style from keywords in the name, then in the folder path
+   */
+  inferCategory(name, folder) {
+    const sources = [name, folder.replace(/\//g, " ")].map(
+      (text) => ` ${text.toLowerCase()} `,
+    );
+
+    for (const text of sources) {
+      const style = this.styleKeywords.find(({ keywords }) =>
+        keywords.some((keyword) => text.includes(keyword)),
+      );
+      if (style) return style.category;
+    }
+    return "Other";
+  }
+
+  round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  // ==========================================
+  // Search
+  // ==========================================
+
+  get(name) {
+    return this.entries.get(name) || null;
+  }
+
+  /**
+   * Parse a search string such as "3/4, under 100 BPM, sparse" into
+   * attribute filters and the plain words left over.
+   *
+   * Understood: meters ("6/8"), tempos ("under 100 bpm", "over 120 bpm",
+   * "90-110 bpm", "100 bpm"), bar counts ("4 bars"), density and activity
+   * levels ("sparse", "busy hats", "no kick"), "swung"/"straight" and
+   * field:value terms (tempo<100, swing>=30,
+   * hat:busy, category:funk, meter:3/4, bars:2).
+   * @returns {Object} { filters: [{ field, op, value, lane }], terms: [] }
+   */
+  parseQuery(text) {
+    const filters = [];
+    let rest = ` ${String(text || "").toLowerCase()} `;
+
+    const take = (pattern, toFilters) => {
+      rest = rest.replace(pattern, (...match) => {
+        filters.push(...toFilters(match));
+        return " ";
+      });
+    };
+    const levels = "none|sparse|medium|busy";
+    const lanes = "kicks?|snares?|hats?|hi-?hats?";
+
+    take(
+      /\b(tempo|bpm|bars|swing|density|meter|category|type|kick|snare|hat)\s*(<=|>=|<|>|=|:)\s*([\w/.]+)/g,
+      ([, field, op, value]) => [this.fieldFilter(field, op, value)],
+    );
+    take(
+      /\b(\d+(?:\.\d+)?)\s*(?:-|to)\s*(\d+(?:\.\d+)?)\s*bpm\b/g,
+      ([, low, high]) => [
+        { field: "tempo", op: ">=", value: Number(low) },
+        { field: "tempo", op: "<=", value: Number(high) },
+      ],
+    );
+    take(
+      /\b(under|below|less than|slower than|over|above|more than|faster than)\s*(\d+(?:\.\d+)?)\s*(?:bpm)?/g,
+      ([, word, value]) => [
+        {
+          field: "tempo",
+          op: /under|below|less|slower/.test(word) ? "<" : ">",
+          value: Number(value),
+        },
+      ],
+    );
+    take(/([<>]=?)\s*(\d+(?:\.\d+)?)\s*bpm\b/g, ([, op, value]) => [
+      { field: "tempo", op, value: Number(value) },
+    ]);
+    take(/\b(\d+(?:\.\d+)?)\s*bpm\b/g, ([, value]) => [
+      { field: "tempo", op: "~", value: Number(value) },
+    ]);
+    take(/\b(\d+)\/(\d+)\b/g, ([, numerator, denominator]) => [
+      { field: "meter", op: "=", value: `${numerator}/${denominator}` },
+    ]);
+    take(/\b(\d+)\s*bars?\b/g, ([, value]) => [
+      { field: "bars", op: "=", value: Number(value) },
+    ]);
+    take(
+      new RegExp(`\\b(no|${levels})\\s+(${lanes})\\b`, "g"),
+      ([, level, lane]) => [
+        {
+          field: "activity",
+          lane: this.normalizeLane(lane),
+          op: "=",
+          value: level === "no" ? "none" : level,
+        },
+      ],
+    );
+    take(/\b(sparse|medium|busy|dense)\b/g, ([, level]) => [
+      {
+        field: "densityLevel",
+        op: "=",
+        value: level === "dense" ? "busy" : level,
+      },
+    ]);
+    take(/\bswung\b/g, () => [
+      { field: "swing", op: ">=", value: this.swungThreshold },
+    ]);
+    take(/\bstraight\b/g, () => [
+      { field: "swing", op: "<", value: this.swungThreshold },
+    ]);
+
+    const terms = rest
+      .split(/[\s,;]+/)
+      .map((term) => term.trim())
+      .filter(Boolean);
+
+    return { filters, terms };
+  }
+
+  fieldFilter(field, op, value) {
+    const numeric = ["tempo", "bpm", "bars", "swing", "density"];
+    const filter = {
+      field: field === "bpm" ? "tempo" : field,
+      op: op === ":" ? "=" : op,
+      value: numeric.includes(field) ? Number(value) : value,
+    };
+
+    if (this.lanes.includes(field)) {
+      filter.lane = field;
+      filter.field = "activity";
+    }
+    // density:sparse filters on the level, density>4 on notes per beat
+    if (field === "density" && !Number.isFinite(filter.value)) {
+      filter.field = "densityLevel";
+      filter.value = value;
+    }
+    return filter;
+  }
+
+  normalizeLane(lane) {
+    if (lane.startsWith("kick")) return "kick";
+    if (lane.startsWith("snare")) return "snare";
+    return "hat";
+  }
+
+  /**
+   * Does a pattern match a parsed query? Plain words are matched against
+   * the name, category and folder; patterns without a catalog entry only
+   * pass queries that have no attribute filters.
+   */
+  matches(name, query) {
+    const entry = this.get(name);
+    const haystack = entry
+      ? `${name} ${entry.category} ${entry.folder}`.toLowerCase()
+      : name.toLowerCase();
+
+    if (!query.terms.every((term) => haystack.includes(term))) {
+      return false;
+    }
+    if (query.filters.length === 0) return true;
+    if (!entry) return false;
+
+    return query.filters.every((filter) => this.matchFilter(entry, filter));
+  }
+
+  matchFilter(entry, filter) {
+    let actual = entry[filter.field];
+    if (filter.field === "activity") {
+      actual = entry.activity[filter.lane]?.level;
+    }
+    if (actual === undefined || actual === null) return false;
+
+    if (typeof filter.value === "string") {
+      return String(actual).toLowerCase() === filter.value.toLowerCase();
+    }
+
+    switch (filter.op) {
+      case "<":
+        return actual < filter.value;
+      case "<=":
+        return actual <= filter.value;
+      case ">":
+        return actual > filter.value;
+      case ">=":
+        return actual >= filter.value;
+      case "~":
+        // "100 bpm" also finds grooves a few BPM either side
+        return Math.abs(actual - filter.value) <= filter.value * 0.05;
+      default:
+        return actual === filter.value;
+    }
+  }
+
+  /**
+   * Catalog entries matching a search string, sorted by name
+   * @param {string} text - Search string (see parseQuery)
+   * @param {Array} names - Optional pattern names to search within
+   */
+  search(text, names = null) {
+    const query = this.parseQuery(text);
+    const candidates = names || Array.from(this.entries.keys());
+
+    return candidates
+      .filter((name) => this.matches(name, query))
+      .sort((a, b) => a.localeCompare(b))
+      .map((name) => this.get(name) || { name });
+  }
+
+  // ==========================================
+  // Similarity
+  // ==========================================
+
+  /**
+   * Rank patterns by rhythmic similarity to one pattern
+   * @param {string} name - Pattern to compare against
+   * @param {Object} options - { candidates: names to rank (default: the
+   *   whole catalog), limit, sameType: only grooves for a groove and
+   *   fills for a fill (default true) }
+   * @returns {Array} [{ name, score (0-1), entry }], best match first
+   */
+  findSimilar(name, options = {}) {
+    const source = this.get(name);
+    if (!source) return [];
+
+    const { limit = 12, sameType = true } = options;
+    const candidates = options.candidates || Array.from(this.entries.keys());
+
+    return candidates
+      .filter((candidate) => candidate !== name)
+      .map((candidate) => this.get(candidate))
+      .filter((entry) => entry && (!sameType || entry.type === source.type))
+      .map((entry) => ({
+        name: entry.name,
+        score: this.round(this.similarity(source, entry), 3),
+        entry,
+      }))
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  /**
+   * Similarity of two catalog entries from 0 to 1: per-lane onset
+   * vectors (cosine), then how close their density and swing are
+   */
+  similarity(a, b) {
+    const weights = this.similarityWeights;
+    let score = 0;
+
+    Object.entries(weights.lanes).forEach(([lane, weight]) => {
+      score +=
+        weight * this.cosine(a.onsets?.[lane] || [], b.onsets?.[lane] || []);
+    });
+
+    const maxDensity = Math.max(a.density, b.density);
+    const density =
+      maxDensity > 0 ? 1 - Math.abs(a.density - b.density) / maxDensity : 1;
+    score += weights.density * density;
+    score += weights.swing * (1 - Math.abs(a.swing - b.swing) / 100);
+
+    return score;
+  }
+
+  /**
+   * Cosine similarity of two onset vectors. Bars of different lengths
+   * are compared step for step from the downbeat; two silent lanes count
+   * as identical.
+   */
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const x = a[i] || 0;
+      const y = b[i] || 0;
+      dot += x * y;
+      normA += x * x;
+      normB += y * y;
+    }
+
+    if (normA === 0 && normB === 0) return 1;
+    if (normA === 0 || normB === 0) return 0;
+    return dot / Math.sqrt(normA * normB);
+  }
+
+  /**
+   * One-line summary for tooltips, e.g. "Funk · 98 BPM · 4/4 · 2 bars"
+   */
+  describe(name) {
+    const entry = this.get(name);
+    if (!entry) return "";
+
+    const parts = [
+      entry.category,
+      `${entry.tempo} BPM`,
+      entry.meter,
+      `${entry.bars} ${entry.bars === 1 ? "bar" : "bars"}`,
+      entry.densityLevel,
+    ];
+    if (entry.swing >= this.swungThreshold) {
+      parts.push(`swing ${entry.swing}`);
+    }
+    return parts.join(" · ");
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GrooveCatalog;
+}
@@ -0,0 +1,196 @@
+/**
+ * GrooveExporter.js
+ * Exports library grooves as Standard MIDI Files with their notes
+ * translated to another drum map (GM, AD2, SD3, BFD3, SSD5...), so they
+ * drop straight into a DAW drum instrument. A player's swing and energy
+ * can optionally be baked into the notes. Pattern groups export as a zip.
+ */
+
+class GrooveExporter {
+  constructor(midiTranslator, options = {}) {
+    this.midiTranslator = midiTranslator;
+    this.basePath = options.basePath || "./Assets/MidiFiles/";
+    this.grooveTransformer =
+      options.grooveTransformer ||
+      (typeof GrooveTransformer !== "undefined"
+        ? new GrooveTransformer()
+        : null);
+
+    // OTTO's groove library is written in General MIDI; vendor detection
+    // is only a guess, so it isn't used for library files
+    this.sourceVendor = "generalMidi";
+
+    // Step grid used when baking swing and energy (16ths, as played)
+    this.stepsPerBeat = 4;
+  }
+
+  /**
+   * Export one groove
+   * @param {Object} pattern - { name, path } with path relative to basePath
+   * @param {Object} options - { targetVendor, sourceVendor, groove:
+   *   { swing, energy } to bake in (null keeps the groove as written),
+   *   seed }
+   * @returns {Promise<Object>} { fileName, data: Uint8Array }
+   */
+  async exportPattern(pattern, options = {}) {
+    const parsed = await this.loadPattern(pattern, options);
+    const translated = this.midiTranslator.translateMidiFile(
+      parsed,
+      options.sourceVendor || this.sourceVendor,
+      options.targetVendor || "generalMidi",
+    );
+
+    return {
+      fileName: this.getFileName(pattern.name, "mid"),
+      data: this.midiTranslator.createMidiFile(translated, {
+        name: pattern.name,
+      }),
+    };
+  }
+
+  /**
+   * Export several grooves as one zip archive
+   * @param {string} groupName - Used for the archive name
+   * @param {Array} patterns - { name, path } entries
+   * @param {Object} options - As for exportPattern
+   * @returns {Promise<Object>} { fileName, data: Uint8Array, failed: [names] }
+   */
+  async exportGroup(groupName, patterns, options = {}) {
+    const files = [];
+    const failed = [];
+
+    // One fetch at a time; groups hold at most 16 short files
+    for (const pattern of patterns) {
+      try {
+        files.push({
+          name: pattern.name,
+          data: await this.loadPattern(pattern, options),
+        });
+      } catch (error) {
+        console.warn(`Could not export "${pattern.name}":`, error);
+        failed.push(pattern.name);
+      }
+    }
+
+    const results = await this.midiTranslator.batchTranslate(
+      files,
+      options.sourceVendor || this.sourceVendor,
+      options.targetVendor || "generalMidi",
+    );
+
+    const zip = new ZipWriter();
+    const usedNames = new Set();
+    results.forEach((result) => {
+      if (!result.success) {
+        failed.push(result.filename);
+        return;
+      }
+
+      // Two slots can hold the same groove; the zip only needs it once
+      const fileName = this.getFileName(result.filename, "mid");
+      if (usedNames.has(fileName)) return;
+      usedNames.add(fileName);
+
+      zip.addFile(
+        fileName,
+        this.midiTranslator.createMidiFile(result.data, {
+          name: result.filename,
+        }),
+      );
+    });
+
+    return {
+      fileName: this.getFileName(groupName, "zip"),
+      data: zip.toUint8Array(),
+      failed,
+    };
+  }
+
+  /**
+   * Fetch and parse a groove, with swing and energy baked in if asked
+   */
+  async loadPattern(pattern, options = {}) {
+    const response = await fetch(`${this.basePath}${pattern.path}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const parsed = this.midiTranslator.parseMidiData(
+      await response.arrayBuffer(),
+    );
+    return options.groove
+      ? this.bakeGroove(parsed, options.groove, options.seed)
+      : parsed;
+  }
+
+  /**
+   * Run a groove through GrooveTransformer the way AudioScheduler plays
+   * it, and return the parsed MIDI with the transformed notes. Energy
+   * works on General MIDI notes, so bake before translating.
+   */
+  bakeGroove(parsed, groove, seed = 0) {
+    if (!this.grooveTransformer) return parsed;
+
+    const stepsPerBeat = this.stepsPerBeat;
+    const lengthBeats =
+      parsed.length && parsed.length.beats
+        ? parsed.length.beats
+        : parsed.duration;
+    const pattern = new Array(
+      Math.max(1, Math.ceil(lengthBeats * stepsPerBeat - 0.001)),
+    );
+
+    parsed.events.forEach((event) => {
+      if (event.type !== "noteOn") return;
+
+      const position = event.time * stepsPerBeat;
+      const step = Math.floor(position) % pattern.length;
+      if (!pattern[step]) {
+        pattern[step] = [];
+      }
+      pattern[step].push({
+        type: "drum",
+        note: event.note,
+        velocity: event.velocity,
+        channel: event.channel,
+        track: event.track,
+        duration: event.duration,
+        offset: position - Math.floor(position),
+      });
+    });
+
+    const events = [];
+    for (let step = 0; step < pattern.length; step++) {
+      this.grooveTransformer
+        .transformStep(pattern, step, groove, { stepsPerBeat, seed })
+        .forEach((event) => {
+          events.push({
+            type: "noteOn",
+            note: event.note,
+            velocity: event.velocity,
+            channel: event.channel,
+            track: event.track,
+            time: Math.max(0, (step + (event.offset || 0)) / stepsPerBeat),
+            duration: event.duration,
+          });
+        });
+    }
+
+    return {
+      ...parsed,
+      events: events.sort((a, b) => a.time - b.time || a.note - b.note),
+    };
+  }
+
+  getFileName(name, extension) {
+    const safeName = String(name)
+      .replace(/[\\/:*?"<>|]+/g, "_")
+      .trim();
+    return `${safeName || "groove"}.${extension}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GrooveExporter;
+}
@@ -0,0 +1,129 @@
+/**
+ * GrooveThumbnails.js
+ * Mini piano-roll thumbnails for the pattern grid: each groove's MIDI file
+ * is parsed once and reduced to hit positions on hat, snare, kick and
+ * other lanes, with a line at every bar start.
+ */
+
+class GrooveThumbnails {
+  constructor(midiTranslator, options = {}) {
+    this.midiTranslator = midiTranslator;
+    this.drumMapManager = options.drumMapManager || null;
+    this.basePath = options.basePath || "./Assets/MidiFiles/";
+    this.lanes = ["hat", "snare", "kick", "other"];
+
+    // MIDI file path -> { thumbnail, promise }, including in-flight loads
+    this.cache = new Map();
+  }
+
+  /**
+   * Fetch, parse and summarize a MIDI file; each file is fetched once.
+   * Resolves null if the file can't be read.
+   */
+  load(path) {
+    const cached = this.cache.get(path);
+    if (cached) return cached.promise;
+
+    const entry = { thumbnail: null, promise: null };
+    entry.promise = fetch(`${this.basePath}${path}`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then((buffer) => {
+        entry.thumbnail = this.build(this.midiTranslator.parseMidiData(buffer));
+        return entry.thumbnail;
+      })
+      .catch((error) => {
+        console.warn(`Could not build thumbnail for "${path}":`, error);
+        return null;
+      });
+
+    this.cache.set(path, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Reduce parsed MIDI to hit positions (0-1 across the groove) per lane
+   */
+  build(parsed) {
+    const [beatsPerBar] = (parsed.timeSignature || "4/4")
+      .split("/")
+      .map(Number);
+    const lengthBeats =
+      parsed.length && parsed.length.beats ? parsed.length.beats : beatsPerBar;
+    const bars = Math.max(1, Math.ceil((lengthBeats - 0.001) / beatsPerBar));
+    const totalBeats = bars * beatsPerBar;
+
+    const lanes = {};
+    this.lanes.forEach((lane) => {
+      lanes[lane] = [];
+    });
+
+    parsed.events.forEach((event) => {
+      if (event.type !== "noteOn") return;
+      lanes[this.getLane(event.note)].push({
+        position: Math.min(event.time / totalBeats, 1),
+        velocity: event.velocity / 127,
+      });
+    });
+
+    return { bars, lanes };
+  }
+
+  /**
+   * Pick the lane for a note from the drum map's mixer channel, falling
+   * back to General MIDI note numbers
+   */
+  getLane(note) {
+    const map = this.drumMapManager?.getCurrentMap();
+    const channel = map?.mapping?.[note]?.mixerChannel;
+
+    if (channel) {
+      if (channel === "kick") return "kick";
+      if (channel === "snare" || channel === "sideStick") return "snare";
+      if (channel === "hihat") return "hat";
+      return "other";
+    }
+
+    if (note === 35 || note === 36) return "kick";
+    if (note >= 37 && note <= 40) return "snare";
+    if (note === 42 || note === 44 || note === 46) return "hat";
+    return "other";
+  }
+
+  /**
+   * Draw a thumbnail as one row per lane with a mark per hit
+   */
+  createElement(thumbnail) {
+    const roll = document.createElement("div");
+    roll.className = "pattern-roll";
+    roll.dataset.bars = thumbnail.bars;
+    // Bar lines fall on bar starts
+    roll.style.backgroundSize = `${(100 / thumbnail.bars).toFixed(4)}% 100%`;
+
+    this.lanes.forEach((lane) => {
+      const row = document.createElement("div");
+      row.className = "pattern-roll-lane";
+      row.dataset.lane = lane;
+
+      thumbnail.lanes[lane].forEach((hit) => {
+        const mark = document.createElement("span");
+        mark.className = "pattern-roll-hit";
+        mark.style.left = `${(hit.position * 100).toFixed(2)}%`;
+        mark.style.opacity = (0.35 + 0.65 * hit.velocity).toFixed(2);
+        row.appendChild(mark);
+      });
+      roll.appendChild(row);
+    });
+
+    return roll;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GrooveThumbnails;
+}
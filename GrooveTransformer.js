@@ -0,0 +1,200 @@
+/**
+ * GrooveTransformer.js
+ * Applies swing and energy to pattern steps as they are scheduled
+ * Sits between the pattern data and AudioScheduler.scheduleAudioEvents
+ */
+
+class GrooveTransformer {
+  constructor() {
+    // Swing slider (0-100) maps onto this range of swing ratios:
+    // 0.5 is straight, 0.667 a triplet feel, 0.75 a dotted feel
+    this.minSwingRatio = 0.5;
+    this.maxSwingRatio = 0.75;
+
+    // Energy slider value that leaves velocities untouched
+    this.neutralEnergy = 50;
+
+    // Hits below this velocity count as ghost notes
+    this.ghostThreshold = 64;
+    this.ghostVelocityScale = 0.3;
+
+    // GM notes that sound natural as ghost strokes
+    this.ghostNotes = new Set([37, 38, 40, 42, 44]);
+
+    this.defaultGroove = {
+      swing: 0,
+      swingResolution: 16, // 8 = swing off-beat 8ths, 16 = off-beat 16ths
+      energy: 50,
+    };
+  }
+
+  /**
+   * Transform the events of one pattern step.
+   * @param {Array} pattern - Full step array (used to look ahead for accents)
+   * @param {number} step - Absolute step index; wrapped into the pattern
+   * @param {Object} groove - { swing, swingResolution, energy }
+   * @param {Object} context - { stepsPerBeat, seed }
+   * @returns {Array} New event objects; the pattern itself is never mutated
+   */
+  transformStep(pattern, step, groove = {}, context = {}) {
+    const length = pattern.length;
+    const index = ((step % length) + length) % length;
+    const settings = { ...this.defaultGroove, ...groove };
+    const stepsPerBeat = context.stepsPerBeat || 4;
+    const seed = context.seed || 0;
+
+    let events = (pattern[index] || []).map((event) => ({ ...event }));
+
+    events = this.applyEnergy(events, settings.energy, index, seed);
+    events = events.concat(
+      this.createGhostNotes(pattern, index, settings.energy, seed),
+    );
+
+    if (settings.swing > 0) {
+      events.forEach((event) => {
+        event.offset = this.swingOffset(
+          index,
+          event.offset || 0,
+          settings.swing,
+          settings.swingResolution,
+          stepsPerBeat,
+        );
+      });
+    }
+
+    return events;
+  }
+
+  // ==========================================
+  // Swing
+  // ==========================================
+
+  /**
+   * Convert the swing slider (0-100) to a swing ratio
+   */
+  getSwingRatio(swing) {
+    const amount = Math.max(0, Math.min(100, swing)) / 100;
+    return (
+      this.minSwingRatio + amount * (this.maxSwingRatio - this.minSwingRatio)
+    );
+  }
+
+  /**
+   * Remap an event's offset (in steps) so the second half of each swing
+   * pair is delayed. Positions inside the pair are stretched and squeezed
+   * linearly, so micro-timing and in-between 16ths move proportionally.
+   */
+  swingOffset(step, offset, swing, resolution, stepsPerBeat) {
+    // Length of one on-beat/off-beat pair in steps
+    const pairLength = resolution === 8 ? stepsPerBeat : stepsPerBeat / 2;
+    if (pairLength <= 0) return offset;
+
+    const half = pairLength / 2;
+    const split = this.getSwingRatio(swing) * pairLength;
+
+    const position = step + offset;
+    const pairStart = Math.floor(position / pairLength) * pairLength;
+    const inPair = position - pairStart;
+
+    const swung =
+      inPair < half
+        ? (inPair * split) / half
+        : split + ((inPair - half) * (pairLength - split)) / half;
+
+    return pairStart + swung - step;
+  }
+
+  // ==========================================
+  // Energy
+  // ==========================================
+
+  /**
+   * Scale velocities and drop quiet hits at low energy.
+   * Energy 50 is neutral; lower energy softens and thins the groove,
+   * higher energy pushes hits harder.
+   */
+  applyEnergy(events, energy, step, seed) {
+    if (energy === this.neutralEnergy) return events;
+
+    // Exponent < 1 lifts velocities, > 1 pulls them down; 127 stays 127
+    const curve = Math.pow(2, (this.neutralEnergy - energy) / 50);
+
+    // Below neutral, ghost notes drop out with rising probability
+    const thinning =
+      energy < this.neutralEnergy
+        ? (this.neutralEnergy - energy) / this.neutralEnergy
+        : 0;
+
+    return events.filter((event) => {
+      if (event.type !== "drum" || event.velocity === undefined) return true;
+
+      const velocity = event.velocity;
+
+      if (
+        thinning > 0 &&
+        velocity < this.ghostThreshold &&
+        this.random(seed, step, event.note) < thinning
+      ) {
+        return false;
+      }
+
+      event.velocity = Math.max(
+        1,
+        Math.min(127, Math.round(127 * Math.pow(velocity / 127, curve))),
+      );
+      return true;
+    });
+  }
+
+  /**
+   * Above neutral energy, add ghost strokes on empty steps leading into an
+   * accented hit on a ghostable drum. Ghosts take their velocity from the
+   * accent they lead into.
+   */
+  createGhostNotes(pattern, index, energy, seed) {
+    if (energy <= this.neutralEnergy) return [];
+
+    const chance = (energy - this.neutralEnergy) / this.neutralEnergy;
+    const nextEvents = pattern[(index + 1) % pattern.length] || [];
+    const currentNotes = new Set(
+      (pattern[index] || []).map((event) => event.note),
+    );
+    const ghosts = [];
+
+    nextEvents.forEach((event) => {
+      if (event.type !== "drum" || !this.ghostNotes.has(event.note)) return;
+      if (currentNotes.has(event.note)) return;
+
+      const velocity = event.velocity;
+      if (velocity === undefined || velocity < this.ghostThreshold) return;
+      if (this.random(seed, index, event.note) >= chance * 0.5) return;
+
+      currentNotes.add(event.note);
+      ghosts.push({
+        type: "drum",
+        note: event.note,
+        velocity: Math.max(1, Math.round(velocity * this.ghostVelocityScale)),
+        offset: 0,
+        ghost: true,
+      });
+    });
+
+    return ghosts;
+  }
+
+  /**
+   * Deterministic pseudo-random value in [0, 1) for a step and note, so a
+   * loop thins and ghosts the same way on every pass
+   */
+  random(seed, step, note) {
+    let hash = (seed * 374761393 + step * 668265263 + note * 2147483647) | 0;
+    hash = Math.imul(hash ^ (hash >>> 13), 1274126177);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 4294967296;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GrooveTransformer;
+}
@@ -0,0 +1,243 @@
+/**
+ * LibraryLoader.js
+ * Reads Assets/library.json, the index of kits, grooves, fills and drum
+ * maps, and turns it into the data DrumkitManager, DrumMapManager and the
+ * pattern/kit menus expect. Adding content means regenerating the
+ * manifest (node tools/build-library.js), not editing code.
+ */
+
+class LibraryLoader {
+  constructor(basePath = "./Assets/") {
+    this.basePath = basePath;
+    this.manifestPath = "library.json";
+    this.supportedVersions = [1];
+    this.library = null;
+  }
+
+  /**
+   * Fetch and validate the manifest
+   * @returns {Promise<Object>} The normalized library
+   */
+  async load(manifestPath = this.manifestPath) {
+    const response = await fetch(`${this.basePath}${manifestPath}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading ${manifestPath}`);
+    }
+
+    this.library = this.normalize(await response.json());
+    return this.library;
+  }
+
+  normalize(data) {
+    if (!data || typeof data !== "object") {
+      throw new Error("Library manifest is not an object");
+    }
+    if (!this.supportedVersions.includes(data.version)) {
+      throw new Error(`Unsupported library version: ${data.version}`);
+    }
+
+    const entries = (list, required) =>
+      (Array.isArray(list) ? list : []).filter((entry) => {
+        const valid = entry && required.every((field) => entry[field]);
+        if (!valid) {
+          console.warn("Skipping invalid library entry:", entry);
+        }
+        return valid;
+      });
+
+    return {
+      version: data.version,
+      generated: data.generated || null,
+      kits: entries(data.kits, ["name", "path"]),
+      grooves: entries(data.grooves, ["name", "path"]),
+      fills: entries(data.fills, ["name", "path"]),
+      drumMaps: entries(data.drumMaps, ["id", "path"]),
+      patternGroups: entries(data.patternGroups, ["name", "patterns"]),
+    };
+  }
+
+  requireLibrary() {
+    if (!this.library) {
+      throw new Error("Library manifest not loaded");
+    }
+    return this.library;
+  }
+
+  getUrl(entry) {
+    return `${this.basePath}${entry.path}`;
+  }
+
+  // ==========================================
+  // Kits
+  // ==========================================
+
+  /**
+   * Kits keyed the way the kit dropdown expects
+   */
+  buildDrumkits() {
+    const drumkits = {};
+
+    this.requireLibrary().kits.forEach((kit) => {
+      const kitKey = kit.id || kit.name.replace(/[^a-zA-Z0-9]/g, "");
+      drumkits[kitKey] = {
+        name: kit.name,
+        path: this.getUrl(kit),
+        category: kit.category || "",
+        description: kit.description || "",
+        tags: kit.tags || [],
+        sha256: kit.sha256 || null,
+        selectedMixerPreset: "default",
+        mixerPresets: {
+          default: {
+            name: "Default",
+            levels: {},
+          },
+        },
+      };
+    });
+
+    return drumkits;
+  }
+
+  /**
+   * Register every kit with a DrumkitManager. Kits it already knows keep
+   * their mixer presets; only the library metadata is refreshed.
+   */
+  applyToDrumkitManager(drumkitManager) {
+    this.requireLibrary().kits.forEach((kit) => {
+      const key = drumkitManager.generateKitKey(kit.name);
+      const metadata = {
+        path: this.getUrl(kit),
+        category: kit.category || "",
+        tags: kit.tags || [],
+        sha256: kit.sha256 || null,
+      };
+
+      const existing = drumkitManager.getDrumkit(key);
+      if (existing) {
+        existing.metadata = { ...existing.metadata, ...metadata };
+        return;
+      }
+
+      drumkitManager.importDrumkit({
+        name: kit.name,
+        description: kit.description || "",
+        metadata,
+      });
+    });
+  }
+
+  // ==========================================
+  // Grooves and Fills
+  // ==========================================
+
+  /**
+   * Grooves and fills in the { name, path, category } form produced by
+   * the old directory scan; paths are relative to Assets/MidiFiles/
+   */
+  getMidiFiles() {
+    const library = this.requireLibrary();
+    const prefix = "MidiFiles/";
+
+    return [...library.grooves, ...library.fills].map((entry) => ({
+      name: entry.name,
+      path: entry.path.startsWith(prefix)
+        ? entry.path.slice(prefix.length)
+        : entry.path,
+      category: entry.category || "Root",
+      tags: entry.tags || [],
+      sha256: entry.sha256 || null,
+    }));
+  }
+
+  /**
+   * Default pattern groups as { key: { name, patterns } }, with patterns
+   * padded to the 16-slot grid
+   */
+  getPatternGroups(slots = 16) {
+    const groups = {};
+
+    this.requireLibrary().patternGroups.forEach((group) => {
+      const key =
+        group.id ||
+        group.name
+          .toLowerCase()
+          .replace(/\s+/g, "-")
+          .replace(/[^a-z0-9-]/g, "");
+      const patterns = group.patterns.slice(0, slots);
+      while (patterns.length < slots) {
+        patterns.push("empty");
+      }
+      groups[key] = { name: group.name, patterns };
+    });
+
+    return groups;
+  }
+
+  // ==========================================
+  // Drum Maps
+  // ==========================================
+
+  /**
+   * Add the manifest's drum maps to a DrumMapManager as factory maps.
+   * A map that fails its content hash is skipped.
+   * @returns {Promise<number>} How many maps were added
+   */
+  async applyToDrumMapManager(drumMapManager) {
+    const added = await Promise.all(
+      this.requireLibrary().drumMaps.map(async (entry) => {
+        try {
+          const response = await fetch(this.getUrl(entry));
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          const buffer = await response.clone().arrayBuffer();
+          if ((await this.verify(entry, buffer)) === false) {
+            throw new Error("content doesn't match the manifest hash");
+          }
+
+          const map = await response.json();
+          drumMapManager.addFactoryMap(entry.id, map);
+          return true;
+        } catch (error) {
+          console.warn(`Skipping drum map "${entry.id}":`, error);
+          return false;
+        }
+      }),
+    );
+    return added.filter(Boolean).length;
+  }
+
+  // ==========================================
+  // Integrity
+  // ==========================================
+
+  /**
+   * Check a file against the manifest's content hash, fetching it unless
+   * its contents are passed in
+   * @returns {Promise<boolean|null>} null when the entry has no hash or
+   *   the browser can't compute one
+   */
+  async verify(entry, buffer = null) {
+    if (!entry.sha256 || typeof crypto === "undefined" || !crypto.subtle) {
+      return null;
+    }
+
+    if (!buffer) {
+      const response = await fetch(this.getUrl(entry));
+      if (!response.ok) return false;
+      buffer = await response.arrayBuffer();
+    }
+
+    const digest = await crypto.subtle.digest("SHA-256", buffer);
+    const hex = Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+    return hex === entry.sha256;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LibraryLoader;
+}
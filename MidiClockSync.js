@@ -0,0 +1,340 @@
+/**
+ * MidiClockSync.js
+ * External MIDI clock for the AudioScheduler transport. As a slave it
+ * follows incoming clock (24 PPQN), Start, Stop, Continue and Song Position
+ * Pointer, phase-locking the step grid to the ticks and estimating a
+ * smoothed tempo. As a master it sends clock, transport and song position
+ * from the scheduler's own steps.
+ */
+
+class MidiClockSync {
+  constructor(scheduler) {
+    this.scheduler = scheduler;
+    this.midiAccess = null;
+    this.inputHandlers = new Map(); // inputId -> midimessage handler
+    this.schedulerListeners = [];
+    this.portFilter = null; // (port) -> false to ignore a disabled port
+
+    // "internal" runs on OTTO's tempo; "midi" follows inputId (null = any)
+    this.source = "internal";
+    this.inputId = null;
+
+    // Master: transmit clock to outputId
+    this.sendClock = false;
+    this.outputId = null;
+
+    this.ppqn = 24;
+    this.tickSmoothing = 0.1; // Weight of each new tick interval
+    this.tempoThreshold = 0.5; // BPM change worth reporting
+    this.tempoHoldTime = 250; // ms a change must last before it's reported
+    this.maxTickInterval = 500; // ms; longer gaps restart the estimate
+
+    // Slave state
+    this.position = 0; // Clock ticks since the song start
+    this.running = false;
+    this.pendingStart = null; // "start" | "continue" until the next tick
+    this.lastTickTime = null;
+    this.tickInterval = null; // Smoothed ms per tick
+    this.reportedTempo = null;
+    this.tempoChangeSince = null; // When the tempo left the reported band
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen to every input of the shared MIDI access. The owner calls
+   * attachInputs() again when ports are plugged in.
+   */
+  setMidiAccess(midiAccess) {
+    this.midiAccess = midiAccess;
+    this.attachInputs();
+  }
+
+  attachInputs() {
+    if (!this.midiAccess) return;
+
+    this.midiAccess.inputs.forEach((input) => {
+      if (this.inputHandlers.has(input.id)) return;
+
+      const handler = (event) =>
+        this.handleMessage(event.data, event.timeStamp, input);
+      input.addEventListener("midimessage", handler);
+      this.inputHandlers.set(input.id, handler);
+    });
+  }
+
+  getInputs() {
+    if (!this.midiAccess) return [];
+    return Array.from(this.midiAccess.inputs.values()).map((input) => ({
+      id: input.id,
+      name: input.name,
+    }));
+  }
+
+  getOutputs() {
+    if (!this.midiAccess) return [];
+    return Array.from(this.midiAccess.outputs.values()).map((output) => ({
+      id: output.id,
+      name: output.name,
+    }));
+  }
+
+  setSource(source, inputId = null) {
+    this.source = source === "midi" ? "midi" : "internal";
+    this.inputId = inputId || null;
+    this.resetClock();
+    this.notifyListeners("sourceChanged", {
+      source: this.source,
+      inputId: this.inputId,
+    });
+  }
+
+  setClockOutput(enabled, outputId = this.outputId) {
+    if (this.sendClock && (!enabled || outputId !== this.outputId)) {
+      this.send([0xfc]); // Stop whatever was following the old output
+    }
+
+    this.sendClock = !!enabled;
+    this.outputId = outputId || null;
+
+    // A follower joining mid-song needs the position and a Continue
+    if (this.sendClock && this.scheduler && this.scheduler.isPlaying) {
+      this.sendSongPosition();
+      this.send([0xfb]);
+    }
+
+    this.notifyListeners("clockOutputChanged", {
+      sendClock: this.sendClock,
+      outputId: this.outputId,
+    });
+  }
+
+  resetClock() {
+    this.running = false;
+    this.pendingStart = null;
+    this.lastTickTime = null;
+    this.tickInterval = null;
+    this.reportedTempo = null;
+    this.tempoChangeSince = null;
+  }
+
+  // Smoothed tempo of the incoming clock, or null before two ticks
+  getTempo() {
+    return this.tickInterval ? 60000 / (this.tickInterval * this.ppqn) : null;
+  }
+
+  getTicksPerStep() {
+    const stepsPerBeat =
+      this.scheduler.subdivision / this.scheduler.beatsPerBar;
+    return this.ppqn / stepsPerBeat;
+  }
+
+  // ==========================================
+  // Slave: incoming clock
+  // ==========================================
+
+  handleMessage(data, timeStamp, input = null) {
+    if (this.source !== "midi") return;
+    if (this.inputId && input && input.id !== this.inputId) return;
+    if (input && this.portFilter && !this.portFilter(input)) return;
+
+    switch (data[0]) {
+      case 0xf8:
+        this.handleTick(timeStamp);
+        break;
+      case 0xfa: // Start: from the top on the next tick
+        this.position = 0;
+        this.pendingStart = "start";
+        break;
+      case 0xfb: // Continue: from the song position on the next tick
+        this.pendingStart = "continue";
+        break;
+      case 0xfc:
+        this.running = false;
+        this.pendingStart = null;
+        this.notifyListeners("stop");
+        break;
+      case 0xf2: {
+        // Song Position Pointer counts MIDI beats (16ths, 6 ticks each)
+        const beats = data[1] | (data[2] << 7);
+        this.position = beats * 6;
+        this.notifyListeners("position", {
+          step: this.position / this.getTicksPerStep(),
+        });
+        break;
+      }
+    }
+  }
+
+  handleTick(timeStamp) {
+    this.updateTempo(timeStamp);
+
+    if (this.pendingStart) {
+      // The first tick after Start/Continue is the downbeat itself
+      const type = this.pendingStart;
+      this.pendingStart = null;
+      this.running = true;
+      this.notifyListeners(type, {
+        step: this.position / this.getTicksPerStep(),
+        time: this.scheduler.getContextTime(timeStamp),
+      });
+      return;
+    }
+
+    if (!this.running) return;
+
+    this.position++;
+    this.scheduler.syncToClock(
+      this.position / this.getTicksPerStep(),
+      this.scheduler.getContextTime(timeStamp),
+    );
+  }
+
+  updateTempo(timeStamp) {
+    const interval =
+      this.lastTickTime !== null ? timeStamp - this.lastTickTime : null;
+    this.lastTickTime = timeStamp;
+
+    if (interval === null || interval <= 0) return;
+    if (interval > this.maxTickInterval) {
+      this.tickInterval = null;
+      return;
+    }
+
+    this.tickInterval =
+      this.tickInterval === null
+        ? interval
+        : this.tickInterval +
+          (interval - this.tickInterval) * this.tickSmoothing;
+
+    // Jitter stays inside the threshold; a real change has to hold for
+    // tempoHoldTime before it is reported
+    const tempo = Math.round(this.getTempo() * 10) / 10;
+    if (
+      this.reportedTempo !== null &&
+      Math.abs(tempo - this.reportedTempo) < this.tempoThreshold
+    ) {
+      this.tempoChangeSince = null;
+      return;
+    }
+    if (this.tempoChangeSince === null) {
+      this.tempoChangeSince = timeStamp;
+    }
+    if (timeStamp - this.tempoChangeSince < this.tempoHoldTime) return;
+
+    this.tempoChangeSince = null;
+    this.reportedTempo = tempo;
+    this.notifyListeners("tempo", { bpm: tempo });
+  }
+
+  // ==========================================
+  // Master: outgoing clock
+  // ==========================================
+
+  /**
+   * Follow the scheduler's transport and steps to send clock
+   */
+  attachScheduler() {
+    this.detachScheduler();
+    const scheduler = this.scheduler;
+
+    this.schedulerListeners = [
+      scheduler.on("beat", (beatNumber, time) => this.sendStepClock(time)),
+      scheduler.on("play", (step) => {
+        if (step === 0) {
+          this.send([0xfa]);
+        } else {
+          this.sendSongPosition(step);
+          this.send([0xfb]);
+        }
+      }),
+      scheduler.on("pause", () => this.send([0xfc])),
+      scheduler.on("stop", () => this.send([0xfc])),
+      scheduler.on("seek", () => {
+        // Followers only accept a song position while stopped
+        if (!scheduler.isPlaying) {
+          this.sendSongPosition();
+        }
+      }),
+    ];
+  }
+
+  detachScheduler() {
+    this.schedulerListeners.forEach((unsubscribe) => unsubscribe());
+    this.schedulerListeners = [];
+  }
+
+  // The ticks of one scheduled step, timestamped from the lookahead
+  sendStepClock(time) {
+    if (!this.sendClock) return;
+
+    const ticks = this.getTicksPerStep();
+    const msPerTick = (this.scheduler.getSecondsPerStep() * 1000) / ticks;
+    const start = this.scheduler.getPerformanceTime(time);
+    for (let i = 0; i < ticks; i++) {
+      this.send([0xf8], start + i * msPerTick);
+    }
+  }
+
+  // Song position in MIDI beats (16ths); defaults to the next step to play
+  sendSongPosition(
+    step = this.scheduler.currentBar * this.scheduler.subdivision +
+      this.scheduler.currentNote,
+  ) {
+    const beats = Math.round((step * this.getTicksPerStep()) / 6) & 0x3fff;
+    this.send([0xf2, beats & 0x7f, beats >> 7]);
+  }
+
+  send(data, timestamp) {
+    if (!this.sendClock || !this.midiAccess || !this.outputId) return;
+
+    const output = this.midiAccess.outputs.get(this.outputId);
+    if (!output || output.state === "disconnected") return;
+    if (this.portFilter && !this.portFilter(output)) return;
+
+    try {
+      output.send(data, timestamp);
+    } catch (error) {
+      console.warn(`Failed to send MIDI clock to "${output.name}":`, error);
+    }
+  }
+
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in MIDI clock listener:", error);
+      }
+    });
+  }
+
+  destroy() {
+    this.send([0xfc]);
+    this.detachScheduler();
+    if (this.midiAccess) {
+      this.midiAccess.inputs.forEach((input) => {
+        const handler = this.inputHandlers.get(input.id);
+        if (handler) {
+          input.removeEventListener("midimessage", handler);
+        }
+      });
+      this.midiAccess = null;
+    }
+    this.inputHandlers.clear();
+    this.listeners.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MidiClockSync;
+}
@@ -0,0 +1,341 @@
+/**
+ * MidiMappingManager.js
+ * Global MIDI learn: binds CC, note and program change messages from any
+ * Web MIDI input to UI controls. The app describes controls as targets
+ * ({ id, label, kind: "range" | "button", min, max }) and performs the
+ * actions; this class owns the ports, the learn state and the mappings.
+ */
+
+class MidiMappingManager {
+  constructor() {
+    this.midiAccess = null;
+    this.inputHandlers = new Map(); // inputId -> midimessage handler
+    this.portFilter = null; // (port) -> false to ignore a disabled input
+
+    // One mapping per target: { target, label, kind, type: "cc" | "note" |
+    // "program", channel (1-16), number (null = any program), portId,
+    // portName, mode: "toggle" | "momentary", min, max, invert }
+    this.mappings = new Map();
+
+    this.learnTarget = null;
+    this.pressed = new Map(); // target -> button held, for CC edges
+
+    // Called with (mapping, { value, pressed }) when a mapped control moves
+    this.onAction = null;
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen to every input of the shared MIDI access. The owner calls
+   * attachInputs() again when ports are plugged in.
+   */
+  setMidiAccess(midiAccess) {
+    this.midiAccess = midiAccess;
+    this.attachInputs();
+  }
+
+  // addEventListener leaves other users of an input (drum map learn) alone
+  attachInputs() {
+    if (!this.midiAccess) return;
+
+    this.midiAccess.inputs.forEach((input) => {
+      if (this.inputHandlers.has(input.id)) return;
+
+      const handler = (event) => this.handleMessage(event.data, input);
+      input.addEventListener("midimessage", handler);
+      this.inputHandlers.set(input.id, handler);
+    });
+  }
+
+  /**
+   * Decode a channel message; system messages (clock, sysex...) give null
+   */
+  parseMessage(data) {
+    const status = data[0] & 0xf0;
+    const channel = (data[0] & 0x0f) + 1;
+
+    switch (status) {
+      case 0x90:
+        return {
+          type: "note",
+          channel,
+          number: data[1],
+          value: data[2],
+          pressed: data[2] > 0,
+        };
+      case 0x80:
+        return {
+          type: "note",
+          channel,
+          number: data[1],
+          value: 0,
+          pressed: false,
+        };
+      case 0xb0:
+        return {
+          type: "cc",
+          channel,
+          number: data[1],
+          value: data[2],
+          pressed: data[2] >= 64,
+        };
+      case 0xc0:
+        return {
+          type: "program",
+          channel,
+          number: data[1],
+          value: data[1],
+          pressed: true,
+        };
+      default:
+        return null;
+    }
+  }
+
+  handleMessage(data, input = null) {
+    if (input && this.portFilter && !this.portFilter(input)) return;
+
+    const message = this.parseMessage(data);
+    if (!message) return;
+
+    if (this.learnTarget) {
+      // Learn from a press or a moved knob, never from a release
+      if (message.type === "note" && !message.pressed) return;
+      this.learn(message, input);
+      return;
+    }
+
+    this.mappings.forEach((mapping) => {
+      if (!this.matches(mapping, message, input)) return;
+
+      if (mapping.kind === "range") {
+        // Note offs would drop the control to its minimum
+        if (message.type === "note" && !message.pressed) return;
+        this.dispatch(mapping, {
+          value: this.scaleValue(mapping, message.value),
+          pressed: true,
+        });
+        return;
+      }
+
+      // Buttons fire on the press edge; momentary ones on release too
+      const wasPressed = this.pressed.get(mapping.target) || false;
+      this.pressed.set(mapping.target, message.pressed);
+      if (message.type === "program") {
+        this.dispatch(mapping, { value: message.value, pressed: true });
+      } else if (message.pressed && !wasPressed) {
+        this.dispatch(mapping, { value: message.value, pressed: true });
+      } else if (
+        !message.pressed &&
+        wasPressed &&
+        mapping.mode === "momentary"
+      ) {
+        this.dispatch(mapping, { value: message.value, pressed: false });
+      }
+    });
+  }
+
+  matches(mapping, message, input) {
+    return (
+      mapping.type === message.type &&
+      mapping.channel === message.channel &&
+      (mapping.number === null || mapping.number === message.number) &&
+      (!mapping.portId || !input || mapping.portId === input.id)
+    );
+  }
+
+  dispatch(mapping, action) {
+    if (!this.onAction) return;
+
+    try {
+      this.onAction(mapping, action);
+    } catch (error) {
+      console.error(`Error in MIDI mapping for ${mapping.label}:`, error);
+    }
+  }
+
+  // Map a 0-127 value onto the mapping's range
+  scaleValue(mapping, value) {
+    let amount = Math.max(0, Math.min(127, value)) / 127;
+    if (mapping.invert) {
+      amount = 1 - amount;
+    }
+    return mapping.min + amount * (mapping.max - mapping.min);
+  }
+
+  startLearn(target) {
+    this.learnTarget = target;
+    this.notifyListeners("learnStarted", target);
+  }
+
+  cancelLearn() {
+    if (!this.learnTarget) return;
+
+    const target = this.learnTarget;
+    this.learnTarget = null;
+    this.notifyListeners("learnCancelled", target);
+  }
+
+  isLearning(targetId = null) {
+    return (
+      !!this.learnTarget && (!targetId || this.learnTarget.id === targetId)
+    );
+  }
+
+  learn(message, input) {
+    const target = this.learnTarget;
+    this.learnTarget = null;
+
+    // A message drives one control; learning moves it
+    this.mappings.forEach((mapping, targetId) => {
+      if (this.matches(mapping, message, input)) {
+        this.mappings.delete(targetId);
+      }
+    });
+
+    const isRange = target.kind === "range";
+    const mapping = {
+      target: target.id,
+      label: target.label,
+      kind: isRange ? "range" : "button",
+      type: message.type,
+      channel: message.channel,
+      // Program changes set a range control to the program number
+      number: isRange && message.type === "program" ? null : message.number,
+      portId: input ? input.id : null,
+      portName: input ? input.name : null,
+      mode: "toggle",
+      min: isRange ? target.min : 0,
+      max: isRange ? target.max : 127,
+      invert: false,
+    };
+    this.mappings.set(target.id, mapping);
+    this.pressed.delete(target.id);
+
+    this.notifyListeners("learned", mapping);
+    this.notifyListeners("mappingsChanged", this.getMappings());
+  }
+
+  getMapping(targetId) {
+    return this.mappings.get(targetId) || null;
+  }
+
+  getMappings() {
+    return Array.from(this.mappings.values()).map((mapping) => ({
+      ...mapping,
+    }));
+  }
+
+  // Restore saved mappings, dropping any that don't parse
+  setMappings(mappings = []) {
+    this.mappings.clear();
+    this.pressed.clear();
+    mappings.forEach((mapping) => {
+      if (
+        mapping &&
+        typeof mapping.target === "string" &&
+        ["cc", "note", "program"].includes(mapping.type)
+      ) {
+        this.mappings.set(mapping.target, { ...mapping });
+      }
+    });
+    this.notifyListeners("mappingsChanged", this.getMappings());
+  }
+
+  updateMapping(targetId, changes) {
+    const mapping = this.mappings.get(targetId);
+    if (!mapping) return null;
+
+    Object.assign(mapping, changes);
+    this.notifyListeners("mappingsChanged", this.getMappings());
+    return mapping;
+  }
+
+  removeMapping(targetId) {
+    if (!this.mappings.delete(targetId)) return false;
+
+    this.pressed.delete(targetId);
+    this.notifyListeners("mappingsChanged", this.getMappings());
+    return true;
+  }
+
+  clearMappings() {
+    this.mappings.clear();
+    this.pressed.clear();
+    this.notifyListeners("mappingsChanged", []);
+  }
+
+  // "CC 7 · Ch 1 · nanoKONTROL2"
+  describeMapping(mapping) {
+    const names = [
+      "C",
+      "C#",
+      "D",
+      "D#",
+      "E",
+      "F",
+      "F#",
+      "G",
+      "G#",
+      "A",
+      "A#",
+      "B",
+    ];
+    let source;
+    if (mapping.type === "cc") {
+      source = `CC ${mapping.number}`;
+    } else if (mapping.type === "note") {
+      const octave = Math.floor(mapping.number / 12) - 1;
+      source = `Note ${mapping.number} (${names[mapping.number % 12]}${octave})`;
+    } else {
+      source =
+        mapping.number === null ? "Program" : `Program ${mapping.number + 1}`;
+    }
+
+    const parts = [source, `Ch ${mapping.channel}`];
+    if (mapping.portName) {
+      parts.push(mapping.portName);
+    }
+    return parts.join(" · ");
+  }
+
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in MIDI mapping listener:", error);
+      }
+    });
+  }
+
+  destroy() {
+    if (this.midiAccess) {
+      this.midiAccess.inputs.forEach((input) => {
+        const handler = this.inputHandlers.get(input.id);
+        if (handler) {
+          input.removeEventListener("midimessage", handler);
+        }
+      });
+      this.midiAccess = null;
+    }
+    this.inputHandlers.clear();
+    this.learnTarget = null;
+    this.onAction = null;
+    this.listeners.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MidiMappingManager;
+}
@@ -0,0 +1,223 @@
+/**
+ * MidiOutputRouter.js
+ * Sends each player's scheduled hits to a Web MIDI output port and channel,
+ * translated to the target instrument's drum map, so OTTO can drive an
+ * external drum module or a DAW instrument. Notes are timestamped from the
+ * scheduler's lookahead rather than sent when the callback runs.
+ */
+
+class MidiOutputRouter {
+  constructor(midiTranslator = null) {
+    this.midiTranslator = midiTranslator;
+    this.midiAccess = null;
+    this.scheduler = null;
+    this.schedulerListeners = [];
+    this.portFilter = null; // (port) -> false to skip a disabled output
+
+    // player -> { enabled, outputId, channel (1-16), targetVendor }
+    // A null targetVendor follows the active drum map
+    this.routes = new Map();
+
+    // Lanes play OTTO's General MIDI grooves
+    this.sourceVendor = "generalMidi";
+
+    this.noteLength = 50; // ms between note on and note off
+    this.defaultChannel = 10; // General MIDI drum channel
+
+    // outputId -> channels that have sent notes, for all-notes-off
+    this.usedChannels = new Map();
+
+    this.listeners = new Set();
+  }
+
+  // Send through the shared MIDI access
+  setMidiAccess(midiAccess) {
+    this.midiAccess = midiAccess;
+  }
+
+  getOutputs() {
+    if (!this.midiAccess) return [];
+
+    return Array.from(this.midiAccess.outputs.values()).map((output) => ({
+      id: output.id,
+      name: output.name,
+      manufacturer: output.manufacturer,
+      state: output.state,
+    }));
+  }
+
+  getOutput(outputId) {
+    if (!this.midiAccess || !outputId) return null;
+
+    const output = this.midiAccess.outputs.get(outputId);
+    if (!output || output.state === "disconnected") return null;
+    return !this.portFilter || this.portFilter(output) ? output : null;
+  }
+
+  getRoute(player) {
+    return (
+      this.routes.get(player) || {
+        enabled: false,
+        outputId: null,
+        channel: this.defaultChannel,
+        targetVendor: null,
+      }
+    );
+  }
+
+  setRoute(player, changes) {
+    const previous = this.getRoute(player);
+    const route = { ...previous, ...changes };
+    route.channel = Math.max(
+      1,
+      Math.min(16, parseInt(route.channel, 10) || this.defaultChannel),
+    );
+
+    // Don't leave notes hanging on the port or channel being left
+    if (
+      previous.enabled &&
+      (!route.enabled ||
+        previous.outputId !== route.outputId ||
+        previous.channel !== route.channel)
+    ) {
+      this.sendAllNotesOff(previous.outputId, previous.channel);
+    }
+
+    this.routes.set(player, route);
+    this.notifyListeners("routeChanged", { player, route });
+    return route;
+  }
+
+  // Plain object of every route, keyed by player number
+  getRoutes() {
+    const routes = {};
+    this.routes.forEach((route, player) => {
+      routes[player] = { ...route };
+    });
+    return routes;
+  }
+
+  setRoutes(routes = {}) {
+    Object.entries(routes).forEach(([player, route]) => {
+      this.setRoute(parseInt(player, 10), route);
+    });
+  }
+
+  /**
+   * Follow an AudioScheduler: route its drum hits and silence the outputs
+   * when the transport stops
+   */
+  attachScheduler(scheduler) {
+    this.detachScheduler();
+    this.scheduler = scheduler;
+    this.schedulerListeners = [
+      scheduler.on("note", (hit, time) => this.handleHit(hit, time)),
+      scheduler.on("stop", () => this.allNotesOff()),
+      scheduler.on("pause", () => this.allNotesOff()),
+    ];
+  }
+
+  detachScheduler() {
+    this.schedulerListeners.forEach((unsubscribe) => unsubscribe());
+    this.schedulerListeners = [];
+    this.scheduler = null;
+  }
+
+  handleHit(hit, time) {
+    if (hit.player === undefined || !this.scheduler) return;
+
+    const route = this.routes.get(hit.player);
+    if (!route || !route.enabled) return;
+
+    // Hits arrive up to the scheduler's lookahead early; a late callback
+    // plays immediately rather than in the past
+    const timestamp = Math.max(
+      performance.now(),
+      this.scheduler.getPerformanceTime(time),
+    );
+    this.sendHit(route, hit.note, hit.velocity, timestamp);
+  }
+
+  sendHit(route, note, velocity, timestamp) {
+    const output = this.getOutput(route.outputId);
+    if (!output) return;
+
+    const translated = this.midiTranslator
+      ? this.midiTranslator.translateRealtimeNote(
+          note,
+          velocity,
+          this.sourceVendor,
+          route.targetVendor,
+        )
+      : { note, velocity };
+    const channel = route.channel - 1;
+    const outNote = Math.max(0, Math.min(127, translated.note));
+    const outVelocity = Math.max(1, Math.min(127, translated.velocity));
+
+    try {
+      output.send([0x90 | channel, outNote, outVelocity], timestamp);
+      output.send([0x80 | channel, outNote, 0], timestamp + this.noteLength);
+    } catch (error) {
+      console.warn(`Failed to send MIDI to "${output.name}":`, error);
+      return;
+    }
+
+    if (!this.usedChannels.has(output.id)) {
+      this.usedChannels.set(output.id, new Set());
+    }
+    this.usedChannels.get(output.id).add(route.channel);
+  }
+
+  sendAllNotesOff(outputId, channel) {
+    const output = this.getOutput(outputId);
+    if (!output) return;
+
+    try {
+      output.send([0xb0 | (channel - 1), 123, 0]); // CC 123: All Notes Off
+    } catch (error) {
+      console.warn(`Failed to send MIDI to "${output.name}":`, error);
+    }
+  }
+
+  allNotesOff() {
+    this.usedChannels.forEach((channels, outputId) => {
+      // Drop hits already queued from the lookahead
+      const output = this.getOutput(outputId);
+      if (output && typeof output.clear === "function") {
+        output.clear();
+      }
+      channels.forEach((channel) => this.sendAllNotesOff(outputId, channel));
+    });
+    this.usedChannels.clear();
+  }
+
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in MIDI output listener:", error);
+      }
+    });
+  }
+
+  destroy() {
+    this.allNotesOff();
+    this.detachScheduler();
+    this.midiAccess = null;
+    this.listeners.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MidiOutputRouter;
+}
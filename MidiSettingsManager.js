@@ -0,0 +1,344 @@
+/**
+ * MidiSettingsManager.js
+ * MIDI device settings: which Web MIDI ports are enabled, the input channel
+ * each player listens on, and the note layout (vendor) of incoming drum
+ * pads. Pad notes are translated to General MIDI and handed to the app to
+ * play; every input message is reported for the activity monitor. This
+ * class holds the app's only MIDIAccess, which the output router, clock
+ * sync and MIDI learn are given, and reports hot-plugging as portsChanged.
+ * Settings persist through StorageManager, together with the output
+ * routes, clock sync and MIDI export choices so the whole MIDI setup
+ * survives a reload.
+ */
+
+class MidiSettingsManager {
+  constructor(storageManager = null, midiTranslator = null) {
+    this.storageManager = storageManager;
+    this.midiTranslator = midiTranslator;
+    this.storageKey = "midiSettings";
+    this.version = 1;
+
+    this.midiAccess = null;
+    this.inputHandlers = new Map(); // inputId -> midimessage handler
+    this.settings = this.getDefaultSettings();
+
+    // Called with (player, note, velocity) for live pad hits, in General
+    // MIDI notes
+    this.onNote = null;
+
+    this.listeners = new Set();
+  }
+
+  getDefaultSettings() {
+    return {
+      autoConnect: false, // Reconnect on load once the user has connected
+      ports: {}, // portId -> { name, type, enabled }
+      playerChannels: { 1: 10 }, // player -> 1-16, 0 for any, null for off
+      inputVendor: "generalMidi", // Note layout of incoming drum pads
+      outputRoutes: {}, // MidiOutputRouter.getRoutes()
+      clock: {
+        source: "internal",
+        inputId: null,
+        sendClock: false,
+        outputId: null,
+      },
+      export: { targetVendor: "generalMidi", bakeGroove: false },
+    };
+  }
+
+  isSupported() {
+    return (
+      typeof navigator !== "undefined" &&
+      typeof navigator.requestMIDIAccess === "function"
+    );
+  }
+
+  /**
+   * Ask for MIDI access, listen to every input and follow hot-plugging.
+   * Resolves false when Web MIDI is unavailable or declined.
+   */
+  async connect() {
+    if (this.midiAccess) return true;
+    if (!this.isSupported()) return false;
+
+    try {
+      this.midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+    } catch (error) {
+      console.warn("Web MIDI access was not granted:", error);
+      return false;
+    }
+
+    this.midiAccess.onstatechange = () => {
+      this.attachInputs();
+      this.notifyListeners("portsChanged", this.getPorts());
+    };
+    this.attachInputs();
+
+    if (!this.settings.autoConnect) {
+      this.update({ autoConnect: true });
+    }
+    this.notifyListeners("portsChanged", this.getPorts());
+    return true;
+  }
+
+  isConnected() {
+    return !!this.midiAccess;
+  }
+
+  attachInputs() {
+    this.midiAccess.inputs.forEach((input) => {
+      if (this.inputHandlers.has(input.id)) return;
+
+      const handler = (event) => this.handleMessage(event.data, input);
+      input.addEventListener("midimessage", handler);
+      this.inputHandlers.set(input.id, handler);
+    });
+  }
+
+  /**
+   * Inputs and outputs with their enabled flag; ports seen before but not
+   * present now are listed as disconnected
+   */
+  getPorts() {
+    const ports = { inputs: [], outputs: [] };
+    const seen = new Set();
+
+    if (this.midiAccess) {
+      [
+        ["inputs", "input"],
+        ["outputs", "output"],
+      ].forEach(([list, type]) => {
+        this.midiAccess[list].forEach((port) => {
+          seen.add(port.id);
+          ports[list].push({
+            id: port.id,
+            name: port.name,
+            manufacturer: port.manufacturer,
+            type,
+            state: port.state,
+            enabled: this.isPortEnabled(port.id),
+          });
+        });
+      });
+    }
+
+    Object.entries(this.settings.ports).forEach(([id, port]) => {
+      if (seen.has(id)) return;
+      ports[port.type === "output" ? "outputs" : "inputs"].push({
+        id,
+        name: port.name,
+        type: port.type,
+        state: "disconnected",
+        enabled: port.enabled,
+      });
+    });
+
+    return ports;
+  }
+
+  // New ports are enabled until switched off
+  isPortEnabled(portId) {
+    const port = this.settings.ports[portId];
+    return !port || port.enabled !== false;
+  }
+
+  setPortEnabled(port, enabled) {
+    this.update({
+      ports: {
+        ...this.settings.ports,
+        [port.id]: { name: port.name, type: port.type, enabled: !!enabled },
+      },
+    });
+  }
+
+  getPlayerChannel(player) {
+    const channel = this.settings.playerChannels[player];
+    return channel === undefined ? null : channel;
+  }
+
+  setPlayerChannel(player, channel) {
+    this.update({
+      playerChannels: { ...this.settings.playerChannels, [player]: channel },
+    });
+  }
+
+  // Players listening on a channel (1-16)
+  getPlayersForChannel(channel) {
+    return Object.entries(this.settings.playerChannels)
+      .filter(
+        ([, playerChannel]) => playerChannel === 0 || playerChannel === channel,
+      )
+      .map(([player]) => parseInt(player, 10));
+  }
+
+  handleMessage(data, input) {
+    if (!this.isPortEnabled(input.id)) return;
+
+    // Clock and active sensing would drown out everything else
+    if (data[0] !== 0xf8 && data[0] !== 0xfe) {
+      this.notifyListeners("activity", {
+        portId: input.id,
+        portName: input.name,
+        data: Array.from(data),
+        description: this.describeMessage(data),
+      });
+    }
+
+    const isNoteOn = (data[0] & 0xf0) === 0x90 && data[2] > 0;
+    if (!isNoteOn || !this.onNote) return;
+
+    const players = this.getPlayersForChannel((data[0] & 0x0f) + 1);
+    if (players.length === 0) return;
+
+    const translated = this.midiTranslator
+      ? this.midiTranslator.translateRealtimeNote(
+          data[1],
+          data[2],
+          this.settings.inputVendor,
+          "generalMidi",
+        )
+      : { note: data[1], velocity: data[2] };
+    players.forEach((player) => {
+      try {
+        this.onNote(player, translated.note, translated.velocity);
+      } catch (error) {
+        console.error("Error playing MIDI input note:", error);
+      }
+    });
+  }
+
+  // "Ch 10 Note On 36 vel 100"
+  describeMessage(data) {
+    const status = data[0];
+    const channel = `Ch ${(status & 0x0f) + 1}`;
+
+    switch (status & 0xf0) {
+      case 0x80:
+        return `${channel} Note Off ${data[1]}`;
+      case 0x90:
+        return data[2] > 0
+          ? `${channel} Note On ${data[1]} vel ${data[2]}`
+          : `${channel} Note Off ${data[1]}`;
+      case 0xa0:
+        return `${channel} Aftertouch ${data[1]} = ${data[2]}`;
+      case 0xb0:
+        return `${channel} CC ${data[1]} = ${data[2]}`;
+      case 0xc0:
+        return `${channel} Program ${data[1] + 1}`;
+      case 0xd0:
+        return `${channel} Pressure ${data[1]}`;
+      case 0xe0:
+        return `${channel} Pitch Bend ${data[1] | (data[2] << 7)}`;
+    }
+
+    switch (status) {
+      case 0xf2:
+        return `Song Position ${data[1] | (data[2] << 7)}`;
+      case 0xfa:
+        return "Start";
+      case 0xfb:
+        return "Continue";
+      case 0xfc:
+        return "Stop";
+      default:
+        return `System 0x${status.toString(16).toUpperCase()}`;
+    }
+  }
+
+  /**
+   * Merge changes into the settings, save and notify
+   */
+  update(changes) {
+    this.settings = { ...this.settings, ...changes };
+    this.saveToStorage();
+    this.notifyListeners("settingsChanged", this.getSettings());
+  }
+
+  getSettings() {
+    return JSON.parse(JSON.stringify(this.settings));
+  }
+
+  // Settings for exportSettings(); importSettings() takes them back
+  exportSettings() {
+    return { ...this.getSettings(), version: this.version };
+  }
+
+  importSettings(data) {
+    if (!data || typeof data !== "object") return false;
+
+    this.settings = this.mergeSettings(data);
+    this.saveToStorage();
+    this.notifyListeners("settingsChanged", this.getSettings());
+    return true;
+  }
+
+  // Saved or imported settings over the defaults
+  mergeSettings(data) {
+    const settings = { ...this.getDefaultSettings(), ...data };
+    delete settings.version;
+    return settings;
+  }
+
+  // Storage methods
+  async loadFromStorage() {
+    if (!this.storageManager) return;
+
+    try {
+      const data = await this.storageManager.load(this.storageKey);
+      if (data) {
+        this.settings = this.mergeSettings(data);
+      }
+    } catch (error) {
+      console.error("Error loading MIDI settings:", error);
+    }
+  }
+
+  async saveToStorage() {
+    if (!this.storageManager) return;
+
+    try {
+      await this.storageManager.save(this.storageKey, this.exportSettings());
+    } catch (error) {
+      console.error("Error saving MIDI settings:", error);
+    }
+  }
+
+  addListener(callback) {
+    this.listeners.add(callback);
+  }
+
+  removeListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        console.error("Error in MIDI settings listener:", error);
+      }
+    });
+  }
+
+  destroy() {
+    if (this.midiAccess) {
+      this.midiAccess.inputs.forEach((input) => {
+        const handler = this.inputHandlers.get(input.id);
+        if (handler) {
+          input.removeEventListener("midimessage", handler);
+        }
+      });
+      this.midiAccess.onstatechange = null;
+      this.midiAccess = null;
+    }
+    this.inputHandlers.clear();
+    this.onNote = null;
+    this.listeners.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MidiSettingsManager;
+}
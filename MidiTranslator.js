@@ -8,31 +8,535 @@ class MidiTranslator {
 
   // Parse MIDI file and detect vendor format
   async parseMidiFile(midiData) {
-    // This would typically use a MIDI parsing library
-    // For now, we'll create a structure that represents parsed MIDI data
-    const midiEvents = this.extractMidiEvents(midiData);
+    return this.parseMidiData(midiData);
+  }
+
+  // Synchronous parse of raw SMF bytes (ArrayBuffer, typed array or byte array)
+  parseMidiData(midiData) {
+    const smf = this.readStandardMidiFile(midiData);
+    const midiEvents = this.extractMidiEvents(smf);
     const vendor = this.detectVendorFormat(midiEvents);
 
     return {
+      format: smf.format,
+      division: smf.division,
+      ticksPerQuarter: smf.division.ticksPerQuarter,
+      trackNames: smf.tracks.map((track) => track.name),
+      tracks: smf.tracks,
       events: midiEvents,
       detectedVendor: vendor,
-      tempo: this.extractTempo(midiData),
-      timeSignature: this.extractTimeSignature(midiData),
+      tempo: this.extractTempo(smf),
+      tempoMap: smf.tempoMap,
+      timeSignature: this.extractTimeSignature(smf),
+      timeSignatures: smf.timeSignatures,
+      length: smf.length,
       duration: this.calculateDuration(midiEvents),
     };
   }
 
-  // Extract MIDI events from raw data
+  // True when the argument is already the output of parseMidiData
+  isParsedMidi(midiData) {
+    return (
+      !!midiData &&
+      typeof midiData === "object" &&
+      Array.isArray(midiData.events)
+    );
+  }
+
+  // Extract note events from raw data or an already-read SMF structure.
+  // Times are in quarter-note beats; seconds follow the file's tempo map.
   extractMidiEvents(midiData) {
-    // Simplified MIDI event extraction
-    // In production, use a proper MIDI parser library
+    const smf = this.readStandardMidiFile(midiData);
     const events = [];
 
-    // Mock structure for MIDI events
-    // Real implementation would parse actual MIDI binary data
+    smf.tracks.forEach((track, trackIndex) => {
+      const openNotes = new Map();
+
+      track.events.forEach((event) => {
+        if (event.type !== "noteOn" && event.type !== "noteOff") return;
+
+        const key = `${event.channel}:${event.note}`;
+        if (event.type === "noteOn") {
+          const timing = this.ticksToTime(smf, event.tick, trackIndex);
+          const noteEvent = {
+            type: "noteOn",
+            note: event.note,
+            velocity: event.velocity,
+            channel: event.channel,
+            track: trackIndex,
+            tick: event.tick,
+            time: timing.beats,
+            seconds: timing.seconds,
+            duration: 0,
+            durationTicks: 0,
+            durationSeconds: 0,
+          };
+          events.push(noteEvent);
+
+          if (!openNotes.has(key)) {
+            openNotes.set(key, []);
+          }
+          openNotes.get(key).push(noteEvent);
+        } else {
+          const pending = openNotes.get(key);
+          if (pending && pending.length > 0) {
+            this.closeNote(smf, pending.shift(), event.tick, trackIndex);
+          }
+        }
+      });
+
+      // Notes never released last until the end of their track
+      openNotes.forEach((pending) => {
+        pending.forEach((noteEvent) =>
+          this.closeNote(smf, noteEvent, track.endTick, trackIndex),
+        );
+      });
+    });
+
+    // Format 2 tracks are independent patterns, so keep them apart
+    const byTrack = smf.format === 2;
+    events.sort(
+      (a, b) =>
+        (byTrack ? a.track - b.track : 0) || a.tick - b.tick || a.note - b.note,
+    );
+
     return events;
   }
 
+  closeNote(smf, noteEvent, endTick, trackIndex) {
+    const end = this.ticksToTime(smf, endTick, trackIndex);
+    noteEvent.durationTicks = Math.max(0, endTick - noteEvent.tick);
+    noteEvent.duration = Math.max(0, end.beats - noteEvent.time);
+    noteEvent.durationSeconds = Math.max(0, end.seconds - noteEvent.seconds);
+  }
+
+  // ==========================================
+  // Standard MIDI File Reading
+  // ==========================================
+
+  // Read an SMF (format 0, 1 or 2) into tracks of timed events. Accepts an
+  // ArrayBuffer, a typed array, a plain byte array or a previously read SMF.
+  readStandardMidiFile(midiData) {
+    if (
+      midiData &&
+      midiData.header === "MThd" &&
+      Array.isArray(midiData.tracks)
+    ) {
+      return midiData;
+    }
+
+    const bytes = this.toByteArray(midiData);
+    let offset = 0;
+    let header = null;
+    const tracks = [];
+
+    while (offset + 8 <= bytes.length) {
+      const chunkId = String.fromCharCode(
+        bytes[offset],
+        bytes[offset + 1],
+        bytes[offset + 2],
+        bytes[offset + 3],
+      );
+      const chunkLength = this.readUint32(bytes, offset + 4);
+      const chunkStart = offset + 8;
+      // Clamp truncated chunks to the data we actually have
+      const chunkEnd = Math.min(bytes.length, chunkStart + chunkLength);
+
+      if (chunkId === "MThd") {
+        if (chunkLength < 6) {
+          throw new Error("Invalid MIDI header chunk");
+        }
+        header = {
+          format: this.readUint16(bytes, chunkStart),
+          trackCount: this.readUint16(bytes, chunkStart + 2),
+          division: this.parseDivision(this.readUint16(bytes, chunkStart + 4)),
+        };
+      } else if (chunkId === "MTrk") {
+        if (!header) {
+          throw new Error("MIDI track chunk found before header");
+        }
+        tracks.push(this.readTrack(bytes, chunkStart, chunkEnd));
+      }
+      // Unknown chunk types are skipped, as the SMF spec requires
+
+      offset = chunkStart + chunkLength;
+    }
+
+    if (!header) {
+      throw new Error("Not a Standard MIDI File (missing MThd header)");
+    }
+    if (header.format > 2) {
+      throw new Error(`Unsupported MIDI file format ${header.format}`);
+    }
+
+    const smf = {
+      header: "MThd",
+      format: header.format,
+      division: header.division,
+      tracks,
+    };
+
+    this.buildTempoMaps(smf);
+    return smf;
+  }
+
+  toByteArray(midiData) {
+    if (midiData instanceof Uint8Array) return midiData;
+    if (midiData instanceof ArrayBuffer) return new Uint8Array(midiData);
+    if (ArrayBuffer.isView(midiData)) {
+      return new Uint8Array(
+        midiData.buffer,
+        midiData.byteOffset,
+        midiData.byteLength,
+      );
+    }
+    if (Array.isArray(midiData)) return Uint8Array.from(midiData);
+    if (typeof midiData === "string") {
+      // Binary string as produced by FileReader.readAsBinaryString
+      const bytes = new Uint8Array(midiData.length);
+      for (let i = 0; i < midiData.length; i++) {
+        bytes[i] = midiData.charCodeAt(i) & 0xff;
+      }
+      return bytes;
+    }
+    throw new Error("Unsupported MIDI data type");
+  }
+
+  readUint16(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+  }
+
+  readUint32(bytes, offset) {
+    return (
+      ((bytes[offset] << 24) >>> 0) +
+      (bytes[offset + 1] << 16) +
+      (bytes[offset + 2] << 8) +
+      bytes[offset + 3]
+    );
+  }
+
+  // Read a variable-length quantity, returns { value, length }
+  readVariableLength(bytes, offset, end) {
+    let value = 0;
+    let length = 0;
+
+    while (offset + length < end) {
+      const byte = bytes[offset + length];
+      value = value * 128 + (byte & 0x7f);
+      length++;
+      if ((byte & 0x80) === 0) {
+        return { value, length };
+      }
+      if (length >= 4) break;
+    }
+
+    throw new Error("Invalid variable-length quantity in MIDI track");
+  }
+
+  parseDivision(division) {
+    if (division & 0x8000) {
+      // SMPTE: high byte is negative frames per second, low byte ticks/frame
+      const fps = 256 - (division >> 8);
+      const ticksPerFrame = division & 0xff;
+      const framesPerSecond = fps === 29 ? 29.97 : fps;
+      return {
+        type: "smpte",
+        framesPerSecond,
+        ticksPerFrame,
+        ticksPerSecond: framesPerSecond * ticksPerFrame,
+        ticksPerQuarter: null,
+      };
+    }
+
+    return { type: "ppq", ticksPerQuarter: division || 480 };
+  }
+
+  readTrack(bytes, start, end) {
+    const track = {
+      name: "",
+      events: [],
+      endTick: 0,
+    };
+    const dataLengths = {
+      0x80: 2,
+      0x90: 2,
+      0xa0: 2,
+      0xb0: 2,
+      0xc0: 1,
+      0xd0: 1,
+      0xe0: 2,
+    };
+
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    while (offset < end) {
+      const delta = this.readVariableLength(bytes, offset, end);
+      offset += delta.length;
+      tick += delta.value;
+
+      if (offset >= end) break;
+
+      let status = bytes[offset];
+
+      if (status === 0xff) {
+        // Meta event
+        const metaType = bytes[offset + 1];
+        const length = this.readVariableLength(bytes, offset + 2, end);
+        const dataStart = offset + 2 + length.length;
+        const data = bytes.subarray(
+          dataStart,
+          Math.min(end, dataStart + length.value),
+        );
+        offset = dataStart + length.value;
+
+        const meta = this.parseMetaEvent(metaType, data, tick);
+        if (meta.type === "trackName" && !track.name) {
+          track.name = meta.text;
+        }
+        track.events.push(meta);
+        if (meta.type === "endOfTrack") break;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        // SysEx or escaped data; not needed for drum playback
+        const length = this.readVariableLength(bytes, offset + 1, end);
+        const dataStart = offset + 1 + length.length;
+        track.events.push({
+          type: "sysex",
+          tick,
+          data: bytes.slice(dataStart, Math.min(end, dataStart + length.value)),
+        });
+        offset = dataStart + length.value;
+        continue;
+      }
+
+      if (status & 0x80) {
+        runningStatus = status;
+        offset++;
+      } else if (runningStatus !== null) {
+        // Running status: this byte is the first data byte
+        status = runningStatus;
+      } else {
+        throw new Error(
+          `Unexpected data byte at offset ${offset} without running status`,
+        );
+      }
+
+      const messageType = status & 0xf0;
+      const channel = status & 0x0f;
+      const data1 = bytes[offset];
+      const data2 = dataLengths[messageType] === 2 ? bytes[offset + 1] : 0;
+      offset += dataLengths[messageType] || 0;
+
+      track.events.push(
+        this.parseChannelEvent(messageType, channel, data1, data2, tick),
+      );
+    }
+
+    track.endTick = tick;
+    return track;
+  }
+
+  parseChannelEvent(messageType, channel, data1, data2, tick) {
+    switch (messageType) {
+      case 0x90:
+        // Note-on with velocity 0 is a note-off
+        return data2 === 0
+          ? { type: "noteOff", tick, channel, note: data1, velocity: 0 }
+          : { type: "noteOn", tick, channel, note: data1, velocity: data2 };
+      case 0x80:
+        return { type: "noteOff", tick, channel, note: data1, velocity: data2 };
+      case 0xa0:
+        return {
+          type: "polyAftertouch",
+          tick,
+          channel,
+          note: data1,
+          pressure: data2,
+        };
+      case 0xb0:
+        return {
+          type: "controller",
+          tick,
+          channel,
+          controller: data1,
+          value: data2,
+        };
+      case 0xc0:
+        return { type: "programChange", tick, channel, program: data1 };
+      case 0xd0:
+        return { type: "channelAftertouch", tick, channel, pressure: data1 };
+      default:
+        return {
+          type: "pitchBend",
+          tick,
+          channel,
+          value: ((data2 << 7) | data1) - 8192,
+        };
+    }
+  }
+
+  parseMetaEvent(metaType, data, tick) {
+    const text = () => String.fromCharCode(...data);
+
+    switch (metaType) {
+      case 0x01:
+        return { type: "text", tick, text: text() };
+      case 0x03:
+        return { type: "trackName", tick, text: text() };
+      case 0x04:
+        return { type: "instrumentName", tick, text: text() };
+      case 0x05:
+        return { type: "lyric", tick, text: text() };
+      case 0x06:
+        return { type: "marker", tick, text: text() };
+      case 0x2f:
+        return { type: "endOfTrack", tick };
+      case 0x51: {
+        const microsecondsPerQuarter =
+          (data[0] << 16) | (data[1] << 8) | data[2];
+        return {
+          type: "tempo",
+          tick,
+          microsecondsPerQuarter,
+          bpm: 60000000 / microsecondsPerQuarter,
+        };
+      }
+      case 0x58:
+        return {
+          type: "timeSignature",
+          tick,
+          numerator: data[0],
+          denominator: Math.pow(2, data[1]),
+          clocksPerClick: data[2],
+          thirtySecondsPerQuarter: data[3],
+        };
+      case 0x59:
+        return {
+          type: "keySignature",
+          tick,
+          key: data[0] > 127 ? data[0] - 256 : data[0],
+          scale: data[1] === 1 ? "minor" : "major",
+        };
+      default:
+        return { type: "meta", tick, metaType, data: Array.from(data) };
+    }
+  }
+
+  // Build the tempo map(s) used for tick -> beats/seconds conversion.
+  // Formats 0 and 1 share one map; format 2 tracks are independent patterns.
+  buildTempoMaps(smf) {
+    const collect = (tracks, type) => {
+      const events = [];
+      tracks.forEach((track) => {
+        track.events.forEach((event) => {
+          if (event.type === type) events.push(event);
+        });
+      });
+      return events.sort((a, b) => a.tick - b.tick);
+    };
+
+    const build = (tempoEvents) => {
+      const map = [
+        { tick: 0, microsecondsPerQuarter: 500000, beats: 0, seconds: 0 },
+      ];
+      const division = smf.division;
+
+      tempoEvents.forEach((event) => {
+        const last = map[map.length - 1];
+        const dt = event.tick - last.tick;
+        let beats;
+        let seconds;
+
+        if (division.type === "smpte") {
+          seconds = event.tick / division.ticksPerSecond;
+          beats =
+            last.beats +
+            ((dt / division.ticksPerSecond) * 1000000) /
+              last.microsecondsPerQuarter;
+        } else {
+          beats = event.tick / division.ticksPerQuarter;
+          seconds =
+            last.seconds +
+            ((dt / division.ticksPerQuarter) * last.microsecondsPerQuarter) /
+              1000000;
+        }
+
+        const entry = {
+          tick: event.tick,
+          microsecondsPerQuarter: event.microsecondsPerQuarter,
+          beats,
+          seconds,
+        };
+
+        // A tempo change at the same tick replaces the previous one
+        if (dt === 0) {
+          map[map.length - 1] = entry;
+        } else {
+          map.push(entry);
+        }
+      });
+
+      return map;
+    };
+
+    if (smf.format === 2) {
+      smf.trackTempoMaps = smf.tracks.map((track) =>
+        build(collect([track], "tempo")),
+      );
+      smf.tempoMap = smf.trackTempoMaps[0] || build([]);
+    } else {
+      smf.tempoMap = build(collect(smf.tracks, "tempo"));
+    }
+
+    smf.timeSignatures = collect(smf.tracks, "timeSignature").map((event) => ({
+      tick: event.tick,
+      numerator: event.numerator,
+      denominator: event.denominator,
+    }));
+
+    const endTick = smf.tracks.reduce(
+      (max, track) => Math.max(max, track.endTick),
+      0,
+    );
+    const end = this.ticksToTime(smf, endTick, 0);
+    smf.length = { ticks: endTick, beats: end.beats, seconds: end.seconds };
+  }
+
+  // Convert an absolute tick to { beats, seconds } using the tempo map
+  ticksToTime(smf, tick, trackIndex = 0) {
+    const map =
+      smf.format === 2 && smf.trackTempoMaps
+        ? smf.trackTempoMaps[trackIndex]
+        : smf.tempoMap;
+    const division = smf.division;
+
+    let segment = map[0];
+    for (let i = 1; i < map.length && map[i].tick <= tick; i++) {
+      segment = map[i];
+    }
+
+    const dt = tick - segment.tick;
+    const secondsPerQuarter = segment.microsecondsPerQuarter / 1000000;
+
+    if (division.type === "smpte") {
+      const seconds = tick / division.ticksPerSecond;
+      return {
+        beats: segment.beats + dt / division.ticksPerSecond / secondsPerQuarter,
+        seconds,
+      };
+    }
+
+    return {
+      beats: tick / division.ticksPerQuarter,
+      seconds:
+        segment.seconds + (dt / division.ticksPerQuarter) * secondsPerQuarter,
+    };
+  }
+
   // Detect vendor format based on note patterns
   detectVendorFormat(midiEvents) {
     const noteUsage = {};
@@ -138,8 +642,9 @@ class MidiTranslator {
 
   // Translate MIDI file from source to target format
   translateMidiFile(midiData, sourceVendor, targetVendor = "generalMidi") {
-    const parsedMidi =
-      typeof midiData === "object" ? midiData : this.parseMidiFile(midiData);
+    const parsedMidi = this.isParsedMidi(midiData)
+      ? midiData
+      : this.parseMidiData(midiData);
     const translatedEvents = [];
 
     // Use detected vendor if not specified
@@ -187,8 +692,11 @@ class MidiTranslator {
     const sourcePreset = this.drumMapPresets.getPreset(sourceVendor);
     const targetPreset = this.drumMapPresets.getPreset(targetVendor);
 
-    if (!sourcePreset || !targetPreset) {
-      console.warn(`Missing preset for ${sourceVendor} or ${targetVendor}`);
+    // The same layout on both sides passes notes through untouched
+    if (sourceVendor === targetVendor || !sourcePreset || !targetPreset) {
+      if (sourceVendor !== targetVendor) {
+        console.warn(`Missing preset for ${sourceVendor} or ${targetVendor}`);
+      }
       // Return identity map
       for (let i = 0; i < 128; i++) {
         map[i] = i;
@@ -209,20 +717,31 @@ class MidiTranslator {
     return map;
   }
 
-  // Translate real-time MIDI input
-  translateRealtimeNote(note, velocity, sourceVendor = null) {
+  // Translate real-time MIDI input to the current drum map, or to
+  // targetVendor when given (e.g. an external drum module's layout)
+  translateRealtimeNote(
+    note,
+    velocity,
+    sourceVendor = null,
+    targetVendor = null,
+  ) {
     if (!sourceVendor) {
       sourceVendor = this.detectedVendor || "generalMidi";
     }
 
-    const currentMap = this.drumMapManager.getCurrentMap();
-    if (!currentMap) {
-      return { note, velocity };
+    if (!targetVendor) {
+      const currentMap = this.drumMapManager
+        ? this.drumMapManager.getCurrentMap()
+        : null;
+      if (!currentMap) {
+        return { note, velocity };
+      }
+
+      // Get translation for current drum map
+      targetVendor =
+        currentMap.vendor === "OTTO" ? "generalMidi" : currentMap.id;
     }
 
-    // Get translation for current drum map
-    const targetVendor =
-      currentMap.vendor === "OTTO" ? "generalMidi" : currentMap.id;
     const translationMap = this.getTranslationMap(sourceVendor, targetVendor);
 
     return {
@@ -234,36 +753,275 @@ class MidiTranslator {
     };
   }
 
-  // Create MIDI file from events
+  // ==========================================
+  // Standard MIDI File Writing
+  // ==========================================
+
+  // Create a Standard MIDI File (format 0 or 1) from note events.
+  // `events` may be an event array or a parsed/translated MIDI object, in
+  // which case its tempo, meter, track names and length become the defaults.
+  // Event times and durations are in quarter-note beats. Returns a Uint8Array.
   createMidiFile(events, options = {}) {
-    // This would use a MIDI writing library in production
-    // For now, return a structure representing MIDI file
-    return {
-      format: options.format || 1,
-      ticksPerQuarter: options.ticksPerQuarter || 480,
-      tracks: [
+    const source = this.isParsedMidi(events) ? events : null;
+    const noteEvents = source ? source.events : events || [];
+
+    const format = options.format === 0 ? 0 : 1;
+    const ticksPerQuarter = Math.max(
+      1,
+      Math.min(0x7fff, Math.round(options.ticksPerQuarter || 480)),
+    );
+    const defaultChannel = options.channel !== undefined ? options.channel : 9; // GM drum channel
+    const timeSignature =
+      options.timeSignature || (source && source.timeSignature) || "4/4";
+    const tempoMap = this.buildWriteTempoMap(options, source);
+    const toTick = (beats) => Math.max(0, Math.round(beats * ticksPerQuarter));
+
+    // Turn every note into a paired note-on/note-off
+    const trackEvents = new Map();
+    noteEvents.forEach((event) => {
+      const trackIndex = format === 1 ? event.track || 0 : 0;
+      if (!trackEvents.has(trackIndex)) {
+        trackEvents.set(trackIndex, []);
+      }
+      const list = trackEvents.get(trackIndex);
+      const channel =
+        (event.channel !== undefined ? event.channel : defaultChannel) & 0x0f;
+      const tick = toTick(event.time || 0);
+
+      if (event.type === "noteOn") {
+        // Events without a duration get a 16th note
+        const durationTicks =
+          typeof event.duration === "number"
+            ? toTick(event.duration)
+            : Math.max(1, Math.round(ticksPerQuarter / 4));
+        const velocity = Math.max(
+          1,
+          Math.min(127, Math.round(event.velocity || 100)),
+        );
+        const note = Math.max(0, Math.min(127, event.note));
+
+        list.push({ tick, order: 1, bytes: [0x90 | channel, note, velocity] });
+        // Note-offs sort before note-ons on the same tick, except the
+        // note-off of a zero-length note which must follow its own note-on
+        list.push({
+          tick: tick + durationTicks,
+          order: durationTicks === 0 ? 2 : 0,
+          bytes: [0x80 | channel, note, 0],
+        });
+      } else if (event.type === "controller") {
+        list.push({
+          tick,
+          order: 0,
+          bytes: [0xb0 | channel, event.controller & 0x7f, event.value & 0x7f],
+        });
+      } else if (event.type === "programChange") {
+        list.push({
+          tick,
+          order: 0,
+          bytes: [0xc0 | channel, event.program & 0x7f],
+        });
+      }
+    });
+
+    // Keep the source loop length so exported grooves line up in a DAW
+    const lengthBeats =
+      options.lengthBeats ||
+      (source && source.length && source.length.beats) ||
+      0;
+    const endTick = toTick(lengthBeats);
+
+    const conductor = [
+      ...this.metaTextEvent(0x03, options.name || options.trackName || "Drums"),
+      ...this.timeSignatureEvent(timeSignature),
+      ...tempoMap.map((entry) =>
+        this.tempoEvent(toTick(entry.beats), entry.microsecondsPerQuarter),
+      ),
+    ];
+
+    const trackNames =
+      options.trackNames || (source && source.trackNames) || [];
+    const trackChunks = [];
+
+    if (format === 0) {
+      const events0 = [...conductor, ...(trackEvents.get(0) || [])];
+      trackChunks.push(this.encodeTrack(events0, endTick));
+    } else {
+      trackChunks.push(this.encodeTrack(conductor, endTick));
+      const indices = Array.from(trackEvents.keys()).sort((a, b) => a - b);
+      if (indices.length === 0) indices.push(0);
+      indices.forEach((trackIndex) => {
+        const name = trackNames[trackIndex] || options.trackName || "Drums";
+        trackChunks.push(
+          this.encodeTrack(
+            [
+              ...this.metaTextEvent(0x03, name),
+              ...(trackEvents.get(trackIndex) || []),
+            ],
+            endTick,
+          ),
+        );
+      });
+    }
+
+    const header = [
+      ..."MThd".split("").map((c) => c.charCodeAt(0)),
+      ...this.uint32Bytes(6),
+      0,
+      format,
+      (trackChunks.length >> 8) & 0xff,
+      trackChunks.length & 0xff,
+      (ticksPerQuarter >> 8) & 0x7f,
+      ticksPerQuarter & 0xff,
+    ];
+
+    const totalLength =
+      header.length + trackChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const file = new Uint8Array(totalLength);
+    let offset = 0;
+    [header, ...trackChunks].forEach((chunk) => {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    return file;
+  }
+
+  // Same as createMidiFile, wrapped in a Blob ready for download
+  createMidiBlob(events, options = {}) {
+    return new Blob([this.createMidiFile(events, options)], {
+      type: "audio/midi",
+    });
+  }
+
+  // Tempo entries ({ beats, microsecondsPerQuarter }) for the conductor track
+  buildWriteTempoMap(options, source) {
+    if (options.tempo) {
+      return [
         {
-          name: options.trackName || "Drums",
-          events: events,
+          beats: 0,
+          microsecondsPerQuarter: Math.round(60000000 / options.tempo),
         },
+      ];
+    }
+    if (
+      source &&
+      Array.isArray(source.tempoMap) &&
+      source.tempoMap.length > 0
+    ) {
+      return source.tempoMap.map((entry) => ({
+        beats: entry.beats,
+        microsecondsPerQuarter: entry.microsecondsPerQuarter,
+      }));
+    }
+    const bpm = (source && source.tempo) || 120;
+    return [{ beats: 0, microsecondsPerQuarter: Math.round(60000000 / bpm) }];
+  }
+
+  // Serialize { tick, order, bytes } events into an MTrk chunk
+  encodeTrack(events, endTick = 0) {
+    const sorted = events
+      .map((event, index) => ({ ...event, index }))
+      .sort(
+        (a, b) => a.tick - b.tick || a.order - b.order || a.index - b.index,
+      );
+
+    const data = [];
+    let lastTick = 0;
+    sorted.forEach((event) => {
+      data.push(...this.variableLengthBytes(event.tick - lastTick));
+      data.push(...event.bytes);
+      lastTick = event.tick;
+    });
+
+    // End of track
+    data.push(...this.variableLengthBytes(Math.max(0, endTick - lastTick)));
+    data.push(0xff, 0x2f, 0x00);
+
+    return [
+      ..."MTrk".split("").map((c) => c.charCodeAt(0)),
+      ...this.uint32Bytes(data.length),
+      ...data,
+    ];
+  }
+
+  metaTextEvent(metaType, text) {
+    const bytes = Array.from(String(text)).map((c) => c.charCodeAt(0) & 0xff);
+    return [
+      {
+        tick: 0,
+        order: -1,
+        bytes: [
+          0xff,
+          metaType,
+          ...this.variableLengthBytes(bytes.length),
+          ...bytes,
+        ],
+      },
+    ];
+  }
+
+  timeSignatureEvent(timeSignature) {
+    const [numerator, denominator] = String(timeSignature)
+      .split("/")
+      .map((part) => parseInt(part, 10));
+    const num = numerator > 0 ? numerator : 4;
+    const den = denominator > 0 ? denominator : 4;
+    return [
+      {
+        tick: 0,
+        order: -1,
+        bytes: [0xff, 0x58, 0x04, num, Math.round(Math.log2(den)), 24, 8],
+      },
+    ];
+  }
+
+  tempoEvent(tick, microsecondsPerQuarter) {
+    return {
+      tick,
+      order: -1,
+      bytes: [
+        0xff,
+        0x51,
+        0x03,
+        (microsecondsPerQuarter >> 16) & 0xff,
+        (microsecondsPerQuarter >> 8) & 0xff,
+        microsecondsPerQuarter & 0xff,
       ],
-      tempo: options.tempo || 120,
-      timeSignature: options.timeSignature || "4/4",
     };
   }
 
-  // Extract tempo from MIDI data
+  variableLengthBytes(value) {
+    let remaining = Math.max(0, Math.floor(value));
+    const bytes = [remaining & 0x7f];
+    remaining = Math.floor(remaining / 128);
+    while (remaining > 0) {
+      bytes.unshift((remaining & 0x7f) | 0x80);
+      remaining = Math.floor(remaining / 128);
+    }
+    return bytes;
+  }
+
+  uint32Bytes(value) {
+    return [
+      (value >>> 24) & 0xff,
+      (value >>> 16) & 0xff,
+      (value >>> 8) & 0xff,
+      value & 0xff,
+    ];
+  }
+
+  // Extract the initial tempo (BPM) from MIDI data
   extractTempo(midiData) {
-    // Simplified tempo extraction
-    // Real implementation would parse tempo meta events
-    return 120; // Default BPM
+    const smf = this.readStandardMidiFile(midiData);
+    const bpm = 60000000 / smf.tempoMap[0].microsecondsPerQuarter;
+    return Math.round(bpm * 1000) / 1000;
   }
 
-  // Extract time signature from MIDI data
+  // Extract the initial time signature from MIDI data
   extractTimeSignature(midiData) {
-    // Simplified time signature extraction
-    // Real implementation would parse time signature meta events
-    return "4/4";
+    const smf = this.readStandardMidiFile(midiData);
+    const first = smf.timeSignatures[0];
+    return first ? `${first.numerator}/${first.denominator}` : "4/4";
   }
 
   // Calculate duration of MIDI events
@@ -272,8 +1030,9 @@ class MidiTranslator {
 
     let maxTime = 0;
     events.forEach((event) => {
-      if (event.time > maxTime) {
-        maxTime = event.time;
+      const end = event.time + (event.duration || 0);
+      if (end > maxTime) {
+        maxTime = end;
       }
     });
 
@@ -282,8 +1041,9 @@ class MidiTranslator {
 
   // Analyze MIDI file for statistics
   analyzeMidiFile(midiData) {
-    const parsedMidi =
-      typeof midiData === "object" ? midiData : this.parseMidiFile(midiData);
+    const parsedMidi = this.isParsedMidi(midiData)
+      ? midiData
+      : this.parseMidiData(midiData);
     const analysis = {
       noteCount: {},
       velocityRange: { min: 127, max: 0 },
@@ -332,27 +1092,290 @@ class MidiTranslator {
     return analysis;
   }
 
-  // Convert MIDI events to pattern grid format
-  convertToPatternGrid(midiEvents, resolution = 16) {
-    const grid = {};
-    const quantize = (time, resolution) =>
-      Math.round(time * resolution) / resolution;
+  // ==========================================
+  // Pattern Grid
+  // ==========================================
 
-    midiEvents.forEach((event) => {
-      if (event.type === "noteOn") {
-        const step = quantize(event.time, resolution);
-        if (!grid[step]) {
-          grid[step] = [];
+  // Convert MIDI to a tick-accurate pattern grid. `midiData` is anything
+  // parseMidiData accepts, its output, or an array of note events (ticks
+  // are taken from `tick`, or derived from `time` in beats).
+  //
+  // Each quarter-note beat snaps to whichever of `options.subdivisions`
+  // (lines per quarter note; default straight 16ths and 8th-note triplets)
+  // fits its hits best, so straight and triplet beats can sit in one bar.
+  // Hits keep their velocity, length and distance from the grid line in
+  // ticks (`offset`), so convertPatternGridToEvents can rebuild the
+  // original timing exactly.
+  //
+  // Returns { ticksPerQuarter, timeSignature, timeSignatures, tempo,
+  // tempoMap, subdivisions, bars: [{ index, tick, length, numerator,
+  // denominator }], lengthTicks, beats: [{ bar, beat, tick, subdivision }],
+  // steps: [{ tick, bar, beat, subdivision, index, hits }] }
+  convertToPatternGrid(midiData, options = {}) {
+    const parsed = Array.isArray(midiData)
+      ? null
+      : this.isParsedMidi(midiData)
+        ? midiData
+        : this.parseMidiData(midiData);
+    const events = parsed ? parsed.events : midiData;
+
+    const ticksPerQuarter =
+      options.ticksPerQuarter || (parsed && parsed.ticksPerQuarter) || 480;
+    const subdivisions =
+      options.subdivisions && options.subdivisions.length > 0
+        ? options.subdivisions
+        : [4, 3];
+
+    const notes = events
+      .filter((event) => event.type === "noteOn")
+      .map((event) => ({
+        note: event.note,
+        velocity: event.velocity,
+        channel: event.channel,
+        tick:
+          parsed && Number.isFinite(event.tick)
+            ? event.tick
+            : Math.round((event.time || 0) * ticksPerQuarter),
+        duration: Number.isFinite(event.durationTicks)
+          ? event.durationTicks
+          : Math.round((event.duration || 0) * ticksPerQuarter),
+      }))
+      .sort((a, b) => a.tick - b.tick || a.note - b.note);
+
+    // Loop length: the file's own length, or enough bars for every note
+    const lastTick = notes.reduce((max, note) => Math.max(max, note.tick), 0);
+    const lengthHint = Math.max(
+      options.lengthTicks || (parsed && parsed.length && parsed.length.ticks),
+      lastTick + 1,
+    );
+    const timeSignatures =
+      options.timeSignatures ||
+      (parsed && parsed.timeSignatures && parsed.timeSignatures.length > 0
+        ? parsed.timeSignatures
+        : [
+            this.parseTimeSignature(
+              options.timeSignature || (parsed && parsed.timeSignature),
+            ),
+          ]);
+    const bars = this.buildBarMap(timeSignatures, ticksPerQuarter, lengthHint);
+    const lastBar = bars[bars.length - 1];
+    const lengthTicks = lastBar.tick + lastBar.length;
+
+    // Quarter-note beats of every bar; a bar of 7/8 ends on a half beat
+    const beats = [];
+    bars.forEach((bar) => {
+      for (let tick = 0; tick < bar.length; tick += ticksPerQuarter) {
+        beats.push({
+          bar: bar.index,
+          beat: tick / ticksPerQuarter,
+          tick: bar.tick + tick,
+          length: Math.min(ticksPerQuarter, bar.length - tick),
+          subdivision: subdivisions[0],
+          notes: [],
+        });
+      }
+    });
+
+    const beatAt = (tick) => {
+      let index = 0;
+      while (index + 1 < beats.length && beats[index + 1].tick <= tick) {
+        index++;
+      }
+      return index;
+    };
+    notes.forEach((note) => {
+      beats[beatAt(Math.min(note.tick, lengthTicks - 1))].notes.push(note);
+    });
+
+    const stepMap = new Map();
+    beats.forEach((beat, beatIndex) => {
+      beat.subdivision = this.chooseSubdivision(
+        beat.notes,
+        beat.tick,
+        ticksPerQuarter,
+        subdivisions,
+      );
+      const stepTicks = ticksPerQuarter / beat.subdivision;
+
+      beat.notes.forEach((note) => {
+        let index = Math.round((note.tick - beat.tick) / stepTicks);
+        let owner = beat;
+        // Pushed hits belong to the next beat's downbeat, when there is one
+        if (index * stepTicks >= beat.length) {
+          if (beatIndex + 1 < beats.length) {
+            owner = beats[beatIndex + 1];
+            index = 0;
+          } else {
+            index = Math.ceil(beat.length / stepTicks) - 1;
+          }
+        }
+
+        const tick = owner.tick + Math.round(index * stepTicks);
+        if (!stepMap.has(tick)) {
+          stepMap.set(tick, {
+            tick,
+            bar: owner.bar,
+            beat: owner.beat,
+            subdivision: index === 0 ? null : beat.subdivision,
+            index,
+            hits: [],
+          });
         }
-        grid[step].push({
-          note: event.note,
-          velocity: event.velocity,
-          duration: event.duration || 0.1,
+        stepMap.get(tick).hits.push({
+          note: note.note,
+          velocity: note.velocity,
+          channel: note.channel,
+          offset: note.tick - tick,
+          duration: note.duration,
         });
+      });
+    });
+
+    // Downbeats take the subdivision their beat settled on
+    const steps = Array.from(stepMap.values()).sort((a, b) => a.tick - b.tick);
+    steps.forEach((step) => {
+      if (step.subdivision === null) {
+        step.subdivision = beats[beatAt(step.tick)].subdivision;
       }
     });
 
-    return grid;
+    const first = timeSignatures[0];
+    return {
+      ticksPerQuarter,
+      timeSignature: `${first.numerator}/${first.denominator}`,
+      timeSignatures: timeSignatures.map((signature) => ({
+        tick: signature.tick || 0,
+        numerator: signature.numerator,
+        denominator: signature.denominator,
+      })),
+      tempo: parsed ? parsed.tempo : options.tempo || 120,
+      tempoMap: parsed && parsed.tempoMap ? parsed.tempoMap : null,
+      subdivisions,
+      bars,
+      lengthTicks,
+      beats: beats.map(({ bar, beat, tick, subdivision }) => ({
+        bar,
+        beat,
+        tick,
+        subdivision,
+      })),
+      steps,
+    };
+  }
+
+  // "6/8" -> { tick: 0, numerator: 6, denominator: 8 }
+  parseTimeSignature(timeSignature) {
+    const [numerator, denominator] = String(timeSignature || "4/4")
+      .split("/")
+      .map(Number);
+    return {
+      tick: 0,
+      numerator: numerator > 0 ? numerator : 4,
+      denominator: denominator > 0 ? denominator : 4,
+    };
+  }
+
+  // Bars ({ index, tick, length, numerator, denominator }) covering at
+  // least `lengthTicks`. A meter change starts a new bar.
+  buildBarMap(timeSignatures, ticksPerQuarter, lengthTicks) {
+    const signatures = [...timeSignatures].sort(
+      (a, b) => (a.tick || 0) - (b.tick || 0),
+    );
+    const bars = [];
+    let tick = 0;
+    let current = signatures[0];
+    let next = 1;
+
+    while (bars.length === 0 || tick < lengthTicks) {
+      while (next < signatures.length && signatures[next].tick <= tick) {
+        current = signatures[next++];
+      }
+
+      let length = Math.round(
+        (current.numerator * 4 * ticksPerQuarter) / current.denominator,
+      );
+      // Cut a bar short if the next meter starts inside it
+      if (next < signatures.length && signatures[next].tick < tick + length) {
+        length = signatures[next].tick - tick;
+      }
+
+      bars.push({
+        index: bars.length,
+        tick,
+        length,
+        numerator: current.numerator,
+        denominator: current.denominator,
+      });
+      tick += length;
+    }
+
+    return bars;
+  }
+
+  // Pick the subdivision whose grid lines are closest to a beat's hits.
+  // Ties (including empty beats and lone downbeats) go to the first one.
+  chooseSubdivision(notes, beatTick, ticksPerQuarter, subdivisions) {
+    let best = subdivisions[0];
+    let bestError = Infinity;
+
+    subdivisions.forEach((subdivision) => {
+      const stepTicks = ticksPerQuarter / subdivision;
+      const error = notes.reduce((sum, note) => {
+        const position = (note.tick - beatTick) / stepTicks;
+        return sum + Math.abs(position - Math.round(position)) * stepTicks;
+      }, 0);
+      if (error < bestError - 0.5) {
+        best = subdivision;
+        bestError = error;
+      }
+    });
+
+    return best;
+  }
+
+  // Turn a pattern grid back into note events (times in beats). Set
+  // `options.timing` between 0 and 1 to pull hits towards the grid; the
+  // default of 1 keeps the original micro-timing.
+  convertPatternGridToEvents(grid, options = {}) {
+    const timing = options.timing !== undefined ? options.timing : 1;
+    const ticksPerQuarter = grid.ticksPerQuarter;
+    const events = [];
+
+    grid.steps.forEach((step) => {
+      step.hits.forEach((hit) => {
+        const tick = Math.max(0, step.tick + Math.round(hit.offset * timing));
+        events.push({
+          type: "noteOn",
+          note: hit.note,
+          velocity: hit.velocity,
+          channel: hit.channel,
+          tick,
+          time: tick / ticksPerQuarter,
+          durationTicks: hit.duration,
+          duration: hit.duration / ticksPerQuarter,
+        });
+      });
+    });
+
+    return events.sort((a, b) => a.tick - b.tick || a.note - b.note);
+  }
+
+  // Write a pattern grid as a Standard MIDI File at the grid's own
+  // resolution, so unchanged grids round-trip tick for tick
+  createMidiFileFromGrid(grid, options = {}) {
+    const source = {
+      events: this.convertPatternGridToEvents(grid, options),
+      timeSignature: grid.timeSignature,
+      tempo: grid.tempo,
+      tempoMap: grid.tempoMap,
+      length: { beats: grid.lengthTicks / grid.ticksPerQuarter },
+      trackNames: [],
+    };
+
+    return this.createMidiFile(source, {
+      ticksPerQuarter: grid.ticksPerQuarter,
+      ...options,
+    });
   }
 
   // Batch translate multiple MIDI files
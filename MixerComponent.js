@@ -53,6 +53,15 @@ class MixerComponent {
       master: "Master Out",
     };
 
+    // Mic position faders, shown for kits recorded from several positions
+    this.micPositionLabels = {
+      close: "Close Mics",
+      room: "Room Mics",
+      overhead: "Overheads",
+    };
+    this.micSection = null;
+    this.micStrips = {};
+
     this.fxTypes = ["eq", "gate", "compressor", "saturation"];
     this.fxLabels = {
       eq: "EQ",
@@ -171,6 +180,15 @@ class MixerComponent {
     const channelsWrapper = document.createElement("div");
     channelsWrapper.className = "mixer-channels-wrapper";
 
+    this.micSection = document.createElement("div");
+    this.micSection.className = "mixer-mic-section";
+    Object.keys(this.micPositionLabels).forEach((position) => {
+      const strip = this.createMicStrip(position);
+      this.micSection.appendChild(strip);
+      this.micStrips[position] = strip;
+    });
+    channelsWrapper.appendChild(this.micSection);
+
     this.channelNames.forEach((channelName) => {
       const channel = this.createChannelStrip(channelName);
       channelsWrapper.appendChild(channel);
@@ -857,6 +875,43 @@ class MixerComponent {
     return strip;
   }
 
+  createMicStrip(position) {
+    const strip = document.createElement("div");
+    strip.className = "mixer-channel-strip mic-position-strip";
+    strip.dataset.micPosition = position;
+
+    const label = document.createElement("div");
+    label.className = "channel-label";
+    label.textContent = this.micPositionLabels[position];
+    strip.appendChild(label);
+
+    const faderSection = document.createElement("div");
+    faderSection.className = "channel-fader-section";
+
+    const faderTrack = document.createElement("div");
+    faderTrack.className = "fader-track";
+
+    const faderThumb = document.createElement("div");
+    faderThumb.className = "fader-thumb";
+    faderThumb.dataset.micPosition = position;
+
+    const faderValue = document.createElement("div");
+    faderValue.className = "fader-value";
+    faderValue.textContent = "0.0";
+
+    const bottomLabel = document.createElement("div");
+    bottomLabel.className = "channel-bottom-label";
+    bottomLabel.textContent = this.micPositionLabels[position];
+
+    faderTrack.appendChild(faderThumb);
+    faderSection.appendChild(faderTrack);
+    faderSection.appendChild(faderValue);
+    faderSection.appendChild(bottomLabel);
+    strip.appendChild(faderSection);
+
+    return strip;
+  }
+
   attachEventListeners() {
     const container = document.getElementById("mixer-container");
     if (!container) return;
@@ -911,6 +966,11 @@ class MixerComponent {
       fader.style.bottom = `${y - 10}px`;
       valueDisplay.textContent = value.toFixed(1);
 
+      if (fader.dataset.micPosition) {
+        this.updateMicLevel(fader.dataset.micPosition, value);
+        return;
+      }
+
       this.updateChannelLevel(channel, value);
 
       // Update master volume slider if this is the master channel
@@ -1048,8 +1108,11 @@ class MixerComponent {
 
     if (mixerPreset && mixerPreset.channels) {
       this.updateMixerUI(mixerPreset.channels);
+      this.otto.audioScheduler?.applyMixerChannels(mixerPreset.channels);
     }
 
+    this.updateMicBlendUI();
+
     // Sync the mixer's master fader with the current volume slider value
     // They represent the same thing - the master output level
     if (this.otto && this.otto.playerStates && this.otto.currentPlayer) {
@@ -1144,7 +1207,49 @@ class MixerComponent {
     });
   }
 
+  /**
+   * Show the current player's mic position blend, or hide the mic faders
+   * for single-position kits
+   */
+  updateMicBlendUI() {
+    if (!this.micSection) return;
+
+    const blend = this.otto.getPlayerMicBlend?.(
+      this.otto.currentPlayer,
+      this.currentKit,
+    );
+    this.micSection.style.display = blend ? "" : "none";
+    if (!blend) return;
+
+    Object.entries(this.micStrips).forEach(([position, strip]) => {
+      const level = blend[position];
+      strip.style.display = level === undefined ? "none" : "";
+      if (level === undefined) return;
+
+      const fader = strip.querySelector(".fader-thumb");
+      const faderValue = strip.querySelector(".fader-value");
+      const y = (level / 100) * fader.parentElement.offsetHeight;
+      fader.style.bottom = `${y - 10}px`;
+      faderValue.textContent = level.toFixed(1);
+    });
+  }
+
+  updateMicLevel(position, value) {
+    this.otto.setPlayerMicLevel?.(this.otto.currentPlayer, position, value);
+  }
+
   updateChannelLevel(channel, value) {
+    // The master fader mirrors the current player's volume slider, so it
+    // drives that player's lane rather than every player's output
+    if (channel === "master") {
+      this.otto.audioScheduler?.setLaneVolume(
+        this.otto.currentPlayer,
+        value / 100,
+      );
+    } else {
+      this.otto.audioScheduler?.setChannelLevel(channel, value);
+    }
+
     if (!this.currentKit) return;
 
     const drumkitManager = this.otto.drumkitManager;
@@ -1159,6 +1264,8 @@ class MixerComponent {
   }
 
   updateChannelPan(channel, value) {
+    this.otto.audioScheduler?.setChannelPan(channel, value);
+
     if (!this.currentKit) return;
 
     const drumkitManager = this.otto.drumkitManager;
@@ -1197,6 +1304,7 @@ class MixerComponent {
     } else {
       this.soloChannels.delete(channel);
     }
+    this.otto.audioScheduler?.setChannelSolo(channel, isActive);
 
     // Update all mute states based on solo
     this.updateSoloMuteStates();
@@ -1208,6 +1316,7 @@ class MixerComponent {
     if (!muteBtn) return;
 
     const isActive = muteBtn.classList.toggle("active");
+    this.otto.audioScheduler?.setChannelMute(channel, isActive);
 
     if (this.currentKit) {
       const drumkitManager = this.otto.drumkitManager;
@@ -1525,6 +1634,8 @@ class MixerComponent {
 
     this.fxWindows = {};
     this.channelElements = {};
+    this.micSection = null;
+    this.micStrips = {};
     this.soloChannels.clear();
   }
 }
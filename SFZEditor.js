@@ -4,84 +4,252 @@ class SFZEditor {
     this.regions = [];
     this.globalSettings = {};
     this.groups = [];
+    this.masters = [];
+    this.control = {};
+    this.curves = [];
+    this.effects = [];
+    this.defines = {};
+    this.missingIncludes = [];
+    this.maxIncludeDepth = 16;
+    this.sourceUrl = null; // URL of the last file loaded with loadSFZ
   }
 
-  // Parse SFZ file content into structured data
-  parseSFZ(sfzContent) {
+  // Parse SFZ file content into structured data.
+  // Headers and opcodes are tokenized independently of line breaks, so
+  // "<region> sample=kick.wav key=36" on a single line works. Pass
+  // options.includes ({ path: content }) to resolve #include directives;
+  // unresolved paths are collected in this.missingIncludes.
+  parseSFZ(sfzContent, options = {}) {
     if (!sfzContent) {
       throw new Error("No SFZ content provided");
     }
 
     this.regions = [];
     this.groups = [];
+    this.masters = [];
     this.globalSettings = {};
-
-    const lines = sfzContent.split("\n");
-    let currentSection = null;
+    this.control = {};
+    this.curves = [];
+    this.effects = [];
+    this.defines = {};
+    this.missingIncludes = [];
+
+    const text = this.preprocess(sfzContent, options.includes || {});
+
+    // Regions keep references to the scopes they were opened in and are
+    // flattened once every opcode has been read
+    const regionScopes = [];
+    let currentGlobal = this.globalSettings;
+    let currentMaster = null;
+    let currentGroup = null;
     let currentObject = null;
 
-    for (let line of lines) {
-      // Remove comments and trim
-      line = line.replace(/\/\/.*$/, "").trim();
-      if (!line) continue;
-
-      // Check for section headers
-      if (line.startsWith("<") && line.endsWith(">")) {
-        const sectionName = line.slice(1, -1).toLowerCase();
-
-        if (sectionName === "global") {
-          currentSection = "global";
-          currentObject = this.globalSettings;
-        } else if (sectionName === "group") {
-          currentSection = "group";
-          currentObject = {};
-          this.groups.push(currentObject);
-        } else if (sectionName === "region") {
-          currentSection = "region";
-          currentObject = {};
-          // Inherit group settings if exists
-          if (this.groups.length > 0) {
-            Object.assign(currentObject, this.groups[this.groups.length - 1]);
+    for (const line of text.split("\n")) {
+      for (const token of this.tokenizeLine(line)) {
+        if (token.type === "opcode") {
+          if (currentObject) {
+            currentObject[token.key] = this.parseValue(token.value);
           }
-          // Inherit global settings
-          Object.assign(currentObject, this.globalSettings);
-          this.regions.push(currentObject);
-        } else if (sectionName === "control") {
-          currentSection = "control";
-          currentObject = {};
+          continue;
+        }
+
+        switch (token.name) {
+          case "control":
+            currentObject = this.control;
+            break;
+          case "global":
+            // A new global scope ends the current master and group
+            currentGlobal = {};
+            this.globalSettings = currentGlobal;
+            currentMaster = null;
+            currentGroup = null;
+            currentObject = currentGlobal;
+            break;
+          case "master":
+            currentMaster = {};
+            currentGroup = null;
+            this.masters.push(currentMaster);
+            currentObject = currentMaster;
+            break;
+          case "group":
+            currentGroup = {};
+            this.groups.push(currentGroup);
+            currentObject = currentGroup;
+            break;
+          case "region":
+            currentObject = {};
+            regionScopes.push({
+              opcodes: currentObject,
+              global: currentGlobal,
+              master: currentMaster,
+              group: currentGroup,
+              defaultPath: this.control.default_path,
+            });
+            break;
+          case "curve":
+            currentObject = {};
+            this.curves.push(currentObject);
+            break;
+          case "effect":
+            currentObject = {};
+            this.effects.push(currentObject);
+            break;
+          default:
+            // Unsupported header (e.g. <midi>, <sample>): skip its opcodes
+            currentObject = null;
         }
-      } else if (currentObject) {
-        // Parse opcodes (key=value pairs)
-        const opcodes = this.parseOpcodes(line);
-        Object.assign(currentObject, opcodes);
       }
     }
 
+    // Precedence: region > group > master > global
+    this.regions = regionScopes.map((scope) => {
+      const region = {
+        ...scope.global,
+        ...scope.master,
+        ...scope.group,
+        ...scope.opcodes,
+      };
+
+      // default_path prefixes sample files, but not generators like *sine
+      if (
+        scope.defaultPath !== undefined &&
+        region.sample !== undefined &&
+        !String(region.sample).startsWith("*")
+      ) {
+        region.sample = `${scope.defaultPath}${region.sample}`;
+      }
+
+      return region;
+    });
+
     return {
+      control: this.control,
       global: this.globalSettings,
+      masters: this.masters,
       groups: this.groups,
       regions: this.regions,
+      curves: this.curves,
+      effects: this.effects,
+      defines: this.defines,
     };
   }
 
-  // Parse SFZ opcodes from a line
-  parseOpcodes(line) {
-    const opcodes = {};
-    // Split by spaces but respect quoted strings
-    const pairs = line.match(/\S+="[^"]+"|[^\s]+/g) || [];
-
-    for (const pair of pairs) {
-      const [key, ...valueParts] = pair.split("=");
-      if (valueParts.length > 0) {
-        let value = valueParts.join("=");
-        // Remove quotes if present
-        if (value.startsWith('"') && value.endsWith('"')) {
-          value = value.slice(1, -1);
+  // Fetch an SFZ file and every file it #includes, then parse it.
+  // Include paths are relative to the main file, as in the SFZ spec.
+  async loadSFZ(url) {
+    const baseUrl = url.substring(0, url.lastIndexOf("/") + 1);
+    const fetchText = async (fileUrl) => {
+      const response = await fetch(fileUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${fileUrl}`);
+      }
+      return response.text();
+    };
+
+    const content = await fetchText(url);
+    const includes = {};
+    let parsed = this.parseSFZ(content, { includes });
+
+    // Included files can include further files, so resolve level by level
+    while (this.missingIncludes.length > 0) {
+      await Promise.all(
+        this.missingIncludes.map(async (path) => {
+          includes[path] = await fetchText(`${baseUrl}${encodeURI(path)}`);
+        }),
+      );
+      parsed = this.parseSFZ(content, { includes });
+    }
+
+    this.sourceUrl = url;
+    return parsed;
+  }
+
+  // Strip comments and expand #define/#include directives
+  preprocess(content, includes, depth = 0) {
+    if (depth > this.maxIncludeDepth) {
+      throw new Error("SFZ #include nesting is too deep");
+    }
+
+    const output = [];
+
+    for (const line of this.stripComments(content).split("\n")) {
+      const define = line.match(/^\s*#define\s+(\$\w+)\s+(.*?)\s*$/);
+      if (define) {
+        this.defines[define[1]] = this.applyDefines(define[2]);
+        continue;
+      }
+
+      const include = line.match(/^\s*#include\s+"([^"]+)"/);
+      if (include) {
+        const path = this.applyDefines(include[1]).replace(/\\/g, "/");
+        if (includes[path] === undefined) {
+          if (!this.missingIncludes.includes(path)) {
+            this.missingIncludes.push(path);
+          }
+        } else {
+          output.push(this.preprocess(includes[path], includes, depth + 1));
         }
-        opcodes[key] = this.parseValue(value);
+        continue;
       }
+
+      output.push(this.applyDefines(line));
     }
 
+    return output.join("\n");
+  }
+
+  // Remove // line comments and /* */ block comments, keeping line breaks
+  stripComments(content) {
+    return content
+      .replace(/\r\n?/g, "\n")
+      .replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, (comment) =>
+        comment.replace(/[^\n]/g, ""),
+      );
+  }
+
+  // Substitute $variables, longest names first so $KICK doesn't eat $KICK2
+  applyDefines(text) {
+    return Object.keys(this.defines)
+      .sort((a, b) => b.length - a.length)
+      .reduce(
+        (result, name) => result.split(name).join(this.defines[name]),
+        text,
+      );
+  }
+
+  // Split a line into header and opcode tokens. An opcode value runs until
+  // the next header or opcode, so sample paths may contain spaces.
+  tokenizeLine(line) {
+    const tokens = [];
+    const matches = [...line.matchAll(/<(\w+)>|(?<![^\s>])([A-Za-z0-9_]+)=/g)];
+
+    matches.forEach((match, index) => {
+      if (match[1]) {
+        tokens.push({ type: "header", name: match[1].toLowerCase() });
+        return;
+      }
+
+      const end =
+        index + 1 < matches.length ? matches[index + 1].index : line.length;
+      let value = line.slice(match.index + match[0].length, end).trim();
+      // Remove quotes if present
+      if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+        value = value.slice(1, -1);
+      }
+      tokens.push({ type: "opcode", key: match[2], value });
+    });
+
+    return tokens;
+  }
+
+  // Parse SFZ opcodes from a line
+  parseOpcodes(line) {
+    const opcodes = {};
+    this.tokenizeLine(line).forEach((token) => {
+      if (token.type === "opcode") {
+        opcodes[token.key] = this.parseValue(token.value);
+      }
+    });
     return opcodes;
   }
 
@@ -97,13 +265,47 @@ class SFZEditor {
     return value;
   }
 
+  // Convert a MIDI number or SFZ note name (c4 = 60, c#4, db4) to a number
+  parseNote(value) {
+    if (value === undefined || value === null || value === "") return null;
+    if (Number.isFinite(value)) return value;
+
+    const match = String(value)
+      .trim()
+      .match(/^([a-g])(#|b)?(-?\d+)$/i);
+    if (!match) return null;
+
+    const semitones = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+    const accidental = match[2] === "#" ? 1 : match[2] === "b" ? -1 : 0;
+    return (
+      (parseInt(match[3], 10) + 1) * 12 +
+      semitones[match[1].toLowerCase()] +
+      accidental
+    );
+  }
+
+  // Resolve a region's key range from key/lokey/hikey
+  getRegionKeyRange(region) {
+    const key = this.parseNote(region.key);
+    const lokey = this.parseNote(region.lokey);
+    const hikey = this.parseNote(region.hikey);
+
+    return {
+      lokey: lokey !== null ? lokey : key !== null ? key : 0,
+      hikey: hikey !== null ? hikey : key !== null ? key : 127,
+    };
+  }
+
   // Generate SFZ content from structured data
   generateSFZ(sfzData = null) {
     if (!sfzData) {
       sfzData = {
+        control: this.control,
         global: this.globalSettings,
         groups: this.groups,
         regions: this.regions,
+        curves: this.curves,
+        effects: this.effects,
       };
     }
 
@@ -113,6 +315,16 @@ class SFZEditor {
     content += "// SFZ file generated by OTTO Drum Mapping System\n";
     content += `// Generated: ${new Date().toISOString()}\n\n`;
 
+    // Control section. default_path is left out because parsed region
+    // samples already include it.
+    const control = { ...sfzData.control };
+    delete control.default_path;
+    if (Object.keys(control).length > 0) {
+      content += "<control>\n";
+      content += this.formatOpcodes(control);
+      content += "\n";
+    }
+
     // Global section
     if (sfzData.global && Object.keys(sfzData.global).length > 0) {
       content += "<global>\n";
@@ -134,6 +346,19 @@ class SFZEditor {
       content += "\n";
     }
 
+    // Curves and effects
+    for (const curve of sfzData.curves || []) {
+      content += "<curve>\n";
+      content += this.formatOpcodes(curve);
+      content += "\n";
+    }
+
+    for (const effect of sfzData.effects || []) {
+      content += "<effect>\n";
+      content += this.formatOpcodes(effect);
+      content += "\n";
+    }
+
     return content;
   }
 
@@ -427,6 +652,11 @@ class SFZEditor {
     clone.globalSettings = { ...this.globalSettings };
     clone.groups = this.groups.map((g) => ({ ...g }));
     clone.regions = this.regions.map((r) => ({ ...r }));
+    clone.masters = this.masters.map((m) => ({ ...m }));
+    clone.control = { ...this.control };
+    clone.curves = this.curves.map((c) => ({ ...c }));
+    clone.effects = this.effects.map((e) => ({ ...e }));
+    clone.defines = { ...this.defines };
     return clone;
   }
 
@@ -435,14 +665,24 @@ class SFZEditor {
     this.regions = [];
     this.groups = [];
     this.globalSettings = {};
+    this.masters = [];
+    this.control = {};
+    this.curves = [];
+    this.effects = [];
+    this.defines = {};
+    this.sourceUrl = null;
   }
 
   // Export as JSON for storage
   toJSON() {
     return {
+      control: this.control,
       global: this.globalSettings,
+      masters: this.masters,
       groups: this.groups,
       regions: this.regions,
+      curves: this.curves,
+      effects: this.effects,
     };
   }
 
@@ -454,6 +694,10 @@ class SFZEditor {
     this.globalSettings = json.global || {};
     this.groups = json.groups || [];
     this.regions = json.regions || [];
+    this.masters = json.masters || [];
+    this.control = json.control || {};
+    this.curves = json.curves || [];
+    this.effects = json.effects || [];
   }
 }
 
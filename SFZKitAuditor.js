@@ -0,0 +1,373 @@
+/**
+ * SFZKitAuditor.js
+ * Integrity checks for SFZ drumkits: missing samples, filename case
+ * mismatches, overlapping or incomplete key/velocity zones and drum map
+ * notes the kit does not cover
+ */
+
+class SFZKitAuditor {
+  constructor(drumMapManager = null) {
+    this.drumMapManager = drumMapManager;
+
+    // Cache of directory listings: directory URL -> Promise<Set|null>
+    this.directoryListings = new Map();
+  }
+
+  /**
+   * Audit one .sfz file.
+   * @param {string} sfzUrl - URL of the .sfz file
+   * @param {Object} options - { drumMap } to override the active drum map
+   * @returns {Promise<Object>} Report:
+   *   { sfzUrl, ok, regionCount, sampleCount, issues, errors, warnings }
+   *   where issues are { type, severity, message, ... } and errors/warnings
+   *   are the messages split by severity
+   */
+  async audit(sfzUrl, options = {}) {
+    const issues = [];
+    const parser = new SFZEditor();
+
+    let parsed;
+    try {
+      parsed = await parser.loadSFZ(sfzUrl);
+    } catch (error) {
+      issues.push({
+        type: "unreadable",
+        severity: "error",
+        message: `Could not read ${sfzUrl}: ${error.message}`,
+      });
+      return this.buildReport(sfzUrl, [], [], issues);
+    }
+
+    const baseUrl = sfzUrl.substring(0, sfzUrl.lastIndexOf("/") + 1);
+    const regions = parsed.regions.map((region, index) =>
+      this.describeRegion(region, index, parser),
+    );
+
+    parser.validate().errors.forEach((message) => {
+      issues.push({ type: "structure", severity: "error", message });
+    });
+
+    const samples = await this.checkSamples(regions, baseUrl, issues);
+    this.checkOverlaps(regions, issues);
+    this.checkVelocityGaps(regions, issues);
+    this.checkDrumMapCoverage(
+      regions,
+      options.drumMap ||
+        (this.drumMapManager && this.drumMapManager.currentMap),
+      issues,
+    );
+
+    return this.buildReport(sfzUrl, regions, samples, issues);
+  }
+
+  buildReport(sfzUrl, regions, samples, issues) {
+    const errors = issues
+      .filter((issue) => issue.severity === "error")
+      .map((issue) => issue.message);
+    const warnings = issues
+      .filter((issue) => issue.severity === "warning")
+      .map((issue) => issue.message);
+
+    return {
+      sfzUrl,
+      ok: errors.length === 0,
+      regionCount: regions.length,
+      sampleCount: samples.length,
+      issues,
+      errors,
+      warnings,
+    };
+  }
+
+  /**
+   * Normalize a region's zone so the checks don't have to deal with
+   * defaults or note names
+   */
+  describeRegion(region, index, parser) {
+    const { lokey, hikey } = parser.getRegionKeyRange(region);
+
+    return {
+      index,
+      sample: region.sample,
+      lokey,
+      hikey,
+      lovel: Number.isFinite(region.lovel) ? region.lovel : 0,
+      hivel: Number.isFinite(region.hivel) ? region.hivel : 127,
+      seqPosition: region.seq_position || 1,
+      seqLength: region.seq_length || 1,
+      lorand: Number.isFinite(region.lorand) ? region.lorand : 0,
+      hirand: Number.isFinite(region.hirand) ? region.hirand : 1,
+    };
+  }
+
+  // ==========================================
+  // Samples
+  // ==========================================
+
+  /**
+   * Check that every referenced sample exists, with the exact case used
+   * in the .sfz. Case-insensitive servers (macOS, Windows) serve
+   * "kick.wav" for "Kick.wav", so the case check relies on the directory
+   * listing and, without one, on the kit's own references.
+   */
+  async checkSamples(regions, baseUrl, issues) {
+    const samples = new Map();
+    regions.forEach((region) => {
+      if (!region.sample || String(region.sample).startsWith("*")) return;
+      const url = this.resolveSampleUrl(baseUrl, region.sample);
+      if (!samples.has(url)) {
+        samples.set(url, { url, sample: region.sample, regions: [] });
+      }
+      samples.get(url).regions.push(region.index);
+    });
+
+    await Promise.all(
+      Array.from(samples.values()).map(async (entry) => {
+        const exists = await this.sampleExists(entry.url);
+        const actualName = await this.findListedName(entry.url);
+
+        if (actualName && actualName !== this.getFileName(entry.url)) {
+          issues.push({
+            type: "caseMismatch",
+            severity: "error",
+            sample: entry.sample,
+            actual: actualName,
+            regions: entry.regions,
+            message: `Sample "${entry.sample}" only matches "${actualName}" by case; it will not load on case-sensitive servers`,
+          });
+        } else if (!exists) {
+          issues.push({
+            type: "missingSample",
+            severity: "error",
+            sample: entry.sample,
+            url: entry.url,
+            regions: entry.regions,
+            message: `Sample "${entry.sample}" not found`,
+          });
+        }
+      }),
+    );
+
+    // The same file referenced with different casing within the kit
+    const byLowerCase = new Map();
+    samples.forEach((entry) => {
+      const lower = entry.url.toLowerCase();
+      if (!byLowerCase.has(lower)) {
+        byLowerCase.set(lower, []);
+      }
+      byLowerCase.get(lower).push(entry.sample);
+    });
+    byLowerCase.forEach((names) => {
+      if (names.length > 1) {
+        issues.push({
+          type: "caseMismatch",
+          severity: "warning",
+          sample: names[0],
+          variants: names,
+          message: `Sample referenced with inconsistent case: ${names.join(", ")}`,
+        });
+      }
+    });
+
+    return Array.from(samples.keys());
+  }
+
+  resolveSampleUrl(baseUrl, samplePath) {
+    const parts = `${baseUrl}${String(samplePath).replace(/\\/g, "/")}`.split(
+      "/",
+    );
+    const resolved = [];
+
+    parts.forEach((part, index) => {
+      if (part === "." && index > 0) return;
+      if (
+        part === ".." &&
+        resolved.length > 0 &&
+        !["..", "."].includes(resolved[resolved.length - 1])
+      ) {
+        resolved.pop();
+        return;
+      }
+      resolved.push(part);
+    });
+
+    return resolved.join("/");
+  }
+
+  async sampleExists(url) {
+    try {
+      let response = await fetch(url, { method: "HEAD" });
+      // Some static servers don't implement HEAD
+      if (response.status === 405 || response.status === 501) {
+        response = await fetch(url);
+      }
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  getFileName(url) {
+    return url.substring(url.lastIndexOf("/") + 1);
+  }
+
+  /**
+   * Look a file up in its directory listing, ignoring case.
+   * @returns {Promise<string|null>} The listed name, or null when the
+   *   directory has no listing or the file isn't in it
+   */
+  async findListedName(url) {
+    const directory = url.substring(0, url.lastIndexOf("/") + 1);
+    const listing = await this.getDirectoryListing(directory);
+    if (!listing) return null;
+
+    const fileName = this.getFileName(url).toLowerCase();
+    for (const name of listing) {
+      if (name.toLowerCase() === fileName) return name;
+    }
+    return null;
+  }
+
+  getDirectoryListing(directory) {
+    if (this.directoryListings.has(directory)) {
+      return this.directoryListings.get(directory);
+    }
+
+    const promise = fetch(directory)
+      .then((response) => (response.ok ? response.text() : null))
+      .then((html) => {
+        if (!html || typeof DOMParser === "undefined") return null;
+
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        const names = new Set();
+        doc.querySelectorAll("a").forEach((link) => {
+          const href = link.getAttribute("href");
+          if (!href || href.includes("?") || href.endsWith("/")) return;
+          names.add(decodeURIComponent(href.split("/").pop()));
+        });
+        return names.size > 0 ? names : null;
+      })
+      .catch(() => null);
+
+    this.directoryListings.set(directory, promise);
+    return promise;
+  }
+
+  // ==========================================
+  // Zones
+  // ==========================================
+
+  /**
+   * Regions sharing a key and velocity range are only intended when they
+   * are round robins or random layers of each other
+   */
+  checkOverlaps(regions, issues) {
+    const reported = new Set();
+
+    for (let note = 0; note <= 127; note++) {
+      const onNote = regions.filter(
+        (region) => note >= region.lokey && note <= region.hikey,
+      );
+
+      for (let i = 0; i < onNote.length; i++) {
+        for (let j = i + 1; j < onNote.length; j++) {
+          const a = onNote[i];
+          const b = onNote[j];
+          const pair = `${a.index}:${b.index}`;
+          if (reported.has(pair) || !this.zonesCollide(a, b)) continue;
+
+          reported.add(pair);
+          issues.push({
+            type: "overlap",
+            severity: "warning",
+            note,
+            regions: [a.index, b.index],
+            message: `Note ${note}: regions ${a.index} (${a.sample}) and ${b.index} (${b.sample}) overlap at velocities ${Math.max(a.lovel, b.lovel)}-${Math.min(a.hivel, b.hivel)}`,
+          });
+        }
+      }
+    }
+  }
+
+  zonesCollide(a, b) {
+    if (a.lovel > b.hivel || b.lovel > a.hivel) return false;
+
+    // Different steps of the same round robin take turns
+    if (
+      (a.seqLength > 1 || b.seqLength > 1) &&
+      a.seqPosition !== b.seqPosition
+    ) {
+      return false;
+    }
+
+    // Disjoint random ranges never sound together
+    return a.lorand < b.hirand && b.lorand < a.hirand;
+  }
+
+  /**
+   * Every mapped key should answer the full velocity range 1-127
+   */
+  checkVelocityGaps(regions, issues) {
+    for (let note = 0; note <= 127; note++) {
+      const ranges = regions
+        .filter((region) => note >= region.lokey && note <= region.hikey)
+        .map((region) => [Math.max(1, region.lovel), region.hivel])
+        .sort((a, b) => a[0] - b[0]);
+      if (ranges.length === 0) continue;
+
+      let covered = 0;
+      ranges.forEach(([low, high]) => {
+        if (low > covered + 1) {
+          this.addVelocityGap(issues, note, covered + 1, low - 1);
+        }
+        covered = Math.max(covered, high);
+      });
+      if (covered < 127) {
+        this.addVelocityGap(issues, note, covered + 1, 127);
+      }
+    }
+  }
+
+  addVelocityGap(issues, note, low, high) {
+    issues.push({
+      type: "velocityGap",
+      severity: "warning",
+      note,
+      lovel: low,
+      hivel: high,
+      message: `Note ${note}: no sample for velocities ${low}-${high}`,
+    });
+  }
+
+  // ==========================================
+  // Drum Map
+  // ==========================================
+
+  checkDrumMapCoverage(regions, drumMap, issues) {
+    if (!drumMap || !drumMap.mapping) return;
+
+    Object.entries(drumMap.mapping).forEach(([noteKey, info]) => {
+      const note = parseInt(noteKey, 10);
+      if (!Number.isFinite(note)) return;
+
+      const covered = regions.some(
+        (region) => note >= region.lokey && note <= region.hikey,
+      );
+      if (covered) return;
+
+      const label = info && (info.name || info.mixerChannel);
+      issues.push({
+        type: "unmappedNote",
+        severity: "warning",
+        note,
+        channel: info ? info.mixerChannel : null,
+        message: `Note ${note}${label ? ` (${label})` : ""} is in drum map "${drumMap.name || drumMap.id}" but the kit has no sample for it`,
+      });
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SFZKitAuditor;
+}
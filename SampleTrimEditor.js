@@ -0,0 +1,432 @@
+/**
+ * SampleTrimEditor.js
+ * Waveform view of one sample with draggable start, end and fade-out
+ * markers. Trims map to SFZ opcodes: offset and end in sample frames,
+ * ampeg_release (the fade before the end point) in seconds.
+ */
+
+class SampleTrimEditor {
+  constructor(audioContext = null) {
+    this.audioContext = audioContext;
+
+    this.container = null;
+    this.canvas = null;
+    this.url = null;
+    this.name = "";
+    this.buffer = null;
+    this.buffers = new Map(); // url -> Promise<AudioBuffer|null>
+    this.columns = null; // [min, max] per canvas pixel column
+
+    // offset/end in frames, release in seconds
+    this.trim = { offset: 0, end: 0, release: 0 };
+    this.dragging = null; // "offset", "end" or "release"
+    this.handleTolerance = 6; // Pixels either side of a marker
+    this.auditionSource = null;
+
+    this.colors = {
+      background: "#1e1e1e",
+      waveform: "#4a90e2",
+      trimmed: "rgba(0, 0, 0, 0.6)",
+      offset: "#4caf50",
+      end: "#f44336",
+      release: "#ffc107",
+    };
+
+    // Called with the trim as SFZ opcodes when Apply is pressed
+    this.onApply = null;
+
+    this.handleMouseMove = (e) => this.drag(e);
+    this.handleMouseUp = () => {
+      this.dragging = null;
+    };
+  }
+
+  /**
+   * Build the editor inside a container element
+   */
+  attach(container) {
+    this.container = container;
+    container.innerHTML = `
+      <div class="sample-detail-header">
+        <span class="sample-detail-name">No sample selected</span>
+        <span class="sample-detail-stats"></span>
+      </div>
+      <canvas class="sample-waveform" height="120"></canvas>
+      <div class="sample-detail-controls">
+        <span class="sample-trim-readout"></span>
+        <button class="btn-secondary sample-audition-btn">Audition</button>
+        <button class="btn-secondary sample-reset-btn">Reset</button>
+        <button class="btn-primary sample-apply-btn">Apply</button>
+      </div>
+    `;
+
+    this.canvas = container.querySelector(".sample-waveform");
+    this.canvas.addEventListener("mousedown", (e) => this.startDrag(e));
+    document.addEventListener("mousemove", this.handleMouseMove);
+    document.addEventListener("mouseup", this.handleMouseUp);
+
+    container.querySelector(".sample-audition-btn").onclick = () =>
+      this.audition();
+    container.querySelector(".sample-reset-btn").onclick = () => this.reset();
+    container.querySelector(".sample-apply-btn").onclick = () => {
+      if (this.buffer && this.onApply) {
+        this.onApply(this.getOpcodes());
+      }
+    };
+
+    if (this.buffer) {
+      this.render();
+    }
+  }
+
+  /**
+   * Decode and show a sample
+   * @param {Object} trim - Current opcodes: { offset, end, release }
+   * @returns {Promise<boolean>} false if the sample could not be decoded
+   */
+  async load(url, name, trim = {}) {
+    this.stopAudition();
+    this.url = url;
+    this.name = name;
+
+    const buffer = await this.decode(url);
+    // Another sample was picked while this one was decoding
+    if (this.url !== url) return false;
+
+    this.buffer = buffer;
+    this.columns = null;
+    if (!buffer) {
+      this.setText(".sample-detail-name", `${name} (could not load)`);
+      return false;
+    }
+
+    this.trim = this.clampTrim({
+      offset: Number.isFinite(trim.offset) ? trim.offset : 0,
+      end: Number.isFinite(trim.end) && trim.end > 0 ? trim.end : buffer.length,
+      release: Number.isFinite(trim.release) ? trim.release : 0,
+    });
+    this.render();
+    return true;
+  }
+
+  getAudioContext() {
+    if (!this.audioContext) {
+      const AudioContextClass =
+        window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContextClass();
+    }
+    return this.audioContext;
+  }
+
+  decode(url) {
+    if (!this.buffers.has(url)) {
+      const context = this.getAudioContext();
+      const promise = fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(
+          (data) =>
+            new Promise((resolve, reject) => {
+              context.decodeAudioData(data, resolve, reject);
+            }),
+        )
+        .catch((error) => {
+          console.warn(`Could not decode sample ${url}:`, error);
+          return null;
+        });
+      this.buffers.set(url, promise);
+    }
+    return this.buffers.get(url);
+  }
+
+  clampTrim(trim) {
+    const length = this.buffer.length;
+    const end = Math.round(Math.max(1, Math.min(length, trim.end)));
+    const offset = Math.round(Math.max(0, Math.min(end - 1, trim.offset)));
+    const maxRelease = (end - offset) / this.buffer.sampleRate;
+
+    return {
+      offset,
+      end,
+      release: Math.max(0, Math.min(maxRelease, trim.release)),
+    };
+  }
+
+  reset() {
+    if (!this.buffer) return;
+    this.trim = { offset: 0, end: this.buffer.length, release: 0 };
+    this.render();
+  }
+
+  /**
+   * The trim as SFZ opcodes
+   */
+  getOpcodes() {
+    return {
+      offset: this.trim.offset,
+      end: this.trim.end,
+      ampeg_release: Math.round(this.trim.release * 1000) / 1000,
+    };
+  }
+
+  // ==========================================
+  // Drawing
+  // ==========================================
+
+  render() {
+    if (!this.canvas || !this.buffer) return;
+
+    this.draw();
+    this.updateReadouts();
+  }
+
+  /**
+   * Min/max of all channels for each pixel column
+   */
+  computeColumns(width) {
+    const channels = [];
+    for (let c = 0; c < this.buffer.numberOfChannels; c++) {
+      channels.push(this.buffer.getChannelData(c));
+    }
+
+    const framesPerColumn = this.buffer.length / width;
+    const columns = [];
+    for (let x = 0; x < width; x++) {
+      const start = Math.floor(x * framesPerColumn);
+      const end = Math.max(start + 1, Math.floor((x + 1) * framesPerColumn));
+      let min = 0;
+      let max = 0;
+      channels.forEach((data) => {
+        for (let i = start; i < end && i < data.length; i++) {
+          if (data[i] < min) min = data[i];
+          if (data[i] > max) max = data[i];
+        }
+      });
+      columns.push([min, max]);
+    }
+    return columns;
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    const width = canvas.clientWidth || 600;
+    if (canvas.width !== width || !this.columns) {
+      canvas.width = width;
+      this.columns = this.computeColumns(width);
+    }
+
+    const ctx = canvas.getContext("2d");
+    const height = canvas.height;
+    const middle = height / 2;
+
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = this.colors.waveform;
+    this.columns.forEach(([min, max], x) => {
+      const top = middle - max * middle;
+      const bottom = middle - min * middle;
+      ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    });
+
+    const offsetX = this.frameToX(this.trim.offset);
+    const endX = this.frameToX(this.trim.end);
+    const fadeX = this.frameToX(this.getFadeStartFrame());
+
+    // Dim everything outside the trimmed region
+    ctx.fillStyle = this.colors.trimmed;
+    ctx.fillRect(0, 0, offsetX, height);
+    ctx.fillRect(endX, 0, width - endX, height);
+
+    // Fade-out ramp
+    ctx.strokeStyle = this.colors.release;
+    ctx.beginPath();
+    ctx.moveTo(fadeX, 0);
+    ctx.lineTo(endX, height);
+    ctx.stroke();
+
+    this.drawMarker(ctx, offsetX, this.colors.offset);
+    this.drawMarker(ctx, endX, this.colors.end);
+    this.drawMarker(ctx, fadeX, this.colors.release);
+  }
+
+  drawMarker(ctx, x, color) {
+    ctx.fillStyle = color;
+    ctx.fillRect(Math.round(x) - 1, 0, 2, this.canvas.height);
+    ctx.fillRect(Math.round(x) - 4, 0, 8, 6);
+  }
+
+  updateReadouts() {
+    const sampleRate = this.buffer.sampleRate;
+    const length = (this.trim.end - this.trim.offset) / sampleRate;
+    const peak = this.measurePeak(this.trim.offset, this.trim.end);
+    const peakText =
+      peak > 0 ? `${(20 * Math.log10(peak)).toFixed(1)} dBFS` : "silent";
+
+    this.setText(".sample-detail-name", this.name);
+    this.setText(
+      ".sample-detail-stats",
+      `Peak ${peakText} | ${length.toFixed(3)} s of ${this.buffer.duration.toFixed(3)} s`,
+    );
+    this.setText(
+      ".sample-trim-readout",
+      `Start ${(this.trim.offset / sampleRate).toFixed(3)} s | End ${(this.trim.end / sampleRate).toFixed(3)} s | Fade ${this.trim.release.toFixed(3)} s`,
+    );
+  }
+
+  measurePeak(start, end) {
+    let peak = 0;
+    for (let c = 0; c < this.buffer.numberOfChannels; c++) {
+      const data = this.buffer.getChannelData(c);
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    return peak;
+  }
+
+  setText(selector, text) {
+    const element = this.container && this.container.querySelector(selector);
+    if (element) {
+      element.textContent = text;
+    }
+  }
+
+  // ==========================================
+  // Dragging
+  // ==========================================
+
+  frameToX(frame) {
+    return (frame / this.buffer.length) * this.canvas.width;
+  }
+
+  eventToFrame(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = Math.max(0, Math.min(rect.width, e.clientX - rect.left));
+    return Math.round((x / (rect.width || 1)) * this.buffer.length);
+  }
+
+  getFadeStartFrame() {
+    return this.trim.end - this.trim.release * this.buffer.sampleRate;
+  }
+
+  startDrag(e) {
+    if (!this.buffer) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / (rect.width || 1)) * this.canvas.width;
+    const markers = {
+      offset: this.frameToX(this.trim.offset),
+      end: this.frameToX(this.trim.end),
+      release: this.frameToX(this.getFadeStartFrame()),
+    };
+
+    // Nearest marker wins; the fade marker sits on the end marker until
+    // it is pulled away, so prefer it when they overlap
+    let nearest = null;
+    let nearestDistance = this.handleTolerance;
+    ["release", "end", "offset"].forEach((marker) => {
+      const distance = Math.abs(markers[marker] - x);
+      if (distance < nearestDistance) {
+        nearest = marker;
+        nearestDistance = distance;
+      }
+    });
+
+    this.dragging = nearest;
+    if (nearest) {
+      e.preventDefault();
+    }
+  }
+
+  drag(e) {
+    if (!this.dragging || !this.buffer) return;
+
+    const frame = this.eventToFrame(e);
+    const trim = { ...this.trim };
+
+    if (this.dragging === "offset") {
+      trim.offset = frame;
+    } else if (this.dragging === "end") {
+      // Moving the end point keeps the fade length
+      trim.end = frame;
+    } else {
+      trim.release = (trim.end - frame) / this.buffer.sampleRate;
+    }
+
+    this.trim = this.clampTrim(trim);
+    this.render();
+  }
+
+  // ==========================================
+  // Audition
+  // ==========================================
+
+  /**
+   * Play the trimmed region with its fade-out
+   */
+  audition() {
+    if (!this.buffer) return;
+    this.stopAudition();
+
+    const context = this.getAudioContext();
+    if (context.state === "suspended") {
+      context.resume();
+    }
+
+    const sampleRate = this.buffer.sampleRate;
+    const start = this.trim.offset / sampleRate;
+    const duration = (this.trim.end - this.trim.offset) / sampleRate;
+    const now = context.currentTime;
+
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = this.buffer;
+    gain.gain.setValueAtTime(1, now);
+    if (this.trim.release > 0) {
+      gain.gain.setValueAtTime(1, now + duration - this.trim.release);
+      gain.gain.linearRampToValueAtTime(0, now + duration);
+    }
+
+    source.connect(gain);
+    gain.connect(context.destination);
+    source.onended = () => {
+      source.disconnect();
+      gain.disconnect();
+      if (this.auditionSource === source) {
+        this.auditionSource = null;
+      }
+    };
+
+    source.start(now, start, duration);
+    this.auditionSource = source;
+  }
+
+  stopAudition() {
+    if (!this.auditionSource) return;
+    try {
+      this.auditionSource.stop();
+    } catch {
+      // Already stopped
+    }
+    this.auditionSource = null;
+  }
+
+  destroy() {
+    this.stopAudition();
+    document.removeEventListener("mousemove", this.handleMouseMove);
+    document.removeEventListener("mouseup", this.handleMouseUp);
+    this.container = null;
+    this.canvas = null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SampleTrimEditor;
+}
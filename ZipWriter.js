@@ -0,0 +1,171 @@
+/**
+ * ZipWriter.js
+ * Minimal ZIP archive writer for bundling exports (e.g. a pattern group's
+ * MIDI files). Files are stored uncompressed, which every unzip tool and
+ * DAW import dialog understands.
+ */
+
+class ZipWriter {
+  constructor() {
+    this.files = [];
+    this.crcTable = null;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive ("/" separated)
+   * @param {Uint8Array|ArrayBuffer|string} data - File contents
+   * @param {Date} date - Modification time
+   */
+  addFile(name, data, date = new Date()) {
+    let bytes = data;
+    if (typeof data === "string") {
+      bytes = new TextEncoder().encode(data);
+    } else if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    }
+
+    this.files.push({
+      name: new TextEncoder().encode(name),
+      data: bytes,
+      crc: this.crc32(bytes),
+      date,
+    });
+  }
+
+  /**
+   * Build the archive
+   * @returns {Uint8Array}
+   */
+  toUint8Array() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.files.forEach((file) => {
+      const { time, date } = this.dosDateTime(file.date);
+      const local = this.header(0x04034b50, [
+        [20, 2], // version needed to extract
+        [0x0800, 2], // flags: UTF-8 file name
+        [0, 2], // method: stored
+        [time, 2],
+        [date, 2],
+        [file.crc, 4],
+        [file.data.length, 4], // compressed size
+        [file.data.length, 4], // uncompressed size
+        [file.name.length, 2],
+        [0, 2], // extra field length
+      ]);
+      const central = this.header(0x02014b50, [
+        [20, 2], // version made by
+        [20, 2], // version needed to extract
+        [0x0800, 2],
+        [0, 2],
+        [time, 2],
+        [date, 2],
+        [file.crc, 4],
+        [file.data.length, 4],
+        [file.data.length, 4],
+        [file.name.length, 2],
+        [0, 2], // extra field length
+        [0, 2], // comment length
+        [0, 2], // disk number
+        [0, 2], // internal attributes
+        [0, 4], // external attributes
+        [offset, 4], // local header offset
+      ]);
+
+      localParts.push(local, file.name, file.data);
+      centralParts.push(central, file.name);
+      offset += local.length + file.name.length + file.data.length;
+    });
+
+    const centralSize = centralParts.reduce(
+      (sum, part) => sum + part.length,
+      0,
+    );
+    const end = this.header(0x06054b50, [
+      [0, 2], // disk number
+      [0, 2], // disk with central directory
+      [this.files.length, 2],
+      [this.files.length, 2],
+      [centralSize, 4],
+      [offset, 4],
+      [0, 2], // comment length
+    ]);
+
+    const parts = [...localParts, ...centralParts, end];
+    const archive = new Uint8Array(
+      parts.reduce((sum, part) => sum + part.length, 0),
+    );
+    let position = 0;
+    parts.forEach((part) => {
+      archive.set(part, position);
+      position += part.length;
+    });
+
+    return archive;
+  }
+
+  toBlob() {
+    return new Blob([this.toUint8Array()], { type: "application/zip" });
+  }
+
+  // A little-endian record: a 4-byte signature followed by [value, size]
+  // fields
+  header(signature, fields) {
+    const length = fields.reduce((sum, [, size]) => sum + size, 4);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint32(0, signature, true);
+    let offset = 4;
+    fields.forEach(([value, size]) => {
+      if (size === 2) {
+        view.setUint16(offset, value, true);
+      } else {
+        view.setUint32(offset, value >>> 0, true);
+      }
+      offset += size;
+    });
+
+    return bytes;
+  }
+
+  // MS-DOS time and date fields; ZIP can't store years before 1980
+  dosDateTime(value) {
+    const year = Math.max(1980, value.getFullYear());
+    return {
+      time:
+        (value.getHours() << 11) |
+        (value.getMinutes() << 5) |
+        Math.floor(value.getSeconds() / 2),
+      date:
+        ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate(),
+    };
+  }
+
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ZipWriter;
+}
@@ -34,5 +34,18 @@ module.exports = [
       "semi": ["error", "always"],
       "quotes": ["warn", "double", { "allowTemplateLiterals": true }]
     }
+  },
+  {
+    files: ["tools/**/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: {
+        require: "readonly",
+        module: "readonly",
+        process: "readonly",
+        global: "readonly",
+        __dirname: "readonly"
+      }
+    }
   }
 ];
\ No newline at end of file
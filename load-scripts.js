@@ -29,7 +29,10 @@
         // Phase 4: Performance Optimizations
         'DOMCacheManager.js',
         'RenderOptimizer.js',
+        'GrooveTransformer.js',
+        'FillEngine.js',
         'AudioScheduler.js',
+        'AudioRenderer.js',
         'ResourcePool.js',
         // Phase 5: UI Component Refactoring
         'UIComponent.js',
@@ -42,7 +45,18 @@
         'DrumMapManager.js',
         'DrumMapPresets.js',
         'SFZEditor.js',
+        'SFZKitAuditor.js',
+        'LibraryLoader.js',
         'MidiTranslator.js',
+        'GrooveCatalog.js',
+        'GrooveThumbnails.js',
+        'ZipWriter.js',
+        'GrooveExporter.js',
+        'MidiOutputRouter.js',
+        'MidiMappingManager.js',
+        'MidiClockSync.js',
+        'MidiSettingsManager.js',
+        'SampleTrimEditor.js',
         'DrumMapUI.js',
         'DrumMapAdvanced.js',
         // Main Script
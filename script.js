@@ -62,6 +62,7 @@ class OTTOAccurateInterface {
     this.phraseStates = {}; // Store phrase-specific states
     this.splashScreenLength = 1000; // 1 second like original
     this.tempo = 120;
+    this.clockTempo = null; // Tempo followed from MIDI clock; never saved
     this.loopPosition = 0;
     this.animationFrame = null;
     this.tapTimes = [];
@@ -159,6 +160,11 @@ class OTTOAccurateInterface {
 
     // Initialize drumkit manager
     this.drumkits = null; // Will be loaded from storage or initialized with defaults
+    this.kitAuditor = null;
+    this.kitAudits = {}; // kitKey -> SFZKitAuditor report
+    this.kitAuditRun = 0;
+    this.libraryLoader = null; // LibraryLoader once Assets/library.json loads
+    this.libraryPromise = null;
 
     // Initialize drum mapping system
     this.drumMapManager = null;
@@ -167,6 +173,29 @@ class OTTOAccurateInterface {
     this.midiTranslator = null;
     this.drumMapUI = null;
 
+    // Sample playback engine (AudioScheduler)
+    this.audioScheduler = null;
+    this.midiFilePaths = {}; // MIDI file name -> path under Assets/MidiFiles
+    this.midiFiles = []; // { name, path, category, sha256 } for every MIDI file
+    this.fillFiles = []; // MIDI files in the Fills category
+    this.grooveCatalog = null; // GrooveCatalog: searchable groove metadata
+    this.grooveThumbnails = null; // Mini piano-rolls on the pattern buttons
+    this.similarPatternLimit = 12; // Matches shown by "Find similar"
+    this.grooveExporter = null; // GrooveExporter, created on first export
+    this.midiExportSettings = {
+      targetVendor: "generalMidi", // DrumMapPresets id to translate notes to
+      bakeGroove: false, // Apply the player's swing and energy to the notes
+    };
+    this.midiExportPattern = null; // Pattern the export menu was opened on
+    this.midiOutputRouter = null; // Sends player hits to Web MIDI outputs
+    this.midiMappingManager = null; // MIDI learn for UI controls
+    this.midiClockSync = null; // MIDI clock in and out (Sync panel)
+    this.midiSettingsManager = null; // Ports, input channels and pad layout
+    this.midiSettingsReady = null; // Resolves once saved MIDI settings load
+    this.isApplyingMidiSettings = false; // Don't save while restoring
+    this.midiActivityTimers = new Map(); // portId -> timer clearing its LED
+    this.midiActivityLimit = 20; // Messages kept in the activity monitor
+
     // Simplified dirty flags - only 2 levels now:
     // 1. Player (tracks changes to current player's state)
     // 2. Preset (tracks changes to all players/global settings)
@@ -190,11 +219,12 @@ class OTTOAccurateInterface {
         selectedPattern: "basic", // DEPRECATED: Use midiFile instead
         kitMixerActive: false,
         muted: false,
+        tempoMultiplier: 1.0, // 0.5 = half time, 2.0 = double time
         toggleStates: {
           none: false,
           auto: true,
           manual: false,
-          stick: "stick",  // Can be "stick" or "snare"
+          stick: "snare",  // Can be "stick" or "snare"
           ride: "hihat",   // Can be "ride" or "hihat"
           lock: false,
         },
@@ -217,6 +247,9 @@ class OTTOAccurateInterface {
         // Track which button is active for each group this player has visited
         // Format: { groupName: buttonIndex (0-15) }
         activeSelections: {},
+        // Mic position levels for multi-mic kits
+        // Format: { kitName: { close, room, overhead } (0-100) }
+        micBlends: {},
       };
     }
 
@@ -1054,6 +1087,13 @@ class OTTOAccurateInterface {
         selectedPattern: { type: "string", required: false },
         kitMixerActive: { type: "boolean", required: false },
         muted: { type: "boolean", required: false },
+        tempoMultiplier: {
+          type: "number",
+          required: false,
+          min: 0.25,
+          max: 4,
+        },
+        micBlends: { type: "object", required: false },
         toggleStates: {
           type: "object",
           required: true,
@@ -1117,6 +1157,7 @@ class OTTOAccurateInterface {
         tempo: { type: "number", required: true, min: 40, max: 300 },
         numberOfPlayers: { type: "number", required: true, min: 1, max: 8 },
         isPlaying: { type: "boolean", required: false },
+        midiMappings: { type: "array", required: false, itemType: "object" },
         version: { type: "string", required: false },
       },
     };
@@ -2182,7 +2223,7 @@ class OTTOAccurateInterface {
           none: false,
           auto: true,
           manual: false,
-          stick: "stick",  // Can be "stick" or "snare"
+          stick: "snare",  // Can be "stick" or "snare"
           ride: "hihat",   // Can be "ride" or "hihat"
           lock: false,
         },
@@ -2747,6 +2788,13 @@ class OTTOAccurateInterface {
       "world-fusion": this.createPresetFromCurrentState("World Fusion"),
     };
 
+    // Presets saved before Stick meant side-stick default to it; play snare
+    if (!this.safeLocalStorageGet("otto_stick_toggle_migrated", false)) {
+      this.migrateStickToggles(this.presets);
+      this.savePresetsToStorage();
+      this.safeLocalStorageSet("otto_stick_toggle_migrated", true);
+    }
+
     // Initialize preset lock states - lock Default preset by default to protect it
     this.presetLocks = this.loadPresetLocksFromStorage() || {
       default: true, // Lock the Default preset to prevent auto-save modifications
@@ -2850,6 +2898,9 @@ class OTTOAccurateInterface {
         numberOfPlayers: this.numberOfPlayers,
         isPlaying: this.isPlaying, // ADD: Save play/pause state
         loopPosition: this.loopPosition, // ADD: Save loop position
+        midiMappings: this.midiMappingManager
+          ? this.midiMappingManager.getMappings()
+          : this.loadAppStateFromStorage()?.midiMappings,
         version: this.version,
       };
       this.safeLocalStorageSet("ottoAppState", appState);
@@ -2883,6 +2934,17 @@ class OTTOAccurateInterface {
     };
   }
 
+  // The Stick toggle used to default to "stick"; reset it to plain snare
+  migrateStickToggles(presets) {
+    Object.values(presets || {}).forEach((preset) => {
+      Object.values(preset?.playerStates || {}).forEach((state) => {
+        if (state?.toggleStates) {
+          state.toggleStates.stick = "snare";
+        }
+      });
+    });
+  }
+
   isPresetLocked(presetKey) {
     return this.presetLocks[presetKey] === true;
   }
@@ -3082,6 +3144,69 @@ class OTTOAccurateInterface {
       });
     }
 
+    // Audio export button
+    const audioExportBtn = document.getElementById("audio-export-btn");
+    if (audioExportBtn) {
+      audioExportBtn.addEventListener("click", () => {
+        this.exportAudio();
+      });
+    }
+
+    // MIDI mapping clear button
+    const midiMappingClearBtn = document.getElementById(
+      "midi-mapping-clear-btn",
+    );
+    if (midiMappingClearBtn) {
+      midiMappingClearBtn.addEventListener("click", () => {
+        if (this.midiMappingManager) {
+          this.midiMappingManager.clearMappings();
+        }
+      });
+    }
+
+    // MIDI output connect button
+    const midiOutputConnectBtn = document.getElementById(
+      "midi-output-connect-btn",
+    );
+    if (midiOutputConnectBtn) {
+      midiOutputConnectBtn.addEventListener("click", () => {
+        this.connectMidiDevices();
+      });
+    }
+
+    // MIDI settings: connect, pad note layout and activity monitor
+    const midiSettingsConnectBtn = document.getElementById(
+      "midi-settings-connect-btn",
+    );
+    if (midiSettingsConnectBtn) {
+      midiSettingsConnectBtn.addEventListener("click", () => {
+        this.connectMidiDevices();
+      });
+    }
+
+    const midiInputVendor = document.getElementById("midi-input-vendor");
+    if (midiInputVendor) {
+      midiInputVendor.addEventListener("change", () => {
+        if (this.midiSettingsManager) {
+          this.midiSettingsManager.update({
+            inputVendor: midiInputVendor.value,
+          });
+        }
+      });
+    }
+
+    const midiActivityClearBtn = document.getElementById(
+      "midi-activity-clear-btn",
+    );
+    if (midiActivityClearBtn) {
+      midiActivityClearBtn.addEventListener("click", () => {
+        const log = document.getElementById("midi-activity-log");
+        if (log) {
+          log.innerHTML = "";
+        }
+      });
+    }
+
     // Import settings button
     const importBtn = document.getElementById("settings-import-btn");
     const importInput = document.getElementById("settings-import-input");
@@ -3102,6 +3227,868 @@ class OTTOAccurateInterface {
     }
   }
 
+  setupMidiLearn() {
+    this.midiMappingManager = new MidiMappingManager();
+    const manager = this.midiMappingManager;
+
+    const savedMappings = this.loadAppStateFromStorage()?.midiMappings;
+    if (Array.isArray(savedMappings)) {
+      manager.setMappings(savedMappings);
+    }
+
+    manager.onAction = (mapping, action) =>
+      this.performMidiAction(mapping, action);
+    manager.portFilter = (port) => this.isMidiPortEnabled(port);
+    manager.addListener((event, data) => {
+      if (event === "learned") {
+        this.clearMidiLearnHighlight();
+        this.showNotification(
+          `${data.label} mapped to ${manager.describeMapping(data)}`,
+          "success",
+        );
+      } else if (event === "learnCancelled") {
+        this.clearMidiLearnHighlight();
+      } else if (event === "mappingsChanged") {
+        this.renderMidiMappingList();
+        this.saveAppStateToStorage();
+      }
+    });
+
+    // Right-clicking a control arms learn; pattern slots with a groove open
+    // the export menu instead, which offers "Learn MIDI"
+    const contextMenuHandler = (e) => {
+      if (e.defaultPrevented) return;
+
+      const element = this.getMidiLearnElement(e.target);
+      if (!element) return;
+
+      e.preventDefault();
+      const target = this.getMidiLearnTarget(element);
+      if (manager.isLearning(target.id)) {
+        manager.cancelLearn();
+      } else {
+        this.armMidiLearn(element);
+      }
+    };
+    this.addEventListener(
+      document,
+      "contextmenu",
+      contextMenuHandler,
+      "dropdown",
+    );
+
+    const escapeHandler = (e) => {
+      if (e.key === "Escape" && manager.isLearning()) {
+        manager.cancelLearn();
+        this.showNotification("MIDI learn cancelled", "info");
+      }
+    };
+    this.addEventListener(document, "keydown", escapeHandler, "dropdown");
+
+    this.renderMidiMappingList();
+
+    // Saved mappings work without a trip to the settings panel
+    if (this.midiSettingsManager && this.midiSettingsManager.isConnected()) {
+      manager.setMidiAccess(this.midiSettingsManager.midiAccess);
+    } else if (manager.getMappings().length > 0) {
+      this.connectMidiDevices(true);
+    }
+  }
+
+  // The learnable control an element belongs to, if any
+  getMidiLearnElement(element) {
+    return element.closest(
+      ".custom-slider[data-param], .pattern-btn, .fill-btn[data-fill], " +
+        ".toggle-btn[data-toggle], .player-tab[data-player], " +
+        ".phrase-tab[data-phrase], #play-pause-btn, #tempo-display",
+    );
+  }
+
+  // Describe a control for MidiMappingManager. Ids name the control rather
+  // than the element, so mappings survive re-rendered tabs and grids.
+  getMidiLearnTarget(element) {
+    const label = element.textContent.trim();
+
+    if (element.classList.contains("custom-slider")) {
+      const param = element.dataset.param;
+      return {
+        id: `slider:${param}`,
+        label: `${param.charAt(0).toUpperCase()}${param.slice(1)} slider`,
+        kind: "range",
+        min: parseInt(element.dataset.min) || 0,
+        max: parseInt(element.dataset.max) || 100,
+      };
+    }
+    if (element.classList.contains("pattern-btn")) {
+      const index = Array.from(
+        document.querySelectorAll(".pattern-btn"),
+      ).indexOf(element);
+      return {
+        id: `pattern:${index}`,
+        label: `Pattern slot ${index + 1}`,
+        kind: "button",
+      };
+    }
+    if (element.classList.contains("fill-btn")) {
+      return {
+        id: `fill:${element.dataset.fill}`,
+        label: `Fill ${label}`,
+        kind: "button",
+      };
+    }
+    if (element.classList.contains("toggle-btn")) {
+      return {
+        id: `toggle:${element.dataset.toggle}`,
+        label: `${label} toggle`,
+        kind: "button",
+      };
+    }
+    if (element.classList.contains("player-tab")) {
+      return {
+        id: `player:${element.dataset.player}`,
+        label: `Player ${element.dataset.player} tab`,
+        kind: "button",
+      };
+    }
+    if (element.classList.contains("phrase-tab")) {
+      return {
+        id: `phrase:${element.dataset.phrase}`,
+        label: `${label} phrase`,
+        kind: "button",
+      };
+    }
+    if (element.id === "play-pause-btn") {
+      return { id: "transport:play", label: "Play/Pause", kind: "button" };
+    }
+    return { id: "tempo:tap", label: "Tap tempo", kind: "button" };
+  }
+
+  // Inverse of getMidiLearnTarget
+  findMidiLearnElement(targetId) {
+    const [kind, key] = targetId.split(":");
+    switch (kind) {
+      case "slider":
+        return document.querySelector(`.custom-slider[data-param="${key}"]`);
+      case "pattern":
+        return document.querySelectorAll(".pattern-btn")[key] || null;
+      case "fill":
+        return document.querySelector(`.fill-btn[data-fill="${key}"]`);
+      case "toggle":
+        return document.querySelector(`.toggle-btn[data-toggle="${key}"]`);
+      case "player":
+        return document.querySelector(`.player-tab[data-player="${key}"]`);
+      case "phrase":
+        return document.querySelector(`.phrase-tab[data-phrase="${key}"]`);
+      case "transport":
+        return document.getElementById("play-pause-btn");
+      case "tempo":
+        return document.getElementById("tempo-display");
+      default:
+        return null;
+    }
+  }
+
+  async armMidiLearn(element) {
+    const manager = this.midiMappingManager;
+    if (!manager) return;
+
+    if (!(await this.connectMidiDevices())) return;
+
+    const target = this.getMidiLearnTarget(element);
+    manager.cancelLearn();
+    element.classList.add("midi-learn-armed");
+    manager.startLearn(target);
+    this.showNotification(
+      `Move a control on your MIDI device to map ${target.label} (Esc cancels)`,
+      "info",
+    );
+  }
+
+  clearMidiLearnHighlight() {
+    document
+      .querySelectorAll(".midi-learn-armed")
+      .forEach((element) => element.classList.remove("midi-learn-armed"));
+  }
+
+  // Drive a mapped control the way the mouse would
+  performMidiAction(mapping, action) {
+    if (this.isDestroyed) return;
+
+    const element = this.findMidiLearnElement(mapping.target);
+    if (!element) return;
+
+    if (mapping.kind === "range") {
+      const param = element.dataset.param;
+
+      // Linked slave sliders follow their master
+      const linkState = this.linkStates && this.linkStates[param];
+      if (linkState && linkState.slaves.has(this.currentPlayer)) return;
+
+      this.debouncedSliderUpdate(element, param, Math.round(action.value));
+      return;
+    }
+
+    if (mapping.target === "tempo:tap") {
+      // The display's own click handler waits to rule out a double-click
+      if (action.pressed) {
+        this.handleTapTempo();
+      }
+      return;
+    }
+
+    // Hidden tabs belong to inactive players or removed phrases
+    if (element.offsetParent === null && mapping.target !== "transport:play") {
+      return;
+    }
+    element.click();
+  }
+
+  renderMidiMappingList() {
+    const list = document.getElementById("midi-mapping-list");
+    const manager = this.midiMappingManager;
+    if (!list || !manager) return;
+
+    list.innerHTML = "";
+    const mappings = manager.getMappings();
+    if (mappings.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "settings-placeholder";
+      empty.textContent = "No controls are mapped yet.";
+      list.appendChild(empty);
+      return;
+    }
+
+    mappings.forEach((mapping) => {
+      const row = document.createElement("div");
+      row.className = "settings-field-row midi-mapping-row";
+
+      const name = document.createElement("div");
+      name.className = "midi-mapping-name";
+      const label = document.createElement("span");
+      label.textContent = mapping.label;
+      const source = document.createElement("span");
+      source.className = "midi-mapping-source";
+      source.textContent = manager.describeMapping(mapping);
+      name.append(label, source);
+      row.appendChild(name);
+
+      if (mapping.kind === "range") {
+        // Value scaling: 0-127 spans Min to Max, reversed when inverted
+        ["min", "max"].forEach((bound) => {
+          const field = document.createElement("label");
+          field.className = "settings-field";
+          const span = document.createElement("span");
+          span.textContent = bound === "min" ? "Min" : "Max";
+          const input = document.createElement("input");
+          input.type = "number";
+          input.value = mapping[bound];
+          input.addEventListener("change", () => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+              manager.updateMapping(mapping.target, { [bound]: value });
+            }
+          });
+          field.append(span, input);
+          row.appendChild(field);
+        });
+
+        const invertField = document.createElement("label");
+        invertField.className = "settings-field settings-checkbox";
+        const invertInput = document.createElement("input");
+        invertInput.type = "checkbox";
+        invertInput.checked = mapping.invert;
+        invertInput.addEventListener("change", () => {
+          manager.updateMapping(mapping.target, {
+            invert: invertInput.checked,
+          });
+        });
+        const invertLabel = document.createElement("span");
+        invertLabel.textContent = "Invert";
+        invertField.append(invertInput, invertLabel);
+        row.appendChild(invertField);
+      } else {
+        const modeField = document.createElement("label");
+        modeField.className = "settings-field";
+        const modeLabel = document.createElement("span");
+        modeLabel.textContent = "Mode";
+        const modeSelect = document.createElement("select");
+        [
+          { value: "toggle", label: "Toggle" },
+          { value: "momentary", label: "Momentary" },
+        ].forEach((option) => {
+          const element = document.createElement("option");
+          element.value = option.value;
+          element.textContent = option.label;
+          modeSelect.appendChild(element);
+        });
+        modeSelect.value = mapping.mode;
+        modeSelect.addEventListener("change", () => {
+          manager.updateMapping(mapping.target, { mode: modeSelect.value });
+        });
+        modeField.append(modeLabel, modeSelect);
+        row.appendChild(modeField);
+      }
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "preset-item-btn";
+      removeBtn.innerHTML = `<i class="ph-thin ph-trash"></i>`;
+      removeBtn.title = "Remove Mapping";
+      removeBtn.addEventListener("click", () => {
+        manager.removeMapping(mapping.target);
+      });
+      row.appendChild(removeBtn);
+
+      list.appendChild(row);
+    });
+  }
+
+  renderMidiOutputRoutes() {
+    const container = document.getElementById("midi-output-routes");
+    const status = document.getElementById("midi-output-status");
+    const router = this.midiOutputRouter;
+    if (!container || !router) return;
+
+    const outputs = router.getOutputs();
+    if (status) {
+      status.textContent =
+        outputs.length > 0
+          ? `${outputs.length} MIDI output${outputs.length === 1 ? "" : "s"} found. Choose a port, channel and drum map for each player.`
+          : "No MIDI outputs found. Connect a device or enable a virtual MIDI port.";
+    }
+
+    const presets = this.drumMapPresets
+      ? this.drumMapPresets.getAllPresets()
+      : [];
+    container.innerHTML = "";
+
+    for (let i = 1; i <= this.numberOfPlayers; i++) {
+      const route = router.getRoute(i);
+      const row = document.createElement("div");
+      row.className = "settings-field-row midi-output-route";
+
+      // Enable toggle, labelled with the player
+      const enabledLabel = document.createElement("label");
+      enabledLabel.className = "settings-field settings-checkbox";
+      const enabledInput = document.createElement("input");
+      enabledInput.type = "checkbox";
+      enabledInput.checked = route.enabled;
+      enabledInput.addEventListener("change", () => {
+        router.setRoute(i, { enabled: enabledInput.checked });
+      });
+      const playerName = document.createElement("span");
+      playerName.textContent = `Player ${i}`;
+      enabledLabel.append(enabledInput, playerName);
+
+      const portSelect = this.createMidiOutputSelect(
+        "Port",
+        [
+          { value: "", label: "None" },
+          ...outputs.map((output) => ({
+            value: output.id,
+            label: output.name,
+          })),
+        ],
+        route.outputId || "",
+        (value) => router.setRoute(i, { outputId: value || null }),
+      );
+
+      const channels = Array.from({ length: 16 }, (_, index) => ({
+        value: String(index + 1),
+        label: String(index + 1),
+      }));
+      const channelSelect = this.createMidiOutputSelect(
+        "Channel",
+        channels,
+        String(route.channel),
+        (value) => router.setRoute(i, { channel: parseInt(value, 10) }),
+      );
+
+      const mapSelect = this.createMidiOutputSelect(
+        "Drum Map",
+        [
+          { value: "", label: "Active Drum Map" },
+          ...presets.map((preset) => ({
+            value: preset.id,
+            label: preset.name,
+          })),
+        ],
+        route.targetVendor || "",
+        (value) => router.setRoute(i, { targetVendor: value || null }),
+      );
+
+      row.append(enabledLabel, portSelect, channelSelect, mapSelect);
+      container.appendChild(row);
+    }
+  }
+
+  // Labelled <select> for a MIDI route or settings field
+  createMidiOutputSelect(labelText, options, value, onChange) {
+    const label = document.createElement("label");
+    label.className = "settings-field";
+
+    const span = document.createElement("span");
+    span.textContent = labelText;
+
+    const select = document.createElement("select");
+    options.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = value;
+    select.addEventListener("change", () => onChange(select.value));
+
+    label.append(span, select);
+    return label;
+  }
+
+  setupSyncPanel() {
+    const sourceSelect = document.getElementById("sync-source");
+    const inputSelect = document.getElementById("sync-input");
+    const sendClockInput = document.getElementById("sync-send-clock");
+    const outputSelect = document.getElementById("sync-output");
+    if (!sourceSelect || !inputSelect || !sendClockInput || !outputSelect) {
+      return;
+    }
+
+    const applySource = async () => {
+      const sync = this.midiClockSync;
+      if (!sync) return;
+
+      if (sourceSelect.value === "midi" && !(await this.connectMidiDevices())) {
+        sourceSelect.value = "internal";
+      }
+      sync.setSource(sourceSelect.value, inputSelect.value);
+      this.renderSyncStatus();
+    };
+    sourceSelect.addEventListener("change", applySource);
+    inputSelect.addEventListener("change", applySource);
+
+    const applyClockOutput = async () => {
+      const sync = this.midiClockSync;
+      if (!sync) return;
+
+      if (sendClockInput.checked && !(await this.connectMidiDevices())) {
+        sendClockInput.checked = false;
+      }
+      sync.setClockOutput(sendClockInput.checked, outputSelect.value);
+      this.renderSyncStatus();
+    };
+    sendClockInput.addEventListener("change", applyClockOutput);
+    outputSelect.addEventListener("change", applyClockOutput);
+  }
+
+  renderSyncPorts() {
+    const sync = this.midiClockSync;
+    if (!sync) return;
+
+    const fillSelect = (select, ports, emptyLabel, value) => {
+      if (!select) return;
+
+      select.innerHTML = "";
+      const empty = document.createElement("option");
+      empty.value = "";
+      empty.textContent = emptyLabel;
+      select.appendChild(empty);
+      ports.forEach((port) => {
+        const option = document.createElement("option");
+        option.value = port.id;
+        option.textContent = port.name;
+        select.appendChild(option);
+      });
+      select.value = ports.some((port) => port.id === value) ? value : "";
+    };
+
+    fillSelect(
+      document.getElementById("sync-input"),
+      sync.getInputs(),
+      "Any Input",
+      sync.inputId,
+    );
+    fillSelect(
+      document.getElementById("sync-output"),
+      sync.getOutputs(),
+      "None",
+      sync.outputId,
+    );
+  }
+
+  renderSyncStatus() {
+    const sync = this.midiClockSync;
+    const status = document.getElementById("sync-status");
+    const isExternal = !!sync && sync.source === "midi";
+
+    const tempoDisplay = document.getElementById("tempo-display");
+    if (tempoDisplay) {
+      tempoDisplay.classList.toggle("midi-clock-sync", isExternal);
+    }
+    if (!status || !sync) return;
+
+    let text;
+    if (!isExternal) {
+      text = "Running on OTTO's internal tempo.";
+    } else if (sync.getTempo() === null) {
+      text = "Waiting for MIDI clock...";
+    } else {
+      text = `Following MIDI clock at ${sync.getTempo().toFixed(1)} BPM${sync.running ? "" : " (stopped)"}.`;
+    }
+    if (sync.sendClock && sync.outputId) {
+      text += " Sending clock.";
+    }
+    status.textContent = text;
+  }
+
+  // Transport and tempo changes from an external MIDI clock
+  handleMidiClockEvent(event, data) {
+    if (this.isDestroyed || !this.audioScheduler) return;
+
+    switch (event) {
+      case "start":
+      case "continue":
+        if (event === "start" || !this.audioScheduler.isPlaying) {
+          this.audioScheduler.seekToStep(data.step);
+        }
+        if (!this.isPlaying) {
+          this.togglePlayPause();
+        }
+        this.audioScheduler.syncToClock(data.step, data.time, true);
+        this.renderSyncStatus();
+        break;
+      case "stop":
+        // Pause, so Continue picks up where the clock stopped
+        if (this.isPlaying) {
+          this.togglePlayPause();
+        }
+        this.renderSyncStatus();
+        break;
+      case "position":
+        if (!this.audioScheduler.isPlaying) {
+          this.audioScheduler.seekToStep(data.step);
+        }
+        break;
+      case "tempo":
+        // The clock drives playback and the display, but this.tempo stays
+        // the tempo saved with presets and app state
+        this.clockTempo = data.bpm;
+        this.safeSetTextContent("#tempo-display", Math.round(data.bpm));
+        this.onTempoChanged(data.bpm);
+        this.renderSyncStatus();
+        break;
+      case "sourceChanged":
+        // Back on the internal clock, play at the stored tempo again
+        if (data.source !== "midi" && this.clockTempo !== null) {
+          this.clockTempo = null;
+          this.safeSetTextContent("#tempo-display", this.tempo);
+          this.onTempoChanged(this.tempo);
+        }
+        this.saveMidiSettings();
+        break;
+      case "clockOutputChanged":
+        this.saveMidiSettings();
+        break;
+    }
+  }
+
+  // Load the MIDI Settings page and restore the saved output routes, clock
+  // and export choices; reconnects MIDI when the user had connected before
+  async initializeMidiSettings() {
+    this.midiSettingsManager = new MidiSettingsManager(
+      this.storageManager,
+      this.midiTranslator,
+    );
+    const manager = this.midiSettingsManager;
+    this.midiSettingsReady = manager.loadFromStorage();
+    await this.midiSettingsReady;
+    if (this.isDestroyed) return;
+
+    manager.onNote = (player, note, velocity) =>
+      this.playMidiInputNote(player, note, velocity);
+    manager.addListener((event, data) => {
+      if (event === "portsChanged") {
+        // Hot-plugged inputs reach every MIDI feature
+        if (this.midiMappingManager) {
+          this.midiMappingManager.attachInputs();
+        }
+        if (this.midiClockSync) {
+          this.midiClockSync.attachInputs();
+        }
+        this.renderMidiPortLists();
+        this.renderMidiOutputRoutes();
+        this.renderSyncPorts();
+      } else if (event === "activity") {
+        this.showMidiActivity(data);
+      }
+    });
+    if (this.midiOutputRouter) {
+      this.midiOutputRouter.addListener((event) => {
+        if (event === "routeChanged") {
+          this.saveMidiSettings();
+        }
+      });
+    }
+
+    this.applyMidiSettings(manager.getSettings());
+    this.renderMidiSettings();
+
+    if (manager.getSettings().autoConnect) {
+      this.connectMidiDevices(true);
+    }
+  }
+
+  // Push saved MIDI settings into the router, clock sync and export menu
+  applyMidiSettings(settings) {
+    this.isApplyingMidiSettings = true;
+    try {
+      if (this.midiOutputRouter) {
+        this.midiOutputRouter.setRoutes(settings.outputRoutes);
+      }
+      if (this.midiClockSync) {
+        const { source, inputId, sendClock, outputId } = settings.clock;
+        this.midiClockSync.setSource(source, inputId);
+        this.midiClockSync.setClockOutput(sendClock, outputId);
+      }
+      this.midiExportSettings = {
+        ...this.midiExportSettings,
+        ...settings.export,
+      };
+    } finally {
+      this.isApplyingMidiSettings = false;
+    }
+
+    const sourceSelect = document.getElementById("sync-source");
+    const sendClockInput = document.getElementById("sync-send-clock");
+    if (this.midiClockSync && sourceSelect && sendClockInput) {
+      sourceSelect.value = this.midiClockSync.source;
+      sendClockInput.checked = this.midiClockSync.sendClock;
+    }
+    this.renderSyncPorts();
+    this.renderSyncStatus();
+    this.renderMidiOutputRoutes();
+  }
+
+  // Keep the router, clock and export choices with the MIDI settings
+  saveMidiSettings() {
+    if (!this.midiSettingsManager || this.isApplyingMidiSettings) return;
+
+    const changes = { export: { ...this.midiExportSettings } };
+    if (this.midiOutputRouter) {
+      changes.outputRoutes = this.midiOutputRouter.getRoutes();
+    }
+    if (this.midiClockSync) {
+      const sync = this.midiClockSync;
+      changes.clock = {
+        source: sync.source,
+        inputId: sync.inputId,
+        sendClock: sync.sendClock,
+        outputId: sync.outputId,
+      };
+    }
+    this.midiSettingsManager.update(changes);
+  }
+
+  isMidiPortEnabled(port) {
+    return (
+      !this.midiSettingsManager ||
+      this.midiSettingsManager.isPortEnabled(port.id)
+    );
+  }
+
+  // MidiSettingsManager asks the browser for MIDI access and shares it
+  // with the output router, clock sync and MIDI learn
+  async connectMidiDevices(quiet = false) {
+    // Connecting saves autoConnect, which must not overwrite unloaded settings
+    await this.midiSettingsReady;
+    const manager = this.midiSettingsManager;
+    if (!manager || !manager.isSupported()) {
+      if (!quiet) {
+        this.showNotification(
+          "Web MIDI isn't available in this browser",
+          "error",
+        );
+      }
+      return false;
+    }
+
+    if (!(await manager.connect())) {
+      if (!quiet) {
+        this.showNotification("MIDI access was not granted", "error");
+      }
+      return false;
+    }
+
+    [this.midiOutputRouter, this.midiClockSync, this.midiMappingManager]
+      .filter(Boolean)
+      .forEach((feature) => feature.setMidiAccess(manager.midiAccess));
+    this.renderMidiOutputRoutes();
+    this.renderSyncPorts();
+    this.renderMidiSettings();
+    return true;
+  }
+
+  // Live drum pad hits play through the player's kit straight away, at
+  // their MIDI velocity (1-127) without any rescaling
+  playMidiInputNote(player, note, velocity) {
+    const scheduler = this.audioScheduler;
+    if (!scheduler || !scheduler.audioContext) return;
+    if (player > this.numberOfPlayers) return;
+
+    scheduler.scheduleDrumHit(
+      { note, velocity, player },
+      scheduler.audioContext.currentTime,
+    );
+  }
+
+  renderMidiSettings() {
+    const manager = this.midiSettingsManager;
+    if (!manager) return;
+
+    const status = document.getElementById("midi-settings-status");
+    if (status) {
+      status.textContent = manager.isConnected()
+        ? "Devices plugged in or removed show up here automatically."
+        : "Connect to list your MIDI devices and play OTTO's kits from drum pads.";
+    }
+
+    this.renderMidiPortLists();
+    this.renderMidiInputChannels();
+
+    const vendorSelect = document.getElementById("midi-input-vendor");
+    if (vendorSelect) {
+      const presets = this.drumMapPresets
+        ? this.drumMapPresets.getAllPresets()
+        : [{ id: "generalMidi", name: "General MIDI" }];
+      vendorSelect.innerHTML = "";
+      presets.forEach((preset) => {
+        const option = document.createElement("option");
+        option.value = preset.id;
+        option.textContent = preset.name;
+        vendorSelect.appendChild(option);
+      });
+      vendorSelect.value = manager.getSettings().inputVendor;
+    }
+  }
+
+  // Enable toggles for every input and output, with an activity LED on
+  // inputs
+  renderMidiPortLists() {
+    const manager = this.midiSettingsManager;
+    if (!manager) return;
+
+    const ports = manager.getPorts();
+    [
+      ["midi-input-ports", ports.inputs, "No MIDI inputs found."],
+      ["midi-output-ports", ports.outputs, "No MIDI outputs found."],
+    ].forEach(([listId, list, emptyText]) => {
+      const container = document.getElementById(listId);
+      if (!container) return;
+
+      container.innerHTML = "";
+      if (list.length === 0) {
+        const empty = document.createElement("p");
+        empty.className = "settings-description";
+        empty.textContent = manager.isConnected()
+          ? emptyText
+          : "Not connected.";
+        container.appendChild(empty);
+        return;
+      }
+
+      list.forEach((port) => {
+        const label = document.createElement("label");
+        label.className = "settings-field settings-checkbox midi-port";
+        label.classList.toggle("disconnected", port.state === "disconnected");
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = port.enabled;
+        checkbox.addEventListener("change", () => {
+          manager.setPortEnabled(port, checkbox.checked);
+        });
+
+        const name = document.createElement("span");
+        name.textContent =
+          port.state === "disconnected"
+            ? `${port.name} (disconnected)`
+            : port.name;
+        label.append(checkbox, name);
+
+        if (port.type === "input") {
+          const led = document.createElement("span");
+          led.className = "midi-port-activity";
+          led.dataset.portId = port.id;
+          label.appendChild(led);
+        }
+        container.appendChild(label);
+      });
+    });
+  }
+
+  // A channel select per player for live pad input
+  renderMidiInputChannels() {
+    const container = document.getElementById("midi-input-channels");
+    const manager = this.midiSettingsManager;
+    if (!container || !manager) return;
+
+    const channels = [
+      { value: "", label: "Off" },
+      { value: "0", label: "Any" },
+      ...Array.from({ length: 16 }, (_, index) => ({
+        value: String(index + 1),
+        label: String(index + 1),
+      })),
+    ];
+    container.innerHTML = "";
+
+    for (let i = 1; i <= this.numberOfPlayers; i++) {
+      const channel = manager.getPlayerChannel(i);
+      const select = this.createMidiOutputSelect(
+        `Player ${i}`,
+        channels,
+        channel === null ? "" : String(channel),
+        (value) =>
+          manager.setPlayerChannel(
+            i,
+            value === "" ? null : parseInt(value, 10),
+          ),
+      );
+      container.appendChild(select);
+    }
+  }
+
+  // Flash the port's LED and log the message in the activity monitor
+  showMidiActivity(activity) {
+    const led = Array.from(
+      document.querySelectorAll(".midi-port-activity"),
+    ).find((element) => element.dataset.portId === activity.portId);
+    if (led) {
+      led.classList.add("active");
+      clearTimeout(this.midiActivityTimers.get(activity.portId));
+      this.midiActivityTimers.set(
+        activity.portId,
+        setTimeout(() => led.classList.remove("active"), 150),
+      );
+    }
+
+    const log = document.getElementById("midi-activity-log");
+    if (!log) return;
+
+    log.querySelector(".midi-activity-empty")?.remove();
+    const row = document.createElement("div");
+    row.className = "midi-activity-row";
+    const port = document.createElement("span");
+    port.className = "midi-activity-port";
+    port.textContent = activity.portName;
+    const message = document.createElement("span");
+    message.textContent = activity.description;
+    row.append(port, message);
+
+    log.prepend(row);
+    while (log.children.length > this.midiActivityLimit) {
+      log.lastElementChild.remove();
+    }
+  }
+
   setupAllModals() {
     // WindowManager now handles all modal/panel setup
     // This method is kept for compatibility but does nothing
@@ -3375,14 +4362,21 @@ class OTTOAccurateInterface {
   }
 
   filterPatterns(searchTerm) {
-    const patterns = document.querySelectorAll(".pattern-list-item");
+    // Once the groove catalog is built, searches like "3/4, under 100 BPM,
+    // sparse" filter on the grooves' metadata as well as their names
+    const catalog = this.grooveCatalog;
+    const query = catalog ? catalog.parseQuery(searchTerm) : null;
+
+    // The "find similar" results are a separate list and stay as ranked
+    const patterns = document.querySelectorAll(
+      "#available-patterns-list .pattern-list-item",
+    );
     patterns.forEach((pattern) => {
-      const name = pattern.textContent.toLowerCase();
-      if (name.includes(searchTerm.toLowerCase())) {
-        pattern.style.display = "block";
-      } else {
-        pattern.style.display = "none";
-      }
+      const name = pattern.dataset.fullName || pattern.textContent;
+      const visible = query
+        ? catalog.matches(name, query)
+        : name.toLowerCase().includes(searchTerm.toLowerCase());
+      pattern.style.display = visible ? "" : "none";
     });
   }
 
@@ -4096,15 +5090,82 @@ class OTTOAccurateInterface {
     console.log("Populating dropdown...");
     this.populateKitDropdown();
 
+    // On first load the audit waits for the drum mapping system
+    if (this.drumMapManager) {
+      this.auditDrumkits();
+    }
+
     console.log("=== loadDrumkits complete ===");
   }
 
   async scanForDrumkits() {
-    // Dynamically fetch the drumkit files
-    const sfzFiles = await this.fetchDrumkitFiles();
+    // Kits are listed in the library manifest (Assets/library.json)
+    const library = await this.loadLibrary();
+    if (!library) {
+      return this.buildDrumkitsFromList([]);
+    }
 
-    // Build drumkit objects from the file list
-    return this.buildDrumkitsFromList(sfzFiles);
+    if (this.drumkitManager) {
+      library.applyToDrumkitManager(this.drumkitManager);
+    }
+
+    // Dry/Room/Wet variants of one kit become a single kit with mic positions
+    const drumkits = this.drumkitManager
+      ? this.drumkitManager.groupMicVariants(library.buildDrumkits())
+      : library.buildDrumkits();
+    // An empty library still gets the "No Kits Found" placeholder
+    return Object.keys(drumkits).length > 0
+      ? drumkits
+      : this.buildDrumkitsFromList([]);
+  }
+
+  // Load the content manifest once; resolves to null if it is missing or
+  // invalid
+  loadLibrary() {
+    if (!this.libraryPromise) {
+      const loader = new LibraryLoader();
+      this.libraryPromise = loader
+        .load()
+        .then(() => {
+          this.libraryLoader = loader;
+          return loader;
+        })
+        .catch((error) => {
+          debugWarn("Library manifest unavailable:", error);
+          return null;
+        });
+    }
+    return this.libraryPromise;
+  }
+
+  // Catalog every groove and fill for the pattern search. Runs in the
+  // background; cached entries make this cheap after the first visit.
+  async buildGrooveCatalog() {
+    if (!this.midiTranslator || this.midiFiles.length === 0) return;
+
+    if (!this.grooveCatalog) {
+      this.grooveCatalog = new GrooveCatalog(
+        this.midiTranslator,
+        this.storageManager,
+      );
+    }
+
+    try {
+      await this.grooveCatalog.build(this.midiFiles);
+      debugLog(`Groove catalog: ${this.grooveCatalog.entries.size} patterns`);
+    } catch (error) {
+      debugWarn("Could not build the groove catalog:", error);
+      return;
+    }
+
+    // Show the metadata on the pattern list and re-run any active search
+    document.querySelectorAll(".pattern-list-item").forEach((item) => {
+      item.title = this.grooveCatalog.describe(item.dataset.fullName);
+    });
+    const searchInput = document.getElementById("pattern-search-input");
+    if (searchInput && searchInput.value) {
+      this.filterPatterns(searchInput.value);
+    }
   }
 
   initializeDrumMappingSystem() {
@@ -4117,6 +5178,13 @@ class OTTOAccurateInterface {
       // Initialize drum map manager
       this.drumMapManager = new DrumMapManager(this.storageManager);
 
+      // Drum maps listed in the library manifest (not awaited)
+      this.loadLibrary().then((library) => {
+        if (library && this.drumMapManager) {
+          library.applyToDrumMapManager(this.drumMapManager);
+        }
+      });
+
       // Initialize SFZ editor
       this.sfzEditor = new SFZEditor();
 
@@ -4211,8 +5279,20 @@ class OTTOAccurateInterface {
         if (event === "mapUpdated" || event === "mapCreated") {
           this.scheduleDrumMapSave();
         }
+
+        // Part remaps follow the active map's channels
+        for (let i = 1; i <= this.numberOfPlayers; i++) {
+          this.syncPlayerToggles(i);
+        }
+
+        // Kit coverage is checked against the active map
+        if (event === "mapChanged") {
+          this.auditDrumkits();
+        }
       });
 
+      this.auditDrumkits();
+
       console.log("Drum Mapping System initialized successfully");
     } catch (error) {
       console.error("Error initializing drum mapping system:", error);
@@ -4220,66 +5300,364 @@ class OTTOAccurateInterface {
     }
   }
 
-  scheduleDrumMapSave() {
-    // Debounce save operations
-    if (this.drumMapSaveTimer) {
-      clearTimeout(this.drumMapSaveTimer);
+  initializeAudioEngine() {
+    try {
+      this.audioScheduler = new AudioScheduler();
+      this.audioScheduler.setDrumMapManager(this.drumMapManager);
+      this.audioScheduler.setTempo(this.tempo);
+
+      // A finished "Now" fill hands control back to the interval buttons
+      this.audioScheduler.on("fill", (playerNumber, type, info) => {
+        if (type === "end" && info.mode === "now") {
+          this.completeFillNow(playerNumber);
+        }
+      });
+      this.loadFillLibrary();
+
+      // Scheduled hits can also drive external MIDI instruments
+      this.midiOutputRouter = new MidiOutputRouter(this.midiTranslator);
+      this.midiOutputRouter.attachScheduler(this.audioScheduler);
+
+      // The transport can follow or send MIDI clock
+      this.midiClockSync = new MidiClockSync(this.audioScheduler);
+      this.midiClockSync.attachScheduler();
+      this.midiClockSync.addListener((event, data) =>
+        this.handleMidiClockEvent(event, data),
+      );
+
+      // Ports switched off on the MIDI Settings page are ignored
+      this.midiOutputRouter.portFilter = (port) => this.isMidiPortEnabled(port);
+      this.midiClockSync.portFilter = (port) => this.isMidiPortEnabled(port);
+
+      // Every active player runs as its own lane on the shared clock
+      for (let i = 1; i <= this.numberOfPlayers; i++) {
+        this.loadPlayerAudio(i);
+      }
+
+      // Resume transport restored from the saved app state; audio starts
+      // once the browser allows the context to run
+      if (this.isPlaying) {
+        this.audioScheduler.play();
+      }
+    } catch (error) {
+      console.error("Error initializing audio engine:", error);
+      // Continue as a silent UI prototype if Web Audio is unavailable
+      this.audioScheduler = null;
     }
+  }
 
-    this.drumMapSaveTimer = setTimeout(() => {
-      console.log("Auto-saving drum maps...");
-      this.drumMapManager.saveCustomMaps();
-    }, 2000); // Save after 2 seconds of inactivity
+  // Load the kit and groove a player needs into the audio engine
+  async loadPlayerAudio(playerNumber) {
+    if (!this.audioScheduler || playerNumber > this.numberOfPlayers) return;
+
+    const state = this.playerStates[playerNumber];
+    if (!state) return;
+
+    this.audioScheduler.setLane(playerNumber, {
+      patternId: `player${playerNumber}`,
+      kit: state.kitName,
+      tempoMultiplier: this.getPlayerTempoMultiplier(playerNumber),
+      muted: state.muted,
+    });
+    this.syncPlayerSliders(playerNumber);
+    this.syncPlayerToggles(playerNumber);
+
+    await Promise.all([
+      this.loadPlayerKitAudio(playerNumber, state.kitName),
+      this.loadPlayerGroove(playerNumber, state.midiFile),
+    ]);
   }
 
-  async fetchDrumkitFiles() {
-    const sfzFiles = [];
-    const basePath = "./Assets/Drumkits/";
-
-    console.log("Starting drumkit file scan...");
-
-    // Since directory listing via HTTP doesn't work reliably,
-    // we'll use a hardcoded list of all available SFZ files
-    const availableFiles = [
-      "Acoustic/Acoustic.sfz",
-      "Acoustic/Acc Wet.sfz",
-      "Acoustic/Acc Dry.sfz",
-      "Acoustic/Acc Room.sfz",
-      "Electronic/Electronic.sfz",
-      "Percussion/Percussion.sfz",
-      "Percussion/Congas.sfz",
-      "Percussion/Claps.sfz",
-      "Percussion/Claves.sfz",
-      "Percussion/Shakers.sfz",
-      "Percussion/Bongos.sfz"
-    ];
+  // Push a player's swing/energy/volume sliders to its audio lane
+  syncPlayerSliders(playerNumber) {
+    const state = this.playerStates[playerNumber];
+    if (
+      !this.audioScheduler ||
+      !state ||
+      !this.audioScheduler.getLane(playerNumber)
+    ) {
+      return;
+    }
 
-    // Check which files actually exist
-    for (const file of availableFiles) {
-      try {
-        const response = await fetch(`${basePath}${file}`);
-        if (response.ok) {
-          console.log(`  Found: ${file}`);
-          sfzFiles.push(file);
-        } else {
-          console.log(`  Not available: ${file}`);
+    const { swing, energy, volume } = state.sliderValues;
+    this.audioScheduler.setLaneGroove(playerNumber, { swing, energy });
+    this.audioScheduler.setLaneVolume(playerNumber, volume / 100);
+  }
+
+  // Map a player's fill buttons onto its lane's fill mode.
+  // Auto plays fills on the interval, Manual only on Now/Solo, None never.
+  syncPlayerFillMode(playerNumber) {
+    const state = this.playerStates[playerNumber];
+    const fillStates = state?.fillStates;
+    if (!this.audioScheduler || !fillStates) return;
+
+    const toggles = state.toggleStates || {};
+    const automatic = !toggles.manual && !toggles.none;
+    const interval = automatic ? fillStates.previousActive || null : null;
+
+    let mode = automatic ? fillStates.active || null : null;
+    if (toggles.none) {
+      mode = null;
+    } else if (fillStates.solo) {
+      mode = "solo";
+    } else if (fillStates.now) {
+      mode = "now";
+    }
+
+    this.audioScheduler.setLaneFillMode(playerNumber, mode, interval);
+  }
+
+  // Apply a player's toggle buttons to its audio lane. Stick and Ride
+  // remap parts through the active drum map's channels and articulations.
+  syncPlayerToggles(playerNumber) {
+    const toggles = this.playerStates[playerNumber]?.toggleStates;
+    if (!this.audioScheduler || !toggles) return;
+
+    if (this.audioScheduler.getLane(playerNumber) && this.drumMapManager) {
+      this.audioScheduler.setLane(playerNumber, {
+        noteRemap: this.drumMapManager.getPartRemap({
+          stick: toggles.stick === "stick",
+          ride: toggles.ride === "ride",
+        }),
+      });
+    }
+
+    this.syncPlayerFillMode(playerNumber);
+  }
+
+  // Lock pins a player's pattern across group and preset changes
+  isPlayerPatternLocked(playerNumber) {
+    return !!this.playerStates[playerNumber]?.toggleStates?.lock;
+  }
+
+  // Called when a "Now" fill has played: restore the previous fill button
+  completeFillNow(playerNumber) {
+    const fillStates = this.playerStates[playerNumber]?.fillStates;
+    if (!fillStates || !fillStates.now) return;
+
+    fillStates.now = false;
+    if (fillStates.previousActive) {
+      fillStates[fillStates.previousActive] = true;
+      fillStates.active = fillStates.previousActive;
+    }
+
+    if (playerNumber === this.currentPlayer) {
+      document.querySelector('[data-fill="now"]')?.classList.remove("active");
+      document
+        .querySelector(`[data-fill="${fillStates.active}"]`)
+        ?.classList.add("active");
+    }
+
+    this.onFillChanged(playerNumber, "now", false);
+  }
+
+  // Load every MIDI file in the Fills category into the fill engine
+  async loadFillLibrary() {
+    if (!this.audioScheduler || !this.midiTranslator || !this.fillFiles) {
+      return;
+    }
+
+    const fills = await Promise.all(
+      this.fillFiles.map(async (file) => {
+        try {
+          const response = await fetch(`./Assets/MidiFiles/${file.path}`);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          const parsed = this.midiTranslator.parseMidiData(
+            await response.arrayBuffer(),
+          );
+          return {
+            name: file.name,
+            pattern: this.audioScheduler.buildPatternFromMidi(parsed.events, {
+              lengthBeats: parsed.length.beats,
+            }),
+          };
+        } catch (error) {
+          debugError(`Failed to load fill "${file.name}":`, error);
+          return null;
         }
-      } catch (e) {
-        console.log(`  Error checking: ${file}`);
+      }),
+    );
+
+    if (this.audioScheduler) {
+      this.audioScheduler.setFillPatterns(fills);
+    }
+  }
+
+  async loadPlayerKitAudio(playerNumber, kitName) {
+    if (!this.audioScheduler || !this.drumkits) return;
+
+    const kit = Object.values(this.drumkits).find(
+      (drumkit) => drumkit.name === kitName,
+    );
+    if (!kit || !kit.path) {
+      debugWarn(`No SFZ file for kit "${kitName}"`);
+      return;
+    }
+
+    if (!this.audioScheduler.kits.has(kitName)) {
+      if (kit.micPositions) {
+        const positions = {};
+        Object.entries(kit.micPositions).forEach(([position, variant]) => {
+          positions[position] = variant.path;
+        });
+        await this.audioScheduler.loadMicKit(kitName, positions);
+      } else {
+        await this.audioScheduler.loadKit(kitName, kit.path);
       }
     }
 
-    if (sfzFiles.length === 0) {
-      console.warn("No SFZ files found in any drumkit directories");
-    } else {
-      console.log(`Found ${sfzFiles.length} SFZ files total`);
+    this.audioScheduler.setLane(playerNumber, { kit: kitName });
+    if (kit.micPositions) {
+      this.audioScheduler.setLaneMicLevels(
+        playerNumber,
+        this.getPlayerMicBlend(playerNumber, kitName),
+      );
+    }
+
+    if (playerNumber === this.currentPlayer) {
+      this.audioScheduler.setActiveKit(kitName);
+
+      // Route voices through the kit's saved mixer levels
+      const mixerPreset = this.drumkitManager?.getMixerPreset(kitName);
+      if (mixerPreset && mixerPreset.channels) {
+        this.audioScheduler.applyMixerChannels(mixerPreset.channels);
+      }
+    }
+  }
+
+  getKitMicPositions(kitName) {
+    const kit =
+      this.drumkits &&
+      Object.values(this.drumkits).find((drumkit) => drumkit.name === kitName);
+    return (kit && kit.micPositions) || null;
+  }
+
+  // A player's mic position levels (0-100) for a kit. Blends are kept per
+  // kit in the player state, so they are saved with presets.
+  getPlayerMicBlend(playerNumber, kitName) {
+    const positions = this.getKitMicPositions(kitName);
+    if (!positions || !this.drumkitManager) return null;
+
+    const saved = this.playerStates[playerNumber]?.micBlends?.[kitName];
+    return {
+      ...this.drumkitManager.createDefaultMicBlend(positions),
+      ...saved,
+    };
+  }
+
+  setPlayerMicLevel(playerNumber, position, level) {
+    const state = this.playerStates[playerNumber];
+    if (!state) return;
+
+    const blend = this.getPlayerMicBlend(playerNumber, state.kitName);
+    if (!blend || !(position in blend)) return;
+
+    blend[position] = Math.max(0, Math.min(100, level));
+    state.micBlends = { ...state.micBlends, [state.kitName]: blend };
+    this.audioScheduler?.setLaneMicLevels(playerNumber, blend);
+    this.setDirty("player", true);
+  }
+
+  // Generate a drum map from a kit's SFZ if it has none. The map is saved
+  // without replacing the active one; only review opens it in the editor,
+  // for kits that have just been added
+  async generateKitDrumMap(kitName, review = false) {
+    if (!this.drumMapAdvanced || !this.drumMapManager || !this.drumkits) {
+      return;
+    }
+
+    const kit = Object.values(this.drumkits).find(
+      (drumkit) => drumkit.name === kitName,
+    );
+    if (!kit || !kit.path || this.drumMapManager.findMapForKit(kit.path)) {
+      return;
+    }
+
+    try {
+      const mapId = await this.drumMapAdvanced.generateMapFromKit(
+        kit.path,
+        `${kitName} (SFZ)`,
+      );
+
+      if (!review) {
+        this.drumMapUI?.updateMapSelector();
+        this.showNotification(
+          `Generated a drum map for ${kitName} - pick it in the drum map editor to review`,
+          "info",
+        );
+        return;
+      }
+
+      await this.drumMapAdvanced.loadKitForMap(mapId);
+      if (this.windowManager) {
+        await this.windowManager.openWindow("panel", "kit-edit");
+      }
+      this.drumMapUI?.showGeneratedMap(mapId);
+      this.showNotification(`Generated a drum map for ${kitName}`, "success");
+    } catch (error) {
+      debugError(`Failed to generate a drum map for "${kitName}":`, error);
+    }
+  }
+
+  async loadPlayerGroove(playerNumber, midiFile) {
+    if (!this.audioScheduler || !this.midiTranslator || !midiFile) return;
+
+    const path = this.midiFilePaths[midiFile];
+    if (!path) {
+      debugWarn(`No MIDI file found for pattern "${midiFile}"`);
+      return;
     }
 
-    console.log("Final discovered SFZ files:", sfzFiles);
-    return sfzFiles;
+    try {
+      const response = await fetch(`./Assets/MidiFiles/${path}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const parsed = this.midiTranslator.parseMidiData(
+        await response.arrayBuffer(),
+      );
+
+      const patternId = `player${playerNumber}`;
+      this.audioScheduler.setPattern(
+        patternId,
+        this.audioScheduler.buildPatternFromMidi(parsed.events, {
+          lengthBeats: parsed.length.beats,
+        }),
+      );
+
+      if (playerNumber === this.currentPlayer) {
+        this.audioScheduler.selectPattern(patternId);
+      }
+    } catch (error) {
+      debugError(`Failed to load groove "${midiFile}":`, error);
+    }
+  }
+
+  scheduleDrumMapSave() {
+    // Debounce save operations
+    if (this.drumMapSaveTimer) {
+      clearTimeout(this.drumMapSaveTimer);
+    }
+
+    this.drumMapSaveTimer = setTimeout(() => {
+      console.log("Auto-saving drum maps...");
+      this.drumMapManager.saveCustomMaps();
+    }, 2000); // Save after 2 seconds of inactivity
   }
 
   async fetchMidiFiles() {
+    // Grooves and fills are listed in the library manifest
+    const library = await this.loadLibrary();
+    if (library) {
+      const libraryFiles = library.getMidiFiles();
+      console.log(`Found ${libraryFiles.length} MIDI files in the library`);
+      return libraryFiles;
+    }
+
+    // Without a manifest, fall back to scraping directory listings, which
+    // only works on servers that generate them
     const midiFiles = [];
     const basePath = "./Assets/MidiFiles/";
 
@@ -4365,12 +5743,39 @@ class OTTOAccurateInterface {
     // Get all pattern names (without extensions) from all directories
     const allPatterns = midiFiles.map((file) => file.name);
 
+    // Remember where each MIDI file lives so playback can fetch it
+    midiFiles.forEach((file) => {
+      this.midiFilePaths[file.name] = file.path;
+    });
+    this.midiFiles = midiFiles;
+
+    // Files under Fills/ feed the fill engine
+    this.fillFiles = midiFiles.filter(
+      (file) => file.category === "Fills" || file.category.startsWith("Fills/"),
+    );
+
     // Remove duplicates and sort
     const uniquePatterns = [...new Set(allPatterns)].sort();
 
-    // For now, just put all patterns in favorites as a starting point
+    // Default groups come from the library manifest; without one, put the
+    // first 16 patterns in favorites as a starting point
     // Users can organize them into groups as they wish
-    groups.favorites.patterns = uniquePatterns.slice(0, 16); // Start with first 16 patterns
+    const libraryGroups = this.libraryLoader
+      ? this.libraryLoader.getPatternGroups()
+      : {};
+    Object.entries(libraryGroups).forEach(([key, group]) => {
+      groups[key] = {
+        name: group.name,
+        patterns: group.patterns.filter(
+          (pattern) => pattern !== "empty" && this.midiFilePaths[pattern],
+        ),
+        deletable: key !== "favorites",
+        editable: true,
+      };
+    });
+    if (!libraryGroups.favorites) {
+      groups.favorites.patterns = uniquePatterns.slice(0, 16); // Start with first 16 patterns
+    }
 
     // Additional groups can be added by the user through the UI
     // We don't auto-create Group 1, Group 2, etc. - let users create what they need
@@ -4434,8 +5839,49 @@ class OTTOAccurateInterface {
       };
     }
 
-    console.log("Final built drumkits:", drumkits);
-    return drumkits;
+    console.log("Final built drumkits:", drumkits);
+    return drumkits;
+  }
+
+  // Check every kit's samples and zones in the background and flag
+  // problems in the kit dropdown
+  async auditDrumkits() {
+    if (typeof SFZKitAuditor === "undefined" || !this.drumkits) return;
+
+    if (!this.kitAuditor) {
+      this.kitAuditor = new SFZKitAuditor(this.drumMapManager);
+    }
+    this.kitAuditor.drumMapManager = this.drumMapManager;
+
+    // A newer audit (e.g. after a drum map change) supersedes this one
+    const run = ++this.kitAuditRun;
+    const audits = {};
+
+    await Promise.all(
+      Object.entries(this.drumkits).map(async ([kitKey, kit]) => {
+        if (!kit.path) return;
+        audits[kitKey] = await this.kitAuditor.audit(kit.path);
+        if (audits[kitKey].issues.length > 0) {
+          debugWarn(`Kit "${kit.name}" audit:`, audits[kitKey].issues);
+        }
+      }),
+    );
+
+    if (run !== this.kitAuditRun) return;
+    this.kitAudits = audits;
+    this.populateKitDropdown();
+  }
+
+  formatKitAudit(audit, maxMessages = 8) {
+    const messages = [...audit.errors, ...audit.warnings];
+    const lines = [
+      `${audit.errors.length} error(s), ${audit.warnings.length} warning(s)`,
+      ...messages.slice(0, maxMessages),
+    ];
+    if (messages.length > maxMessages) {
+      lines.push(`...and ${messages.length - maxMessages} more`);
+    }
+    return lines.join("\n");
   }
 
   saveDrumkits() {
@@ -4448,6 +5894,9 @@ class OTTOAccurateInterface {
     debugLog("Refreshing drumkit list...");
 
     // Rescan for drumkits
+    const previousKits = new Set(
+      Object.values(this.drumkits || {}).map((kit) => kit.name),
+    );
     this.drumkits = await this.scanForDrumkits();
 
     // Save the updated list
@@ -4455,9 +5904,19 @@ class OTTOAccurateInterface {
 
     // Repopulate the dropdown
     this.populateKitDropdown();
+    this.auditDrumkits();
 
     debugLog("Drumkit list refreshed:", Object.keys(this.drumkits));
 
+    // Kits that just appeared get a drum map (not the first scan). The
+    // editor holds one kit, so only the last of them opens for review.
+    const newKits = Object.values(this.drumkits).filter(
+      (kit) => previousKits.size > 0 && !previousKits.has(kit.name),
+    );
+    newKits.forEach((kit, index) =>
+      this.generateKitDrumMap(kit.name, index === newKits.length - 1),
+    );
+
     return this.drumkits;
   }
 
@@ -4642,25 +6101,7 @@ class OTTOAccurateInterface {
     if (patternsList) {
       patternsList.innerHTML = "";
       midiFiles.forEach((file) => {
-        const patternItem = document.createElement("div");
-        patternItem.className = "pattern-list-item";
-        patternItem.textContent = file; // Show full name in the list
-        patternItem.dataset.fullName = file;
-        patternItem.dataset.shortName = file.substring(0, 8); // Store 8-char version
-        patternItem.draggable = true;
-
-        // Add drag event listeners
-        patternItem.addEventListener("dragstart", (e) => {
-          e.dataTransfer.effectAllowed = "copy";
-          e.dataTransfer.setData("text/plain", file);
-          patternItem.classList.add("dragging");
-        });
-
-        patternItem.addEventListener("dragend", () => {
-          patternItem.classList.remove("dragging");
-        });
-
-        patternsList.appendChild(patternItem);
+        patternsList.appendChild(this.createPatternListItem(file));
       });
     }
 
@@ -4670,6 +6111,98 @@ class OTTOAccurateInterface {
     }
   }
 
+  // A draggable entry for the pattern editor's lists; drop it on a pattern
+  // button to put it in the current group
+  createPatternListItem(file) {
+    const patternItem = document.createElement("div");
+    patternItem.className = "pattern-list-item";
+    patternItem.textContent = file; // Show full name in the list
+    patternItem.dataset.fullName = file;
+    patternItem.dataset.shortName = file.substring(0, 8); // Store 8-char version
+    patternItem.title = this.grooveCatalog
+      ? this.grooveCatalog.describe(file)
+      : "";
+    patternItem.draggable = true;
+
+    // Add drag event listeners
+    patternItem.addEventListener("dragstart", (e) => {
+      e.dataTransfer.effectAllowed = "copy";
+      e.dataTransfer.setData("text/plain", file);
+      patternItem.classList.add("dragging");
+    });
+
+    patternItem.addEventListener("dragend", () => {
+      patternItem.classList.remove("dragging");
+    });
+
+    return patternItem;
+  }
+
+  // Rank the library by rhythmic similarity to the current player's
+  // pattern and list the best matches in the pattern editor. An active
+  // search narrows the candidates (e.g. only 4/4 grooves).
+  async showSimilarPatterns() {
+    const patternName = this.playerStates[this.currentPlayer].midiFile;
+    if (!patternName) {
+      this.showNotification("Select a pattern first", "warning");
+      return;
+    }
+
+    if (!this.grooveCatalog || !this.grooveCatalog.get(patternName)) {
+      await this.buildGrooveCatalog();
+    }
+    if (!this.grooveCatalog || !this.grooveCatalog.get(patternName)) {
+      this.showNotification(
+        `No groove data for "${patternName}" to compare with`,
+        "warning",
+      );
+      return;
+    }
+
+    const searchInput = document.getElementById("pattern-search-input");
+    const searchTerm = searchInput ? searchInput.value.trim() : "";
+    const candidates = searchTerm
+      ? this.grooveCatalog.search(searchTerm).map((entry) => entry.name)
+      : null;
+    const matches = this.grooveCatalog.findSimilar(patternName, {
+      candidates,
+      limit: this.similarPatternLimit,
+    });
+
+    const section = document.getElementById("similar-patterns");
+    const list = document.getElementById("similar-patterns-list");
+    const title = document.getElementById("similar-patterns-title");
+    if (!section || !list) return;
+
+    if (title) {
+      title.textContent = `Similar to ${patternName}`;
+    }
+    list.innerHTML = "";
+    matches.forEach((match) => {
+      const item = this.createPatternListItem(match.name);
+      const score = document.createElement("span");
+      score.className = "similarity-score";
+      score.textContent = `${Math.round(match.score * 100)}%`;
+      item.appendChild(score);
+      list.appendChild(item);
+    });
+    if (matches.length === 0) {
+      list.innerHTML = `<div class="similar-patterns-empty">No similar patterns found</div>`;
+    }
+    section.classList.add("active");
+
+    if (!this.windowManager.isWindowOpen("panel", "pattern-edit")) {
+      await this.windowManager.openWindow("panel", "pattern-edit");
+    }
+  }
+
+  hideSimilarPatterns() {
+    const section = document.getElementById("similar-patterns");
+    const list = document.getElementById("similar-patterns-list");
+    if (section) section.classList.remove("active");
+    if (list) list.innerHTML = "";
+  }
+
   setupPatternDragDrop() {
     const patternItems = document.querySelectorAll(".pattern-item");
     const dropZones = document.querySelectorAll(".pattern-drop-zone");
@@ -5031,6 +6564,28 @@ class OTTOAccurateInterface {
     // this.setDirty("patternGroup", false); - removed, groups have no state
   }
 
+  // Draw the groove's mini piano-roll under the pattern button's label
+  async renderPatternThumbnail(btn, patternName) {
+    const path = this.midiFilePaths[patternName];
+    if (!path || !this.midiTranslator) return;
+
+    if (!this.grooveThumbnails) {
+      this.grooveThumbnails = new GrooveThumbnails(this.midiTranslator, {
+        drumMapManager: this.drumMapManager,
+      });
+    }
+
+    const thumbnail = await this.grooveThumbnails.load(path);
+    const slotPattern = patternName.toLowerCase().replace(/\s+/g, "-");
+    // The slot may show another pattern by the time the file is parsed
+    if (!thumbnail || this.isDestroyed || btn.dataset.pattern !== slotPattern) {
+      return;
+    }
+
+    btn.querySelector(".pattern-roll")?.remove();
+    btn.appendChild(this.grooveThumbnails.createElement(thumbnail));
+  }
+
   updateMainPatternGrid(patterns) {
     if (!patterns || !Array.isArray(patterns)) {
       debugError("Invalid patterns array provided to updateMainPatternGrid");
@@ -5060,6 +6615,7 @@ class OTTOAccurateInterface {
             .toLowerCase()
             .replace(/\s+/g, "-");
           btn.style.display = "flex";
+          this.renderPatternThumbnail(btn, patterns[index]);
         } else {
           // Show empty button slot
           btn.textContent = "";
@@ -5431,10 +6987,32 @@ class OTTOAccurateInterface {
       this.loadingVersion = version;
 
       try {
+        // Locked players keep their pattern through the preset change
+        const pinnedPatterns = {};
+        for (let i = 1; i <= this.maxPlayers; i++) {
+          if (this.isPlayerPatternLocked(i)) {
+            const state = this.playerStates[i];
+            pinnedPatterns[i] = {
+              midiFile: state.midiFile,
+              selectedPattern: state.selectedPattern,
+              patternGroup: state.patternGroup,
+            };
+          }
+        }
+
         // STEP 1: Complete state restoration
         // Deep clone all player states to avoid reference issues
         this.playerStates = this.structuredClone(preset.playerStates);
 
+        Object.entries(pinnedPatterns).forEach(([player, pinned]) => {
+          if (this.playerStates[player]) {
+            Object.assign(this.playerStates[player], pinned);
+            if (this.playerStates[player].toggleStates) {
+              this.playerStates[player].toggleStates.lock = true;
+            }
+          }
+        });
+
         // Ensure all player states have valid values (no migration)
         for (let i = 1; i <= this.maxPlayers; i++) {
           if (this.playerStates[i]) {
@@ -5552,6 +7130,13 @@ class OTTOAccurateInterface {
         // STEP 8: Ensure current player's MIDI file is visible
         this.onPlayerLoaded(this.currentPlayer);
 
+        // Reload the other players' audio lanes from the new state
+        for (let i = 1; i <= this.numberOfPlayers; i++) {
+          if (i !== this.currentPlayer) {
+            this.loadPlayerAudio(i);
+          }
+        }
+
         // Save app state with new preset selection
         this.scheduleSave("appState");
 
@@ -5934,7 +7519,7 @@ class OTTOAccurateInterface {
           none: false,
           auto: true, // All players have Auto active
           manual: false,
-          stick: "stick",  // Can be "stick" or "snare"
+          stick: "snare",  // Can be "stick" or "snare"
           ride: "hihat",   // Can be "ride" or "hihat"
           lock: false,
         },
@@ -6016,7 +7601,7 @@ class OTTOAccurateInterface {
           none: false,
           auto: true, // All players have Auto active
           manual: false,
-          stick: "stick",  // Can be "stick" or "snare"
+          stick: "snare",  // Can be "stick" or "snare"
           ride: "hihat",   // Can be "ride" or "hihat"
           lock: false,
         },
@@ -6128,7 +7713,7 @@ class OTTOAccurateInterface {
           none: false,
           auto: true,
           manual: false,
-          stick: "stick",  // Can be "stick" or "snare"
+          stick: "snare",  // Can be "stick" or "snare"
           ride: "hihat",   // Can be "ride" or "hihat"
           lock: false,
         },
@@ -6215,7 +7800,7 @@ class OTTOAccurateInterface {
           none: false,
           auto: true,
           manual: false,
-          stick: "stick",  // Can be "stick" or "snare"
+          stick: "snare",  // Can be "stick" or "snare"
           ride: "hihat",   // Can be "ride" or "hihat"
           lock: false,
         },
@@ -6434,7 +8019,7 @@ class OTTOAccurateInterface {
     try {
       // Gather all settings and presets
       const exportData = {
-        version: "1.0",
+        version: "1.1",
         exportDate: new Date().toISOString(),
         appName: "OTTO Interface",
         currentPlayer: this.currentPlayer,
@@ -6445,6 +8030,12 @@ class OTTOAccurateInterface {
           loopPosition: this.loopPosition,
           currentTempo: this.currentTempo,
         },
+        midiSettings: this.midiSettingsManager
+          ? this.midiSettingsManager.exportSettings()
+          : null,
+        midiMappings: this.midiMappingManager
+          ? this.midiMappingManager.getMappings()
+          : [],
       };
 
       // Convert to JSON string
@@ -6474,6 +8065,59 @@ class OTTOAccurateInterface {
     }
   }
 
+  // Bounce the current player or all active players to WAV file(s)
+  async exportAudio() {
+    if (!this.audioScheduler) {
+      this.showNotification("Audio engine is not available", "error");
+      return;
+    }
+
+    const bars = parseInt(
+      document.getElementById("audio-export-bars")?.value || "4",
+      10,
+    );
+    const scope =
+      document.getElementById("audio-export-scope")?.value || "current";
+    const sampleRate = parseInt(
+      document.getElementById("audio-export-sample-rate")?.value || "48000",
+      10,
+    );
+    const bitDepth = parseInt(
+      document.getElementById("audio-export-bit-depth")?.value || "24",
+      10,
+    );
+    const stems = !!document.getElementById("audio-export-stems")?.checked;
+
+    try {
+      const renderer = new AudioRenderer(this.audioScheduler);
+      const files = await renderer.renderToWav({
+        bars: Math.max(1, Math.min(128, bars || 4)),
+        sampleRate,
+        bitDepth,
+        stems,
+        players: scope === "current" ? [this.currentPlayer] : null,
+      });
+
+      files.forEach(({ fileName, blob }) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.download = fileName;
+        a.href = url;
+        a.click();
+        URL.revokeObjectURL(url);
+      });
+
+      this.showNotification(
+        files.length === 1
+          ? `Exported ${files[0].fileName}`
+          : `Exported ${files.length} stems`,
+      );
+    } catch (error) {
+      console.error("Audio export failed:", error);
+      this.showNotification("Failed to export audio", "error");
+    }
+  }
+
   async importSettings(file) {
     try {
       // Read the file
@@ -6493,6 +8137,9 @@ class OTTOAccurateInterface {
 
       // Import the data
       this.presets = importData.presets || {};
+      if (importData.version === "1.0") {
+        this.migrateStickToggles(this.presets);
+      }
       this.currentPlayer = importData.currentPlayer || 1;
 
       // Load the preset that was active at export time
@@ -6514,6 +8161,19 @@ class OTTOAccurateInterface {
         }
       }
 
+      // MIDI settings and mappings (files from older versions have none)
+      if (
+        importData.midiSettings &&
+        this.midiSettingsManager &&
+        this.midiSettingsManager.importSettings(importData.midiSettings)
+      ) {
+        this.applyMidiSettings(this.midiSettingsManager.getSettings());
+        this.renderMidiSettings();
+      }
+      if (Array.isArray(importData.midiMappings) && this.midiMappingManager) {
+        this.midiMappingManager.setMappings(importData.midiMappings);
+      }
+
       // Update UI
       this.renderPresetList();
       this.savePresetsToStorage();
@@ -6699,6 +8359,15 @@ class OTTOAccurateInterface {
       console.log("Step X: Initializing drum mapping system...");
       this.initializeDrumMappingSystem();
 
+      // Initialize the sample playback engine
+      this.initializeAudioEngine();
+
+      // Restore MIDI device settings (not awaited)
+      this.initializeMidiSettings();
+
+      // Index the groove library for search (not awaited)
+      this.buildGrooveCatalog();
+
       console.log("Step X+1: Setting up version...");
       this.setupVersion();
       console.log("Step X+2: Setting up splash screen...");
@@ -6727,11 +8396,14 @@ class OTTOAccurateInterface {
       this.setupPlayerTabs();
       this.setupPresetControls();
       this.setupSettingsWindow(); // Setup settings window
+      this.setupSyncPanel();
       this.setupAllModals(); // Setup all modal windows
       this.setupKitControls();
       this.populateKitDropdown(); // Re-populate after controls are setup
       this.setupPatternGroupControls();
       this.setupPatternGrid();
+      this.setupMidiExportMenu();
+      this.setupMidiLearn();
       this.setupToggleButtons();
       this.setupFillButtons();
       this.setupSliders();
@@ -6827,6 +8499,17 @@ class OTTOAccurateInterface {
       this.numberOfPlayers = num;
       this.setupPlayerTabs(); // Refresh the player tabs and spacing
 
+      // Keep one audio lane per active player
+      if (this.audioScheduler) {
+        for (let i = 1; i <= this.maxPlayers; i++) {
+          if (i > num) {
+            this.audioScheduler.removeLane(i);
+          } else if (!this.audioScheduler.getLane(i)) {
+            this.loadPlayerAudio(i);
+          }
+        }
+      }
+
       // If current player is beyond the new limit, switch to player 1
       if (this.currentPlayer > num) {
         this.switchToPlayer(1);
@@ -7636,9 +9319,7 @@ class OTTOAccurateInterface {
    * @param {number} playerNum - Player number (1-8)
    */
   updatePlayerTempoState(playerNum) {
-    if (!this.playerStateManager) return;
-    
-    const multiplier = this.playerStateManager.getPlayerTempoMultiplier(playerNum);
+    const multiplier = this.getPlayerTempoMultiplier(playerNum);
     const playerTab = document.querySelector(`.player-tab[data-player="${playerNum}"]`);
     
     if (playerTab) {
@@ -7685,12 +9366,24 @@ class OTTOAccurateInterface {
    * @returns {number} Effective tempo
    */
   getPlayerEffectiveTempo(playerNum) {
-    if (!this.playerStateManager) return this.tempo;
-    
-    const multiplier = this.playerStateManager.getPlayerTempoMultiplier(playerNum);
+    const multiplier = this.getPlayerTempoMultiplier(playerNum);
     return Math.round(this.tempo * multiplier);
   }
 
+  /**
+   * Get the tempo multiplier for a player (1.0 = master tempo). It is
+   * state-only: saved player state sets it, and there is no player control
+   * for it while the per-player tempo buttons stay disabled.
+   * @param {number} playerNum - Player number (1-8)
+   * @returns {number} Tempo multiplier (0.25-4)
+   */
+  getPlayerTempoMultiplier(playerNum) {
+    if (this.playerStateManager) {
+      return this.playerStateManager.getPlayerTempoMultiplier(playerNum);
+    }
+    return this.playerStates[playerNum]?.tempoMultiplier || 1.0;
+  }
+
   navigatePlayer(direction) {
     let newPlayer = this.currentPlayer + direction;
 
@@ -7881,6 +9574,9 @@ class OTTOAccurateInterface {
       return;
     }
 
+    // Point the audio engine at this player's kit and groove
+    this.loadPlayerAudio(playerNumber);
+
     const midiFile = this.playerStates[playerNumber].midiFile;
     if (!midiFile) {
       debugLog(`Player ${playerNumber} has no MIDI file set`);
@@ -8715,12 +10411,12 @@ class OTTOAccurateInterface {
         // Handle special toggle buttons text
         if (toggleKey === "stick") {
           // Restore correct text and active state based on state
-          if (state.toggleStates && state.toggleStates.stick === "snare") {
-            button.textContent = "Snare";
-            this.safeAddClass(button, "active");  // Snare is active (white)
-          } else {
+          if (state.toggleStates && state.toggleStates.stick === "stick") {
             button.textContent = "Stick";
-            this.safeRemoveClass(button, "active");  // Stick is normal (not white)
+            this.safeAddClass(button, "active");  // Stick is active (white)
+          } else {
+            button.textContent = "Snare";
+            this.safeRemoveClass(button, "active");  // Snare is normal (not white)
           }
         } else if (toggleKey === "ride") {
           // Restore correct text and active state based on state
@@ -9099,6 +10795,13 @@ class OTTOAccurateInterface {
       option.dataset.value = kitKey.toLowerCase();
       option.textContent = kit.name;
 
+      // Flag kits whose audit found problems
+      const audit = this.kitAudits[kitKey];
+      if (audit && audit.issues.length > 0) {
+        option.classList.add(audit.ok ? "kit-warning" : "kit-error");
+        option.title = this.formatKitAudit(audit);
+      }
+
       // Set selected state if this is the current kit
       if (kit.name === this.playerStates[this.currentPlayer].kitName) {
         option.classList.add("selected");
@@ -9260,6 +10963,28 @@ class OTTOAccurateInterface {
       this.addEventListener(searchInput, "input", searchHandler, "dropdown");
     }
 
+    // Setup "find similar" for the selected pattern
+    const similarBtn = document.getElementById("find-similar-btn");
+    if (similarBtn) {
+      const similarHandler = () => {
+        this.showSimilarPatterns();
+      };
+      this.addEventListener(similarBtn, "click", similarHandler, "dropdown");
+    }
+
+    const similarCloseBtn = document.getElementById("similar-patterns-close");
+    if (similarCloseBtn) {
+      const similarCloseHandler = () => {
+        this.hideSimilarPatterns();
+      };
+      this.addEventListener(
+        similarCloseBtn,
+        "click",
+        similarCloseHandler,
+        "dropdown",
+      );
+    }
+
     // Setup group dropdown
     const groupDropdown = document.getElementById("group-dropdown");
     const groupSelected = document.getElementById("group-selected");
@@ -9426,7 +11151,251 @@ class OTTOAccurateInterface {
 
       // Use enhanced event listener management
       this.addEventListener(patternBtn, "click", clickHandler, "dropdown");
+
+      // Right-click offers the pattern and its group as MIDI files
+      const contextMenuHandler = (e) => {
+        if (this.isDestroyed) return;
+
+        const buttonIndex = Array.from(
+          document.querySelectorAll(".pattern-btn"),
+        ).indexOf(patternBtn);
+        const group =
+          this.patternGroups?.[
+            this.playerStates[this.currentPlayer].patternGroup
+          ];
+        const patternName = group?.patterns?.[buttonIndex];
+        if (!patternName || !this.midiFilePaths[patternName]) return;
+
+        e.preventDefault();
+        this.openMidiExportMenu(patternName, patternBtn);
+      };
+      this.addEventListener(
+        patternBtn,
+        "contextmenu",
+        contextMenuHandler,
+        "dropdown",
+      );
+    });
+  }
+
+  setupMidiExportMenu() {
+    const menu = document.getElementById("midi-export-menu");
+    const vendorSelect = document.getElementById("midi-export-vendor");
+    const bakeCheckbox = document.getElementById("midi-export-bake");
+    if (!menu || !vendorSelect) return;
+
+    // Every vendor map MidiTranslator can translate to
+    const presets = this.drumMapPresets
+      ? this.drumMapPresets.getAllPresets()
+      : [{ id: "generalMidi", name: "General MIDI" }];
+    vendorSelect.innerHTML = "";
+    presets.forEach((preset) => {
+      const option = document.createElement("option");
+      option.value = preset.id;
+      option.textContent = preset.name;
+      vendorSelect.appendChild(option);
     });
+    vendorSelect.value = this.midiExportSettings.targetVendor;
+
+    this.addEventListener(
+      vendorSelect,
+      "change",
+      (e) => {
+        this.midiExportSettings.targetVendor = e.target.value;
+        this.saveMidiSettings();
+      },
+      "dropdown",
+    );
+    if (bakeCheckbox) {
+      bakeCheckbox.checked = this.midiExportSettings.bakeGroove;
+      this.addEventListener(
+        bakeCheckbox,
+        "change",
+        (e) => {
+          this.midiExportSettings.bakeGroove = e.target.checked;
+          this.saveMidiSettings();
+        },
+        "dropdown",
+      );
+    }
+
+    const patternBtn = document.getElementById("midi-export-pattern-btn");
+    if (patternBtn) {
+      const exportPatternHandler = () => {
+        const patternName = this.midiExportPattern;
+        this.closeMidiExportMenu();
+        this.exportPatternMidi(patternName);
+      };
+      this.addEventListener(
+        patternBtn,
+        "click",
+        exportPatternHandler,
+        "dropdown",
+      );
+    }
+
+    const learnBtn = document.getElementById("midi-export-learn-btn");
+    if (learnBtn) {
+      const learnHandler = () => {
+        const index = this.getPatternSlotIndex(this.midiExportPattern);
+        this.closeMidiExportMenu();
+        const slot = document.querySelectorAll(".pattern-btn")[index];
+        if (slot) {
+          this.armMidiLearn(slot);
+        }
+      };
+      this.addEventListener(learnBtn, "click", learnHandler, "dropdown");
+    }
+
+    const groupBtn = document.getElementById("midi-export-group-btn");
+    if (groupBtn) {
+      const exportGroupHandler = () => {
+        this.closeMidiExportMenu();
+        this.exportGroupMidi();
+      };
+      this.addEventListener(groupBtn, "click", exportGroupHandler, "dropdown");
+    }
+
+    // Clicking elsewhere or pressing Escape closes the menu
+    const outsideClickHandler = (e) => {
+      if (menu.classList.contains("active") && !menu.contains(e.target)) {
+        this.closeMidiExportMenu();
+      }
+    };
+    this.addEventListener(
+      document,
+      "mousedown",
+      outsideClickHandler,
+      "dropdown",
+    );
+    const escapeHandler = (e) => {
+      if (e.key === "Escape" && menu.classList.contains("active")) {
+        this.closeMidiExportMenu();
+      }
+    };
+    this.addEventListener(document, "keydown", escapeHandler, "dropdown");
+  }
+
+  openMidiExportMenu(patternName, anchor) {
+    const menu = document.getElementById("midi-export-menu");
+    if (!menu) return;
+
+    this.midiExportPattern = patternName;
+    const title = document.getElementById("midi-export-title");
+    if (title) {
+      title.textContent = `Export "${patternName}"`;
+    }
+    const vendorSelect = document.getElementById("midi-export-vendor");
+    if (vendorSelect) {
+      vendorSelect.value = this.midiExportSettings.targetVendor;
+    }
+    const bakeCheckbox = document.getElementById("midi-export-bake");
+    if (bakeCheckbox) {
+      bakeCheckbox.checked = this.midiExportSettings.bakeGroove;
+    }
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${Math.round(rect.left)}px`;
+    menu.style.top = `${Math.round(rect.bottom + 4)}px`;
+    menu.classList.add("active");
+  }
+
+  // Grid slot of a pattern in the current player's group
+  getPatternSlotIndex(patternName) {
+    const group =
+      this.patternGroups?.[this.playerStates[this.currentPlayer].patternGroup];
+    return group?.patterns ? group.patterns.indexOf(patternName) : -1;
+  }
+
+  closeMidiExportMenu() {
+    const menu = document.getElementById("midi-export-menu");
+    if (menu) menu.classList.remove("active");
+    this.midiExportPattern = null;
+  }
+
+  getGrooveExporter() {
+    if (!this.grooveExporter && this.midiTranslator) {
+      this.grooveExporter = new GrooveExporter(this.midiTranslator);
+    }
+    return this.grooveExporter;
+  }
+
+  // Target vendor, plus the current player's swing and energy when they
+  // should be baked in
+  getMidiExportOptions() {
+    const { swing, energy } =
+      this.playerStates[this.currentPlayer].sliderValues || {};
+    return {
+      targetVendor: this.midiExportSettings.targetVendor,
+      groove: this.midiExportSettings.bakeGroove ? { swing, energy } : null,
+      seed: this.currentPlayer,
+    };
+  }
+
+  async exportPatternMidi(patternName) {
+    const exporter = this.getGrooveExporter();
+    const path = this.midiFilePaths[patternName];
+    if (!exporter || !path) {
+      this.showNotification(`Can't export "${patternName}"`, "error");
+      return;
+    }
+
+    try {
+      const result = await exporter.exportPattern(
+        { name: patternName, path },
+        this.getMidiExportOptions(),
+      );
+      this.downloadFile(result.data, result.fileName, "audio/midi");
+      this.showNotification(`Exported ${result.fileName}`, "success");
+    } catch (error) {
+      debugError(`Failed to export "${patternName}":`, error);
+      this.showNotification(`Failed to export "${patternName}"`, "error");
+    }
+  }
+
+  async exportGroupMidi() {
+    const exporter = this.getGrooveExporter();
+    const group =
+      this.patternGroups?.[this.playerStates[this.currentPlayer].patternGroup];
+    const patterns = (group?.patterns || [])
+      .filter((name) => name && this.midiFilePaths[name])
+      .map((name) => ({ name, path: this.midiFilePaths[name] }));
+
+    if (!exporter || patterns.length === 0) {
+      this.showNotification("No patterns in this group to export", "warning");
+      return;
+    }
+
+    try {
+      const result = await exporter.exportGroup(
+        group.name,
+        patterns,
+        this.getMidiExportOptions(),
+      );
+      this.downloadFile(result.data, result.fileName, "application/zip");
+
+      if (result.failed.length > 0) {
+        this.showNotification(
+          `Exported ${result.fileName} without ${result.failed.join(", ")}`,
+          "warning",
+        );
+      } else {
+        this.showNotification(`Exported ${result.fileName}`, "success");
+      }
+    } catch (error) {
+      debugError(`Failed to export group "${group.name}":`, error);
+      this.showNotification(`Failed to export "${group.name}"`, "error");
+    }
+  }
+
+  downloadFile(data, fileName, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
   }
 
   setupToggleButtons() {
@@ -9443,14 +11412,14 @@ class OTTOAccurateInterface {
       // Handle Stick/Snare toggle
       if (toggleType === "stick") {
         const currentText = toggleBtn.textContent;
-        if (currentText === "Stick") {
-          toggleBtn.textContent = "Snare";
-          toggleBtn.classList.add("active");  // Snare is active (white)
-          state.toggleStates.stick = "snare";
-        } else {
+        if (currentText === "Snare") {
           toggleBtn.textContent = "Stick";
-          toggleBtn.classList.remove("active");  // Stick is normal (not white)
+          toggleBtn.classList.add("active");  // Stick is active (white)
           state.toggleStates.stick = "stick";
+        } else {
+          toggleBtn.textContent = "Snare";
+          toggleBtn.classList.remove("active");  // Snare is normal (not white)
+          state.toggleStates.stick = "snare";
         }
         this.onToggleChanged(this.currentPlayer, "stick", state.toggleStates.stick);
         this.setDirty("preset", true);
@@ -10097,6 +12066,7 @@ class OTTOAccurateInterface {
           linkState.slaves.forEach(slavePlayer => {
             if (this.playerStates[slavePlayer]) {
               this.playerStates[slavePlayer].sliderValues[param] = broadcasterValue;
+              this.syncPlayerSliders(slavePlayer);
             }
           });
 
@@ -10187,6 +12157,7 @@ class OTTOAccurateInterface {
 
           // Update the slave's value
           this.playerStates[slavePlayer].sliderValues[param] = value;
+          this.syncPlayerSliders(slavePlayer);
           updatedPlayers.push(slavePlayer);
 
           // If this slave is currently visible, update its UI
@@ -10300,6 +12271,10 @@ class OTTOAccurateInterface {
     // Update the player state
     this.playerStates[playerNumber].muted = isMuted;
 
+    if (this.audioScheduler) {
+      this.audioScheduler.setLaneMuted(playerNumber, isMuted);
+    }
+
     // Update visual states if this is the current player
     if (playerNumber === this.currentPlayer) {
       // Update mute overlay
@@ -10653,10 +12628,17 @@ class OTTOAccurateInterface {
         return;
       }
 
-      // Animate the loop position when playing
-      this.loopPosition += 0.003; // Adjust speed as needed
-      if (this.loopPosition > 1) {
-        this.loopPosition = 0;
+      // Follow the audio clock so the handle tracks tempo and pattern length
+      if (this.audioScheduler) {
+        this.loopPosition = this.audioScheduler.getCurrentPosition(
+          this.currentPlayer,
+        ).progress;
+      } else {
+        // No audio engine: fall back to a fixed-rate sweep
+        this.loopPosition += 0.003;
+        if (this.loopPosition > 1) {
+          this.loopPosition = 0;
+        }
       }
 
       this.updateLoopTimelineDisplay();
@@ -10756,6 +12738,15 @@ class OTTOAccurateInterface {
       }
     }
 
+    // Drive the sample playback engine
+    if (this.audioScheduler) {
+      if (this.isPlaying) {
+        this.audioScheduler.play();
+      } else {
+        this.audioScheduler.pause();
+      }
+    }
+
     // Notify JUCE backend if available
     if (window.juce?.onPlayPauseChanged) {
       window.juce.onPlayPauseChanged(this.isPlaying);
@@ -10776,6 +12767,9 @@ class OTTOAccurateInterface {
     // Mark drumkit as dirty (will cascade to player and preset)
     this.setDirty("player", true);
 
+    this.loadPlayerKitAudio(playerNumber, kitName);
+    this.generateKitDrumMap(kitName);
+
     if (window.juce?.onKitChanged) {
       window.juce.onKitChanged(playerNumber, kitName);
     }
@@ -10805,6 +12799,8 @@ class OTTOAccurateInterface {
     // Mark as dirty
     this.setDirty("player", true);
 
+    this.loadPlayerGroove(playerNumber, patternName);
+
     // Notify external system
     if (window.juce?.onPatternSelected) {
       window.juce.onPatternSelected(playerNumber, patternName);
@@ -10843,6 +12839,8 @@ class OTTOAccurateInterface {
     // Save pattern group to player state
     this.playerStates[playerNumber].patternGroup = groupName;
 
+    const previousMidiFile = this.playerStates[playerNumber].midiFile;
+
     // Mark patternGroup as dirty (will cascade to player and preset)
     // this.setDirty("patternGroup", true); - removed, groups have no state
 
@@ -10966,6 +12964,25 @@ class OTTOAccurateInterface {
       }
     }
 
+    const state = this.playerStates[playerNumber];
+    if (this.isPlayerPatternLocked(playerNumber)) {
+      // Browse the new group but keep playing the pinned pattern
+      state.midiFile = previousMidiFile;
+      state.selectedPattern = previousMidiFile;
+
+      if (playerNumber === this.currentPlayer) {
+        const patterns = this.patternGroups[groupName].patterns || [];
+        const pinnedIndex = patterns.indexOf(previousMidiFile);
+        document
+          .querySelectorAll(".pattern-grid .pattern-btn")
+          .forEach((btn, index) => {
+            btn.classList.toggle("active", index === pinnedIndex);
+          });
+      }
+    } else if (state.midiFile !== previousMidiFile) {
+      this.loadPlayerGroove(playerNumber, state.midiFile);
+    }
+
     // Notify external system if available
     if (window.juce?.onPatternGroupChanged) {
       try {
@@ -10984,6 +13001,8 @@ class OTTOAccurateInterface {
     // Mark player as dirty (will cascade to preset)
     this.setDirty("player", true);
 
+    this.syncPlayerToggles(playerNumber);
+
     if (window.juce?.onToggleChanged) {
       window.juce.onToggleChanged(playerNumber, toggleType, isActive);
     }
@@ -10993,6 +13012,8 @@ class OTTOAccurateInterface {
     // Mark player as dirty (will cascade to preset)
     this.setDirty("player", true);
 
+    this.syncPlayerFillMode(playerNumber);
+
     if (window.juce?.onFillChanged) {
       window.juce.onFillChanged(playerNumber, fillType, isActive);
     }
@@ -11002,6 +13023,8 @@ class OTTOAccurateInterface {
     // Mark player as dirty (will cascade to preset)
     this.setDirty("player", true);
 
+    this.syncPlayerSliders(playerNumber);
+
     if (window.juce?.onSliderChanged) {
       window.juce.onSliderChanged(playerNumber, sliderType, value);
     }
@@ -11049,6 +13072,10 @@ class OTTOAccurateInterface {
   }
 
   onTempoChanged(bpm) {
+    if (this.audioScheduler) {
+      this.audioScheduler.setTempo(bpm);
+    }
+
     if (window.juce?.onTempoChanged) {
       window.juce.onTempoChanged(bpm);
     }
@@ -11097,6 +13124,10 @@ class OTTOAccurateInterface {
   }
 
   onLoopPositionChanged(position) {
+    if (this.audioScheduler) {
+      this.audioScheduler.seekToProgress(position, this.currentPlayer);
+    }
+
     if (window.juce?.onLoopPositionChanged) {
       window.juce.onLoopPositionChanged(position);
     }
@@ -11124,6 +13155,7 @@ class OTTOAccurateInterface {
   setPlayerToggle(playerNumber, toggleType, isActive) {
     if (this.playerStates[playerNumber]) {
       this.playerStates[playerNumber].toggleStates[toggleType] = isActive;
+      this.syncPlayerToggles(playerNumber);
       if (playerNumber === this.currentPlayer) {
         this.updateUIForCurrentPlayer();
       }
@@ -11133,6 +13165,7 @@ class OTTOAccurateInterface {
   setPlayerSlider(playerNumber, sliderType, value) {
     if (this.playerStates[playerNumber]) {
       this.playerStates[playerNumber].sliderValues[sliderType] = value;
+      this.syncPlayerSliders(playerNumber);
       if (playerNumber === this.currentPlayer) {
         this.updateUIForCurrentPlayer();
       }
@@ -11203,6 +13236,35 @@ class OTTOAccurateInterface {
       this.animationFrame = null;
     }
 
+    if (this.midiSettingsManager) {
+      this.midiSettingsManager.destroy();
+      this.midiSettingsManager = null;
+    }
+    this.midiActivityTimers.forEach((timer) => clearTimeout(timer));
+    this.midiActivityTimers.clear();
+
+    if (this.midiMappingManager) {
+      this.midiMappingManager.destroy();
+      this.midiMappingManager = null;
+    }
+
+    if (this.midiClockSync) {
+      this.midiClockSync.destroy();
+      this.midiClockSync = null;
+    }
+
+    // Silence external MIDI instruments before the scheduler goes away
+    if (this.midiOutputRouter) {
+      this.midiOutputRouter.destroy();
+      this.midiOutputRouter = null;
+    }
+
+    // Stop audio playback and release the audio context
+    if (this.audioScheduler) {
+      this.audioScheduler.destroy();
+      this.audioScheduler = null;
+    }
+
     // Process any pending saves before cleanup
     try {
       this.processPendingSaves();
@@ -0,0 +1,195 @@
+/**
+ * build-library.js
+ * Regenerates Assets/library.json, the index of kits, grooves, fills and
+ * drum maps that LibraryLoader reads at startup.
+ *
+ * Usage: node tools/build-library.js
+ *
+ * Hand-edited metadata (tags, descriptions, pattern groups) already in the
+ * manifest is kept; paths and content hashes are refreshed from disk.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const SFZEditor = require("../SFZEditor.js");
+
+const ASSETS = path.join(__dirname, "..", "Assets");
+const MANIFEST = path.join(ASSETS, "library.json");
+const MIDI_EXTENSIONS = [".mid", ".midi"];
+
+function hashFile(file) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(file))
+    .digest("hex");
+}
+
+// Paths in the manifest are relative to Assets/ and always use "/"
+function toAssetPath(file) {
+  return path.relative(ASSETS, file).split(path.sep).join("/");
+}
+
+function listFiles(directory, extensions) {
+  if (!fs.existsSync(directory)) return [];
+
+  return fs
+    .readdirSync(directory, { withFileTypes: true })
+    .flatMap((entry) => {
+      const full = path.join(directory, entry.name);
+      if (entry.isDirectory()) return listFiles(full, extensions);
+      return extensions.includes(path.extname(entry.name).toLowerCase())
+        ? [full]
+        : [];
+    })
+    .sort();
+}
+
+function loadExisting() {
+  if (!fs.existsSync(MANIFEST)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST, "utf8"));
+  } catch (error) {
+    console.warn(`Ignoring unreadable ${MANIFEST}: ${error.message}`);
+    return {};
+  }
+}
+
+// Carry hand-edited fields over from the previous entry with the same path
+function withMetadata(entry, previous) {
+  const old = (previous || []).find((item) => item.path === entry.path);
+  return {
+    ...entry,
+    description: old && old.description ? old.description : "",
+    tags: old && old.tags ? old.tags : [],
+  };
+}
+
+function readIncludes(sfzFile, content, includes = {}) {
+  const pattern = /^\s*#include\s+"([^"]+)"/gm;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    const includePath = match[1].replace(/\\/g, "/");
+    const file = path.join(path.dirname(sfzFile), includePath);
+    if (includes[includePath] === undefined && fs.existsSync(file)) {
+      includes[includePath] = fs.readFileSync(file, "utf8");
+      readIncludes(sfzFile, includes[includePath], includes);
+    }
+  }
+  return includes;
+}
+
+function buildKit(sfzFile, previous) {
+  const content = fs.readFileSync(sfzFile, "utf8");
+  const parser = new SFZEditor();
+  const parsed = parser.parseSFZ(content, {
+    includes: readIncludes(sfzFile, content),
+  });
+
+  const samples = [];
+  const seen = new Set();
+  parsed.regions.forEach((region) => {
+    if (!region.sample || String(region.sample).startsWith("*")) return;
+
+    const file = path.join(
+      path.dirname(sfzFile),
+      String(region.sample).replace(/\\/g, "/"),
+    );
+    if (seen.has(file)) return;
+    seen.add(file);
+
+    if (fs.existsSync(file)) {
+      samples.push({ path: toAssetPath(file), sha256: hashFile(file) });
+    } else {
+      console.warn(
+        `  ${toAssetPath(sfzFile)}: missing sample ${region.sample}`,
+      );
+    }
+  });
+
+  const name = path.basename(sfzFile, path.extname(sfzFile));
+  return withMetadata(
+    {
+      id: name.replace(/[^a-zA-Z0-9]/g, ""),
+      name,
+      category: path.basename(path.dirname(sfzFile)),
+      path: toAssetPath(sfzFile),
+      sha256: hashFile(sfzFile),
+      samples,
+    },
+    previous,
+  );
+}
+
+function buildMidi(file, category, previous) {
+  return withMetadata(
+    {
+      name: path.basename(file, path.extname(file)),
+      category,
+      path: toAssetPath(file),
+      sha256: hashFile(file),
+    },
+    previous,
+  );
+}
+
+function buildDrumMap(file, previous) {
+  const map = JSON.parse(fs.readFileSync(file, "utf8"));
+  return withMetadata(
+    {
+      id: path.basename(file, ".json"),
+      name: map.name || path.basename(file, ".json"),
+      vendor: map.vendor || "",
+      path: toAssetPath(file),
+      sha256: hashFile(file),
+    },
+    previous,
+  );
+}
+
+function main() {
+  const existing = loadExisting();
+
+  const kits = listFiles(path.join(ASSETS, "Drumkits"), [".sfz"]).map((file) =>
+    buildKit(file, existing.kits),
+  );
+  const grooves = listFiles(
+    path.join(ASSETS, "MidiFiles", "Grooves"),
+    MIDI_EXTENSIONS,
+  ).map((file) => buildMidi(file, "Grooves", existing.grooves));
+  const fills = listFiles(
+    path.join(ASSETS, "MidiFiles", "Fills"),
+    MIDI_EXTENSIONS,
+  ).map((file) => buildMidi(file, "Fills", existing.fills));
+  const drumMaps = listFiles(path.join(ASSETS, "DrumMaps", "factory"), [
+    ".json",
+  ])
+    .filter((file) => path.basename(file) !== "index.json")
+    .map((file) => buildDrumMap(file, existing.drumMaps));
+
+  // Default pattern groups are curated by hand; seed Favorites on first run
+  const patternGroups = existing.patternGroups || [
+    {
+      id: "favorites",
+      name: "Favorites",
+      patterns: grooves.slice(0, 16).map((groove) => groove.name),
+    },
+  ];
+
+  const library = {
+    version: 1,
+    generated: new Date().toISOString(),
+    kits,
+    grooves,
+    fills,
+    drumMaps,
+    patternGroups,
+  };
+
+  fs.writeFileSync(MANIFEST, `${JSON.stringify(library, null, 2)}\n`);
+  console.log(
+    `Wrote ${toAssetPath(MANIFEST)}: ${kits.length} kits, ${grooves.length} grooves, ${fills.length} fills, ${drumMaps.length} drum maps`,
+  );
+}
+
+main();
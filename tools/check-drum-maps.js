@@ -0,0 +1,65 @@
+/**
+ * check-drum-maps.js
+ * Round-trip check for drum map translation. Every preset translated to
+ * itself must keep every note, and a sound both presets name exactly must
+ * come back as the same sound after translating there and back.
+ *
+ * Usage: node tools/check-drum-maps.js (exits 1 on failure)
+ */
+
+const DrumMapPresets = require("../DrumMapPresets.js");
+global.DrumMapPresets = DrumMapPresets;
+const MidiTranslator = require("../MidiTranslator.js");
+
+const presets = new DrumMapPresets();
+const translator = new MidiTranslator(null, presets);
+const ids = Object.keys(presets.presets);
+const failures = [];
+
+function soundName(id, note) {
+  return presets.normalizeSoundName(presets.presets[id].mapping[note] || "");
+}
+
+ids.forEach((id) => {
+  const identity = translator.getTranslationMap(id, id);
+  Object.keys(presets.presets[id].mapping).forEach((key) => {
+    const note = parseInt(key, 10);
+    if (identity[note] !== note) {
+      failures.push(`${id} -> ${id}: note ${note} became ${identity[note]}`);
+    }
+  });
+});
+
+ids.forEach((sourceId) => {
+  ids.forEach((targetId) => {
+    if (sourceId === targetId) return;
+
+    const there = translator.getTranslationMap(sourceId, targetId);
+    const back = translator.getTranslationMap(targetId, sourceId);
+    const targetSounds = new Set(
+      Object.values(presets.presets[targetId].mapping).map((sound) =>
+        presets.normalizeSoundName(sound),
+      ),
+    );
+
+    Object.keys(presets.presets[sourceId].mapping).forEach((key) => {
+      const note = parseInt(key, 10);
+      const sound = soundName(sourceId, note);
+      if (!targetSounds.has(sound)) return;
+
+      const returned = back[there[note]];
+      if (soundName(sourceId, returned) !== sound) {
+        failures.push(
+          `${sourceId} -> ${targetId} -> ${sourceId}: note ${note} came back as ${returned}`,
+        );
+      }
+    });
+  });
+});
+
+if (failures.length > 0) {
+  console.error(failures.join("\n"));
+  console.error(`${failures.length} drum map round-trip failure(s)`);
+  process.exit(1);
+}
+console.log(`Drum map round trips OK for ${ids.length} presets`);